@@ -0,0 +1,41 @@
+import os
+import sys
+import tempfile
+import uuid
+from pathlib import Path
+
+import pytest
+
+# main.py sets up its database and attachment store on import, so point both at a scratch directory first
+SCRATCH_DIR = Path(tempfile.mkdtemp(prefix="smart-notes-tests-"))
+os.environ["DATABASE_URL"] = f"sqlite:///{SCRATCH_DIR / 'notes.db'}"
+os.environ["ATTACHMENT_DIR"] = str(SCRATCH_DIR / "attachments")
+os.environ["AUTH_SECRET_KEY"] = "test-secret"
+os.environ["LEGACY_NOTES_OWNER_EMAIL"] = ""
+sys.path.insert(0, str(Path(__file__).resolve().parent.parent))
+
+from fastapi.testclient import TestClient  # noqa: E402
+
+import main  # noqa: E402
+
+PASSWORD = "correct horse battery"
+
+
+@pytest.fixture
+def client():
+    with TestClient(main.app) as client:
+        yield client
+
+
+@pytest.fixture
+def sign_up(client):
+    # A new account per call; returns the AuthResponse body
+    def sign_up():
+        response = client.post("/auth/signup", json={"email": f"{uuid.uuid4().hex}@example.com", "password": PASSWORD})
+        assert response.status_code == 200, response.text
+        return response.json()
+    return sign_up
+
+
+def bearer(session):
+    return {"Authorization": f"Bearer {session['access_token']}"}
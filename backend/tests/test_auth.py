@@ -0,0 +1,68 @@
+from conftest import bearer
+
+
+def create_note(client, session, **fields):
+    note = {"title": "Plan", "content": "Some thoughts", "is_public": False, **fields}
+    response = client.post("/notes", json=note, headers=bearer(session))
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def test_notes_of_other_accounts_are_not_found(client, sign_up):
+    alice, bob = sign_up(), sign_up()
+    note = create_note(client, alice)
+
+    assert client.get(f"/notes/{note['id']}", headers=bearer(bob)).status_code == 404
+    assert client.delete(f"/notes/{note['id']}", headers=bearer(bob)).status_code == 404
+    assert note["id"] not in [listed["id"] for listed in client.get("/notes", headers=bearer(bob)).json()]
+    assert client.get(f"/notes/{note['id']}", headers=bearer(alice)).status_code == 200
+
+
+def test_notes_need_a_valid_access_token(client, sign_up):
+    session = sign_up()
+    assert client.get("/notes").status_code == 401
+    assert client.get("/notes", headers={"Authorization": "Bearer not-a-token"}).status_code == 401
+    # Tokens of other kinds do not work as access tokens
+    assert client.get("/notes", headers={"Authorization": f"Bearer {session['attachment_token']}"}).status_code == 401
+
+
+def test_refresh_tokens_work_once(client, sign_up):
+    session = sign_up()
+    refreshed = client.post("/auth/refresh", json={"refresh_token": session["refresh_token"]})
+    assert refreshed.status_code == 200
+    assert client.get("/auth/me", headers=bearer(refreshed.json())).status_code == 200
+
+    # Reusing the old token is rejected, and ends the session that replaced it as well
+    assert client.post("/auth/refresh", json={"refresh_token": session["refresh_token"]}).status_code == 401
+    assert client.post("/auth/refresh", json={"refresh_token": refreshed.json()["refresh_token"]}).status_code == 401
+
+
+def test_logging_out_revokes_the_refresh_token(client, sign_up):
+    session = sign_up()
+    assert client.post("/auth/logout", json={"refresh_token": session["refresh_token"]}).status_code == 200
+    assert client.post("/auth/refresh", json={"refresh_token": session["refresh_token"]}).status_code == 401
+
+
+def test_events_only_accept_an_events_token(client, sign_up):
+    session = sign_up()
+    assert client.get("/events").status_code == 401
+    assert client.get("/events", params={"token": session["access_token"]}).status_code == 401
+
+    response = client.post("/events/token", headers=bearer(session))
+    assert response.status_code == 200
+    # Only good for connecting to /events
+    assert client.get("/auth/me", headers={"Authorization": f"Bearer {response.json()['token']}"}).status_code == 401
+
+
+def test_public_notes_still_load_without_signing_in(client, sign_up):
+    # Share pages from before accounts fetched GET /notes/{id} anonymously
+    session = sign_up()
+    public = create_note(client, session, is_public=True)
+    private = create_note(client, session)
+
+    response = client.get(f"/notes/{public['id']}")
+    assert response.status_code == 200
+    assert response.json()["content"] == "Some thoughts"
+    assert client.get(f"/shared/{public['id']}").status_code == 200
+    assert client.get(f"/notes/{private['id']}").status_code == 401
+    assert client.get(f"/shared/{private['id']}").status_code == 403
@@ -0,0 +1,59 @@
+import main
+from conftest import bearer
+
+# Shape of what the browser sends for an encrypted note (enc:v1:<iv>:<ciphertext>)
+CIPHERTEXT = "enc:v1:AAAAAAAAAAAAAAAA:c2VjcmV0IHBsYW4="
+
+
+def save(client, session, note, **fields):
+    body = {"title": note["title"], "content": note["content"], "tags": note["tags"], "is_public": False, "version": note["version"], **fields}
+    response = client.put(f"/notes/{note['id']}", json=body, headers=bearer(session))
+    assert response.status_code == 200, response.text
+    return response.json()
+
+
+def test_encrypting_a_note_deletes_its_plain_text_history(client, sign_up):
+    session = sign_up()
+    note = client.post("/notes", json={"title": "Plan", "content": "first draft", "tags": "work"}, headers=bearer(session)).json()
+    note = save(client, session, note, content="second draft")
+    versions = client.get(f"/notes/{note['id']}/versions", headers=bearer(session)).json()
+    assert [version["content"] for version in versions] == ["second draft", "first draft"]
+
+    encrypted = save(client, session, note, content=CIPHERTEXT, is_encrypted=True)
+    assert encrypted["is_encrypted"] is True
+
+    versions = client.get(f"/notes/{note['id']}/versions", headers=bearer(session)).json()
+    assert [version["content"] for version in versions] == [CIPHERTEXT]
+    with main.SessionLocal() as db:
+        assert db.query(main.NoteVersion).filter(main.NoteVersion.note_id == note["id"]).count() == 0
+        assert db.query(main.NoteEmbedding).filter(main.NoteEmbedding.note_id == note["id"]).count() == 0
+
+    # Later edits of the encrypted note keep their (encrypted) history again
+    save(client, session, encrypted, content=CIPHERTEXT.replace("AAAA", "BBBB", 1))
+    versions = client.get(f"/notes/{note['id']}/versions", headers=bearer(session)).json()
+    assert len(versions) == 2
+
+
+def test_startup_re_embeds_only_notes_whose_text_changed(client, sign_up):
+    session = sign_up()
+    kept = client.post("/notes", json={"title": "Kept", "content": "nothing new here"}, headers=bearer(session)).json()
+    changed = client.post("/notes", json={"title": "Changed", "content": "old text"}, headers=bearer(session)).json()
+
+    def embedding_rows(note_id):
+        with main.SessionLocal() as db:
+            return [
+                (row.id, row.content_chunk)
+                for row in db.query(main.NoteEmbedding).filter(main.NoteEmbedding.note_id == note_id).order_by(main.NoteEmbedding.chunk_index)
+            ]
+
+    kept_rows = embedding_rows(kept["id"])
+    assert kept_rows
+    # As if the background embedding after an edit had failed
+    with main.SessionLocal() as db:
+        db.query(main.Note).filter(main.Note.id == changed["id"]).update({main.Note.content: "new text"})
+        db.commit()
+
+    main.refresh_stale_embeddings()
+
+    assert embedding_rows(kept["id"]) == kept_rows
+    assert [chunk for _, chunk in embedding_rows(changed["id"])] == ["Changed. new text."]
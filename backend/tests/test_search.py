@@ -0,0 +1,28 @@
+from conftest import bearer
+
+
+def test_keyword_search_finds_whole_words_in_your_own_notes(client, sign_up):
+    session, other = sign_up(), sign_up()
+    notes = {}
+    for title, content in [("Budget", "Quarterly budget review"), ("Garden", "Plant the budgeting seeds"), ("Trip", "Pack light")]:
+        notes[title] = client.post("/notes", json={"title": title, "content": content}, headers=bearer(session)).json()
+    client.post("/notes", json={"title": "Budget", "content": "Someone else's budget"}, headers=bearer(other))
+
+    response = client.post("/search", json={"query": "BUDGET", "search_type": "keyword"}, headers=bearer(session))
+    assert response.status_code == 200
+    # "budgeting" contains the word but is not it
+    assert [result["note"]["id"] for result in response.json()["results"]] == [notes["Budget"]["id"]]
+
+    client.delete(f"/notes/{notes['Budget']['id']}", headers=bearer(session))
+    response = client.post("/search", json={"query": "budget", "search_type": "keyword"}, headers=bearer(session))
+    assert response.json()["results"] == []
+
+
+def test_semantic_search_only_looks_at_your_own_notes(client, sign_up):
+    session, other = sign_up(), sign_up()
+    mine = client.post("/notes", json={"title": "Sourdough", "content": "Feed the starter flour and water"}, headers=bearer(session)).json()
+    client.post("/notes", json={"title": "Sourdough", "content": "Feed the starter flour and water"}, headers=bearer(other))
+
+    response = client.post("/search", json={"query": "sourdough starter", "search_type": "semantic"}, headers=bearer(session))
+    assert response.status_code == 200
+    assert [result["note"]["id"] for result in response.json()["results"]] == [mine["id"]]
@@ -0,0 +1,888 @@
+// Single entry point for talking to the Smart Notes API.
+//
+// Every request gets a timeout and can be cancelled through an AbortSignal.
+// Idempotent GETs are retried with exponential backoff. Failures are thrown as
+// ApiError, with FastAPI's `detail` payload flattened into a readable message,
+// and reported to error listeners (the toast system) unless `silent` is set.
+// While signed in, requests carry the access token; it is refreshed shortly
+// before it expires, and once more if the server still answers 401.
+
+import { randomId } from '../lib/ids';
+
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000';
+
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_GET_RETRIES = 2;
+const LIST_ALL_PAGE_SIZE = 100;
+const RETRY_BASE_DELAY = 500;
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Identifies this page load on writes, so live events caused by our own writes can be told apart
+export const CLIENT_ID = randomId();
+
+const SESSION_KEY = 'smart-notes-session';
+// Refresh the access token this long before it runs out
+const REFRESH_MARGIN = 60 * 1000;
+const REFRESH_LOCK = 'smart-notes-refresh';
+const EVENTS_RECONNECT_DELAY = 5000;
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string|null} encryption_salt Set once note encryption has been set up
+ * @property {string|null} encryption_check
+ * @property {string} created_at
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {number} expiresAt Epoch milliseconds when the access token expires
+ * @property {string} [attachmentToken] Goes in attachment URLs instead of the access token
+ * @property {User} user
+ */
+
+/**
+ * @typedef {Object} Note
+ * @property {string} id
+ * @property {string} title
+ * @property {string} content
+ * @property {boolean} is_public
+ * @property {number} version
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string} tags
+ * @property {number} view_count
+ * @property {string|null} [deleted_at] Set while the note is in the trash
+ * @property {boolean} is_encrypted Content (and maybe the title) is ciphertext; see lib/crypto.js
+ */
+
+/**
+ * @typedef {Note & { purge_at: string }} TrashedNote
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {string} id
+ * @property {string} note_id
+ * @property {string} filename
+ * @property {string} content_type
+ * @property {number} size Bytes
+ * @property {string} created_at
+ * @property {string} url Path on the API, e.g. /attachments/<id>
+ */
+
+/**
+ * @typedef {Object} NotePayload
+ * @property {string} title
+ * @property {string} content
+ * @property {boolean} is_public
+ * @property {string} tags
+ * @property {boolean} [is_encrypted] Content must then already be encrypted; left out on updates, it stays as it is
+ * @property {number} [version] Required for updates (optimistic concurrency check)
+ */
+
+/**
+ * @typedef {Object} Template
+ * @property {string} id
+ * @property {string} name
+ * @property {string} title May contain placeholders, see lib/templates.js
+ * @property {string} content
+ * @property {string} tags
+ * @property {boolean} is_public
+ * @property {boolean} is_daily The template behind "Today's note" (at most one)
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * @typedef {Object} NoteVersion
+ * @property {number} version
+ * @property {string} title
+ * @property {string} content
+ * @property {string} tags
+ * @property {boolean} is_public
+ * @property {string} saved_at
+ * @property {boolean} is_current True for the live note (always first)
+ */
+
+/**
+ * @typedef {Object} SearchRequest
+ * @property {string} query
+ * @property {'keyword'|'semantic'|'hybrid'} search_type
+ * @property {number} [limit]
+ * @property {boolean} [include_content]
+ */
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {Note} note
+ * @property {number} relevance_score
+ * @property {string[]} matched_chunks
+ */
+
+/**
+ * @typedef {Object} SearchResponse
+ * @property {SearchResult[]} results
+ * @property {number} total_found
+ * @property {number} search_time
+ * @property {string} search_type
+ */
+
+/**
+ * @typedef {Object} RelatedNote
+ * @property {string} note_id
+ * @property {string} title
+ * @property {string} tags
+ * @property {number} score Similarity from 0 to 1
+ * @property {string} passage The other note's passage closest to this text
+ */
+
+/**
+ * @typedef {Object} RelatedNotesResponse
+ * @property {RelatedNote[]} related Most similar first
+ * @property {RelatedNote[]} duplicates Notes so close overall they may be the same note
+ * @property {string[]} suggested_tags Tags of similar notes that this text does not have yet
+ */
+
+/**
+ * @typedef {Object} QueryStat
+ * @property {string} query
+ * @property {number} count
+ * @property {number} average_results
+ * @property {string} last_searched
+ */
+
+/**
+ * @typedef {Object} SearchAnalyticsReport
+ * @property {string} start First day (YYYY-MM-DD, UTC)
+ * @property {string} end Last day, inclusive
+ * @property {number} total_searches
+ * @property {number} average_response_time Seconds
+ * @property {number} zero_result_searches
+ * @property {Object<string, number>} search_types Searches per search type
+ * @property {QueryStat[]} popular_queries Most frequent first
+ * @property {QueryStat[]} zero_result_queries
+ * @property {Array<{ day: string, searches: number, average_response_time: number, zero_results: number }>} daily One entry per day in the range
+ */
+
+/**
+ * @typedef {Object} ChatSource
+ * @property {number} index Number used for [n] citations in the answer
+ * @property {string} note_id
+ * @property {string} title
+ * @property {string} excerpt
+ * @property {number} score
+ */
+
+/**
+ * @typedef {{ type: 'sources', sources: ChatSource[] }
+ *   | { type: 'token', text: string }
+ *   | { type: 'done', generator: string }
+ *   | { type: 'error', message: string }} ChatEvent
+ */
+
+/**
+ * @typedef {Object} NoteEvent
+ * @property {'created'|'updated'|'deleted'} type Deleted means moved to the trash
+ * @property {string} id
+ * @property {string|null} origin CLIENT_ID of the page that made the change
+ * @property {Note} [note] Not sent for deletes
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [method]
+ * @property {*} [body] Serialized as JSON
+ * @property {AbortSignal} [signal] Cancels the request (and any pending retry)
+ * @property {number} [timeout] Milliseconds per attempt
+ * @property {number} [retries] Extra attempts; only honoured for GET
+ * @property {boolean} [silent] Do not notify error listeners
+ */
+
+/** Normalized error for anything that goes wrong talking to the API */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ status?: number, code: 'http'|'network'|'timeout'|'aborted', detail?: * }} info
+   */
+  constructor(message, { status = 0, code, detail = null }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.detail = detail;
+  }
+
+  get isAborted() {
+    return this.code === 'aborted';
+  }
+
+  // The server could not be reached (or is still cold-starting)
+  get isOffline() {
+    return this.code === 'network' || this.code === 'timeout';
+  }
+
+  get isConflict() {
+    return this.status === 409;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+}
+
+// FastAPI sends `detail` as a string, or as a list of validation errors for 422s
+export const formatErrorDetail = (detail, fallback) => {
+  if (typeof detail === 'string' && detail) return detail;
+  if (Array.isArray(detail) && detail.length) {
+    return detail
+      .map((item) => {
+        const field = Array.isArray(item.loc) ? item.loc.filter((part) => part !== 'body').join('.') : '';
+        return field ? `${field}: ${item.msg}` : item.msg;
+      })
+      .join('; ');
+  }
+  return fallback;
+};
+
+const errorListeners = new Set();
+
+/**
+ * Subscribe to request failures that were not marked `silent` (aborts are never reported).
+ * @param {(error: ApiError) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToErrors = (listener) => {
+  errorListeners.add(listener);
+  return () => errorListeners.delete(listener);
+};
+
+const reportError = (error, silent) => {
+  if (!silent && !error.isAborted) {
+    errorListeners.forEach((listener) => listener(error));
+  }
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new ApiError('Request cancelled', { code: 'aborted' }));
+  }, { once: true });
+});
+
+const toApiError = async (response) => {
+  let detail = null;
+  try {
+    const data = await response.json();
+    detail = data?.detail ?? data;
+  } catch (error) {
+    // Non-JSON error body (proxy error page, etc.)
+  }
+  const message = formatErrorDetail(detail, `Request failed with status ${response.status}`);
+  return new ApiError(message, { status: response.status, code: 'http', detail });
+};
+
+// --- Session ---
+// Kept in localStorage so every tab shares it. Refresh tokens are single-use, so refreshes are
+// serialised across tabs (Web Locks) and a tab first checks whether another one already refreshed.
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+let session = readSession();
+const sessionListeners = new Set();
+
+/** @returns {Session|null} */
+export const getSession = () => session;
+
+/**
+ * Hear about sign-in, token refreshes and sign-out (in this tab or another one).
+ * @param {(session: Session|null) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export const subscribeToSession = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const notifySession = () => sessionListeners.forEach((listener) => listener(session));
+
+/** @param {Session|null} next */
+export const setSession = (next) => {
+  session = next;
+  try {
+    if (next) localStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    else localStorage.removeItem(SESSION_KEY);
+  } catch (error) {
+    // Storage unavailable: the session lasts as long as this tab
+  }
+  notifySession();
+};
+
+window.addEventListener('storage', (e) => {
+  if (e.key !== SESSION_KEY && e.key !== null) return;
+  session = readSession();
+  notifySession();
+});
+
+/** Session from an /auth/login, /auth/signup or /auth/refresh response */
+export const sessionFromAuth = (data) => ({
+  accessToken: data.access_token,
+  refreshToken: data.refresh_token,
+  expiresAt: Date.now() + data.expires_in * 1000,
+  // Read-only token for attachment URLs; renewed with the session
+  attachmentToken: data.attachment_token,
+  user: data.user
+});
+
+const isFresh = (candidate) => Boolean(candidate) && candidate.expiresAt - REFRESH_MARGIN > Date.now();
+
+const withRefreshLock = (work) => (navigator.locks ? navigator.locks.request(REFRESH_LOCK, work) : work());
+
+let refreshing = null;
+
+/**
+ * Swap the refresh token for a new session. Concurrent callers share one refresh.
+ * A rejected refresh token signs the user out; being offline does not.
+ * @param {string} [staleToken] Access token the server just refused, if any
+ * @returns {Promise<Session>}
+ */
+export const refreshSession = (staleToken) => {
+  if (!refreshing) {
+    refreshing = withRefreshLock(async () => {
+      const latest = readSession() || session;
+      if (!latest) throw new ApiError('Not signed in', { status: 401, code: 'http' });
+      if (latest.accessToken !== staleToken && isFresh(latest)) {
+        if (latest.accessToken !== session?.accessToken) setSession(latest);
+        return latest;
+      }
+      try {
+        const data = await attempt(`${API_BASE_URL}/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: latest.refreshToken })
+        }, { timeout: DEFAULT_TIMEOUT });
+        const next = sessionFromAuth(data);
+        setSession(next);
+        return next;
+      } catch (error) {
+        if (error.status === 401) setSession(null);
+        throw error;
+      }
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// Access token to send right now, refreshed first if it is about to expire; null when signed out
+const accessToken = async () => {
+  if (!session) return null;
+  if (isFresh(session)) return session.accessToken;
+  return (await refreshSession()).accessToken;
+};
+
+// The /auth endpoints manage tokens themselves
+const authHeaders = async (path) => {
+  if (path.startsWith('/auth/')) return {};
+  const token = await accessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// One attempt with its own timeout, linked to the caller's signal
+const attempt = async (url, init, { signal, timeout }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) throw await toApiError(response);
+    if (response.status === 204) return null;
+    return await response.json();
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    if (timedOut) throw new ApiError('The server took too long to respond', { code: 'timeout' });
+    if (error.name === 'AbortError') throw new ApiError('Request cancelled', { code: 'aborted' });
+    throw new ApiError('Could not reach the server', { code: 'network', detail: error.message });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+// An attempt with the current access token. If the server still refuses it (expired early, or the
+// server restarted with a new key), the session is refreshed and the attempt made once more.
+const authorizedAttempt = async (path, init, options) => {
+  const url = `${API_BASE_URL}${path}`;
+  const headers = { ...init.headers, ...(await authHeaders(path)) };
+  try {
+    return await attempt(url, { ...init, headers }, options);
+  } catch (error) {
+    if (error.status !== 401 || !headers.Authorization) throw error;
+    const refreshed = await refreshSession(headers.Authorization.slice('Bearer '.length));
+    return attempt(url, { ...init, headers: { ...headers, Authorization: `Bearer ${refreshed.accessToken}` } }, options);
+  }
+};
+
+const isRetryable = (error) => error.isOffline || RETRYABLE_STATUSES.has(error.status);
+
+/**
+ * @param {string} path
+ * @param {RequestOptions} [options]
+ */
+export const request = async (path, options = {}) => {
+  const {
+    method = 'GET',
+    body,
+    signal,
+    timeout = DEFAULT_TIMEOUT,
+    silent = false
+  } = options;
+  const retries = method === 'GET' ? (options.retries ?? DEFAULT_GET_RETRIES) : 0;
+
+  const init = { method, headers: {} };
+  // Only on writes: a custom header on GETs would cost a CORS preflight each time
+  if (method !== 'GET') init.headers['X-Client-Id'] = CLIENT_ID;
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  for (let attemptIndex = 0; ; attemptIndex++) {
+    try {
+      if (signal?.aborted) throw new ApiError('Request cancelled', { code: 'aborted' });
+      return await authorizedAttempt(path, init, { signal, timeout });
+    } catch (error) {
+      if (attemptIndex < retries && isRetryable(error)) {
+        await sleep(RETRY_BASE_DELAY * 2 ** attemptIndex, signal);
+        continue;
+      }
+      reportError(error, silent);
+      throw error;
+    }
+  }
+};
+
+/**
+ * POST that answers with newline-delimited JSON, calling `onEvent` for each line as it arrives.
+ * The timeout only covers the wait for the response to start.
+ * @param {string} path
+ * @param {RequestOptions & { onEvent: (event: Object) => void }} options
+ */
+export const streamRequest = async (path, { body, signal, timeout = DEFAULT_TIMEOUT, silent = false, onEvent }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Client-Id': CLIENT_ID, ...(await authHeaders(path)) },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    clearTimeout(timer);
+    if (!response.ok) throw await toApiError(response);
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += decoder.decode(value, { stream: !done });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter((line) => line.trim()).forEach((line) => onEvent(JSON.parse(line)));
+      if (done) break;
+    }
+    if (buffer.trim()) onEvent(JSON.parse(buffer));
+  } catch (error) {
+    let apiError = error;
+    if (!(error instanceof ApiError)) {
+      if (timedOut) apiError = new ApiError('The server took too long to respond', { code: 'timeout' });
+      else if (error.name === 'AbortError') apiError = new ApiError('Request cancelled', { code: 'aborted' });
+      else apiError = new ApiError('Could not reach the server', { code: 'network', detail: error.message });
+    }
+    reportError(apiError, silent);
+    throw apiError;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+/**
+ * Multipart POST of one file, reporting upload progress (fetch cannot, so this uses XHR).
+ * Only the wait for the server's answer after the last byte is sent is covered by `timeout`.
+ * @param {string} path
+ * @param {{ file: File, field?: string, signal?: AbortSignal, timeout?: number, silent?: boolean, onProgress?: (fraction: number) => void }} options
+ */
+export const uploadRequest = async (path, { file, field = 'file', signal, timeout = DEFAULT_TIMEOUT, silent = false, onProgress }) => {
+  let headers;
+  try {
+    headers = await authHeaders(path);
+  } catch (error) {
+    reportError(error, silent);
+    throw error;
+  }
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let timer = null;
+    const fail = (error) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
+      reportError(error, silent);
+      reject(error);
+    };
+    const abortFromCaller = () => xhr.abort();
+
+    xhr.open('POST', `${API_BASE_URL}${path}`);
+    xhr.setRequestHeader('X-Client-Id', CLIENT_ID);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress?.(e.loaded / e.total);
+    };
+    xhr.upload.onload = () => {
+      onProgress?.(1);
+      timer = setTimeout(() => {
+        xhr.abort();
+        fail(new ApiError('The server took too long to respond', { code: 'timeout' }));
+      }, timeout);
+    };
+    xhr.onload = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', abortFromCaller);
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch (error) {
+        // Non-JSON body (proxy error page, etc.)
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(data);
+        return;
+      }
+      const detail = data?.detail ?? data;
+      fail(new ApiError(formatErrorDetail(detail, `Request failed with status ${xhr.status}`), { status: xhr.status, code: 'http', detail }));
+    };
+    xhr.onerror = () => fail(new ApiError('Could not reach the server', { code: 'network' }));
+    xhr.onabort = () => {
+      if (signal?.aborted) fail(new ApiError('Request cancelled', { code: 'aborted' }));
+    };
+
+    if (signal?.aborted) {
+      fail(new ApiError('Request cancelled', { code: 'aborted' }));
+      return;
+    }
+    signal?.addEventListener('abort', abortFromCaller, { once: true });
+    const body = new FormData();
+    body.append(field, file, file.name);
+    xhr.send(body);
+  });
+};
+
+const query = (params) => {
+  const search = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) search.set(key, String(value));
+  });
+  const text = search.toString();
+  return text ? `?${text}` : '';
+};
+
+// --- Auth ---
+export const authApi = {
+  /**
+   * @param {{ email: string, password: string }} credentials Password of 8 to 72 characters
+   * @returns {Promise<{ access_token: string, refresh_token: string, token_type: string, expires_in: number, attachment_token: string, user: User }>} 409 if the email is taken
+   */
+  signup: (credentials, options) => request('/auth/signup', { ...options, method: 'POST', body: credentials }),
+
+  /** Same response as `signup`; 401 for a wrong email or password */
+  login: (credentials, options) => request('/auth/login', { ...options, method: 'POST', body: credentials }),
+
+  /** Revokes the refresh token; the access token simply runs out */
+  logout: (refreshToken, options) => request('/auth/logout', { ...options, method: 'POST', body: { refresh_token: refreshToken } }),
+
+  /** @returns {Promise<User>} */
+  me: (options) => request('/auth/me', options),
+
+  /**
+   * Store the salt and check value for note encryption (see lib/crypto.js). Only once per account: 409 after that.
+   * @param {{ salt: string, check: string }} settings
+   * @returns {Promise<User>}
+   */
+  setupEncryption: (settings, options) => request('/auth/encryption', { ...options, method: 'PUT', body: settings })
+};
+
+// --- Notes ---
+export const notesApi = {
+  /**
+   * @param {{
+   *   skip?: number,
+   *   limit?: number,
+   *   sortBy?: 'updated_at'|'created_at'|'title'|'view_count',
+   *   order?: 'asc'|'desc',
+   *   publicOnly?: boolean,
+   *   privateOnly?: boolean,
+   *   tags?: string[],
+   *   tagMode?: 'and'|'or',
+   *   encrypted?: boolean
+   * }} [params]
+   * @param {RequestOptions} [options]
+   * @returns {Promise<Note[]>}
+   */
+  list: ({ skip, limit = 50, sortBy, order, publicOnly, privateOnly, tags, tagMode, encrypted } = {}, options) => (
+    request(`/notes${query({
+      skip,
+      limit,
+      sort_by: sortBy,
+      order,
+      public_only: publicOnly,
+      private_only: privateOnly,
+      tags: tags?.length ? tags.join(',') : undefined,
+      tag_mode: tags?.length ? tagMode : undefined,
+      encrypted
+    })}`, options)
+  ),
+
+  /**
+   * Every note matching `params`, fetched page by page (exports, bulk tag edits)
+   * @param {Object} [params] Same filters as `list`, without skip/limit
+   * @param {RequestOptions} [options]
+   * @returns {Promise<Note[]>}
+   */
+  listAll: async (params = {}, options) => {
+    const notes = [];
+    for (let skip = 0; ; skip += LIST_ALL_PAGE_SIZE) {
+      const page = await notesApi.list({ ...params, skip, limit: LIST_ALL_PAGE_SIZE }, options);
+      notes.push(...page);
+      if (page.length < LIST_ALL_PAGE_SIZE) return notes;
+    }
+  },
+
+  /** @returns {Promise<Note>} One of your own notes */
+  get: (id, options) => request(`/notes/${encodeURIComponent(id)}`, options),
+
+  /** @returns {Promise<Note>} Anyone's note, as long as it is public (403 otherwise); no sign-in needed */
+  getShared: (id, options) => request(`/shared/${encodeURIComponent(id)}`, options),
+
+  /**
+   * @param {NotePayload} payload
+   * @returns {Promise<Note>}
+   */
+  create: (payload, options) => request('/notes', { ...options, method: 'POST', body: payload }),
+
+  /**
+   * @param {string} id
+   * @param {NotePayload} payload Must include the `version` being edited
+   * @returns {Promise<Note>}
+   */
+  update: (id, payload, options) => (
+    request(`/notes/${encodeURIComponent(id)}`, { ...options, method: 'PUT', body: payload })
+  ),
+
+  /**
+   * Your other notes most similar to a text, which need not be saved yet (encrypted notes are never
+   * included, and an encrypted note's text must not be sent)
+   * @param {{ title: string, content: string, tags?: string, note_id?: string|null, limit?: number }} payload
+   *   `note_id` is left out of the results
+   * @param {RequestOptions} [options]
+   * @returns {Promise<RelatedNotesResponse>}
+   */
+  related: (payload, options) => request('/notes/related', { ...options, method: 'POST', body: payload }),
+
+  /** @returns {Promise<Note[]>} Notes whose content links here with [[Title]] */
+  backlinks: (id, options) => request(`/notes/${encodeURIComponent(id)}/backlinks`, options),
+
+  /**
+   * Every note as a graph node, with an edge per resolved [[link]]
+   * @returns {Promise<{ nodes: Array<{ id: string, title: string, tags: string, created_at: string }>, links: Array<{ source: string, target: string }> }>}
+   */
+  graph: (options) => request('/graph', options),
+
+  /** @returns {Promise<NoteVersion[]>} Newest first, starting with the current version */
+  versions: (id, options) => request(`/notes/${encodeURIComponent(id)}/versions`, options),
+
+  /**
+   * Move a note to the trash (see `trashApi` to restore it)
+   * @returns {Promise<{ message: string, deleted_id: string, deleted_at: string, purge_at: string }>}
+   */
+  remove: (id, options) => request(`/notes/${encodeURIComponent(id)}`, { ...options, method: 'DELETE' })
+};
+
+// --- Trash ---
+export const trashApi = {
+  /** @returns {Promise<{ retention_days: number, notes: TrashedNote[] }>} Most recently deleted first */
+  list: (options) => request('/trash', options),
+
+  /** @returns {Promise<Note>} */
+  restore: (id, options) => request(`/trash/${encodeURIComponent(id)}/restore`, { ...options, method: 'POST' }),
+
+  /** @returns {Promise<{ message: string, deleted_id: string }>} */
+  purge: (id, options) => request(`/trash/${encodeURIComponent(id)}`, { ...options, method: 'DELETE' }),
+
+  /** @returns {Promise<{ message: string, deleted_count: number }>} */
+  empty: (options) => request('/trash', { ...options, method: 'DELETE' })
+};
+
+// --- Templates ---
+export const templatesApi = {
+  /** @returns {Promise<Template[]>} Sorted by name */
+  list: (options) => request('/templates', options),
+
+  /**
+   * @param {Omit<Template, 'id' | 'created_at' | 'updated_at'>} payload
+   * @returns {Promise<Template>}
+   */
+  create: (payload, options) => request('/templates', { ...options, method: 'POST', body: payload }),
+
+  /** @returns {Promise<Template>} Marking it `is_daily` unmarks the previous daily template */
+  update: (id, payload, options) => request(`/templates/${encodeURIComponent(id)}`, { ...options, method: 'PUT', body: payload }),
+
+  /** @returns {Promise<{ message: string, deleted_id: string }>} */
+  remove: (id, options) => request(`/templates/${encodeURIComponent(id)}`, { ...options, method: 'DELETE' })
+};
+
+// --- Attachments ---
+export const attachmentsApi = {
+  /** @returns {Promise<Attachment[]>} Oldest first */
+  list: (noteId, options) => request(`/notes/${encodeURIComponent(noteId)}/attachments`, options),
+
+  /**
+   * Upload a file into a note. Rejected with 413 (too large) or 415 (type not allowed).
+   * @param {string} noteId
+   * @param {File} file
+   * @param {{ onProgress?: (fraction: number) => void, signal?: AbortSignal, silent?: boolean }} [options]
+   * @returns {Promise<Attachment>}
+   */
+  upload: (noteId, file, options = {}) => (
+    uploadRequest(`/notes/${encodeURIComponent(noteId)}/attachments`, { ...options, file })
+  ),
+
+  /** @returns {Promise<{ message: string, deleted_id: string }>} */
+  remove: (id, options) => request(`/attachments/${encodeURIComponent(id)}`, { ...options, method: 'DELETE' }),
+
+  /**
+   * Absolute URL for an attachment path (as stored in notes); `download` asks the browser to save it.
+   * <img> and links cannot send headers, so the session's attachment token (good only for reading
+   * attachments) goes in the query string; attachments of public notes load without one.
+   */
+  url: (path, { download = false } = {}) => (
+    `${API_BASE_URL}${path}${query({ download: download || undefined, token: session?.attachmentToken })}`
+  )
+};
+
+// --- Tags ---
+export const tagsApi = {
+  /** @returns {Promise<Array<{ name: string, count: number }>>} Every tag in use, with its note count */
+  list: (options) => request('/tags', options)
+};
+
+// --- Search ---
+export const searchApi = {
+  /**
+   * @param {SearchRequest} params
+   * @param {RequestOptions} [options] Pass a `signal` to cancel a stale search
+   * @returns {Promise<SearchResponse>}
+   */
+  search: (params, options) => request('/search', { ...options, method: 'POST', body: params }),
+
+  /**
+   * Day-by-day search statistics for a date range
+   * @param {{ start?: string, end?: string, days?: number, limit?: number }} params Dates as YYYY-MM-DD
+   * @returns {Promise<SearchAnalyticsReport>}
+   */
+  report: (params, options) => request(`/analytics/search/report${query(params)}`, options)
+};
+
+// --- Chat ---
+export const chatApi = {
+  /**
+   * Ask a question about the notes; the answer streams in through `onEvent`.
+   * @param {{ question: string, history?: Array<{ role: 'user'|'assistant', content: string }>, top_k?: number }} payload
+   * @param {RequestOptions & { onEvent: (event: ChatEvent) => void }} options
+   */
+  ask: (payload, options) => streamRequest('/chat', { ...options, body: payload })
+};
+
+// --- Live events ---
+export const eventsApi = {
+  /**
+   * Follow changes to your notes pushed by the server (server-sent events). The browser reconnects on its own;
+   * `onOpen(reconnected)` runs on every (re)connection so callers can catch up on what they missed.
+   * @param {{ onEvent: (event: NoteEvent) => void, onOpen?: (reconnected: boolean) => void }} handlers
+   * @returns {() => void} close the stream
+   */
+  subscribe: ({ onEvent, onOpen }) => {
+    let source = null;
+    let opened = false;
+    let closed = false;
+    let timer = null;
+
+    // EventSource cannot send headers, so a short-lived events token goes in the URL. The browser gives up
+    // on an error response (a 401 once that token has expired), so then we reconnect ourselves with a new one.
+    const connect = async () => {
+      let token = null;
+      try {
+        if (session) ({ token } = await request('/events/token', { method: 'POST', silent: true }));
+      } catch (error) {
+        // Offline or signed out; try again later
+      }
+      if (closed) return;
+      if (!token) {
+        timer = setTimeout(connect, EVENTS_RECONNECT_DELAY);
+        return;
+      }
+      source = new EventSource(`${API_BASE_URL}/events${query({ token })}`);
+      source.addEventListener('open', () => {
+        onOpen?.(opened);
+        opened = true;
+      });
+      source.addEventListener('note', (e) => {
+        try {
+          onEvent(JSON.parse(e.data));
+        } catch (error) {
+          console.error('Ignoring malformed note event:', error);
+        }
+      });
+      source.addEventListener('error', () => {
+        if (source.readyState !== EventSource.CLOSED) return;
+        timer = setTimeout(connect, EVENTS_RECONNECT_DELAY);
+      });
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(timer);
+      source?.close();
+    };
+  }
+};
+
+// --- System ---
+export const systemApi = {
+  /** @returns {Promise<{ status: string, timestamp?: string, database?: Object, version?: string, error?: string }>} */
+  health: (options) => request('/health', options)
+};
@@ -0,0 +1,96 @@
+import React from 'react';
+import { AlertTriangle, Download, FileText, Paperclip, Plus, Trash2, X } from 'lucide-react';
+import { attachmentsApi } from '../api/client';
+import { formatBytes, isImageType } from '../lib/attachments';
+
+// A note's attachments (thumbnail, download, insert, remove) followed by the uploads still in flight
+function AttachmentList({ attachments, uploads = [], loading = false, onInsert, onRemove, onDismissUpload }) {
+  if (!attachments.length && !uploads.length && !loading) return null;
+
+  return (
+    <div>
+      <div className="flex items-center space-x-2 text-sm font-medium text-gray-700 mb-2">
+        <Paperclip className="h-4 w-4" />
+        <span>Attachments ({attachments.length})</span>
+      </div>
+      <ul className="space-y-1">
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-2 py-1.5">
+            <a
+              href={attachmentsApi.url(attachment.url)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="flex items-center space-x-2 min-w-0 text-sm text-gray-800 hover:text-indigo-700"
+            >
+              {isImageType(attachment.content_type) ? (
+                <img src={attachmentsApi.url(attachment.url)} alt="" className="h-8 w-8 object-cover rounded flex-shrink-0" />
+              ) : (
+                <FileText className="h-8 w-8 p-1.5 text-gray-400 flex-shrink-0" />
+              )}
+              <span className="truncate">{attachment.filename}</span>
+              <span className="text-xs text-gray-500 flex-shrink-0">{formatBytes(attachment.size)}</span>
+            </a>
+            <div className="flex items-center flex-shrink-0">
+              {onInsert && (
+                <button
+                  type="button"
+                  onClick={() => onInsert(attachment)}
+                  className="p-1.5 text-gray-400 hover:text-indigo-600"
+                  title="Insert into the note"
+                >
+                  <Plus className="h-4 w-4" />
+                </button>
+              )}
+              <a
+                href={attachmentsApi.url(attachment.url, { download: true })}
+                className="p-1.5 text-gray-400 hover:text-indigo-600"
+                title="Download"
+              >
+                <Download className="h-4 w-4" />
+              </a>
+              <button
+                type="button"
+                onClick={() => onRemove(attachment)}
+                className="p-1.5 text-gray-400 hover:text-red-600"
+                title="Remove"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          </li>
+        ))}
+        {uploads.map((upload) => (
+          <li key={upload.id} className="border border-dashed border-gray-300 rounded-lg px-2 py-1.5">
+            <div className="flex items-center justify-between text-sm">
+              <span className="truncate text-gray-700">{upload.name}</span>
+              {upload.error ? (
+                <button
+                  type="button"
+                  onClick={() => onDismissUpload(upload.id)}
+                  className="p-1 text-gray-400 hover:text-gray-600"
+                  title="Dismiss"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              ) : (
+                <span className="text-xs text-gray-500">{Math.round(upload.progress * 100)}%</span>
+              )}
+            </div>
+            {upload.error ? (
+              <p className="flex items-center space-x-1 text-xs text-red-600 mt-1">
+                <AlertTriangle className="h-3 w-3 flex-shrink-0" />
+                <span>{upload.error}</span>
+              </p>
+            ) : (
+              <div className="h-1 bg-gray-100 rounded-full overflow-hidden mt-1">
+                <div className="h-full bg-indigo-500 transition-all" style={{ width: `${upload.progress * 100}%` }} />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default AttachmentList;
@@ -0,0 +1,81 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { authApi, getSession, sessionFromAuth, setSession, subscribeToSession } from '../api/client';
+import { clearOfflineData } from '../lib/noteCache';
+import { clearDrafts } from '../hooks/useNoteDraft';
+import { clearStoredChat } from '../hooks/useChat';
+
+const AuthContext = createContext(null);
+
+// Id of the account whose notes are cached in this browser
+const DATA_OWNER_KEY = 'smart-notes-data-owner';
+// The service worker's copies of GET /notes responses (see sw.js)
+const NOTES_RESPONSE_CACHE = 'smart-notes-api-notes';
+
+// Offline cache, queued edits, drafts and the chat all hold one account's notes
+const clearLocalData = async () => {
+  clearDrafts();
+  clearStoredChat();
+  await Promise.all([
+    clearOfflineData().catch((error) => console.error('Failed to clear offline cache:', error)),
+    window.caches?.delete(NOTES_RESPONSE_CACHE)
+  ]);
+};
+
+// Signed-in user and the sign-up / sign-in / sign-out actions. The session itself lives in
+// api/client.js, which also ends it when a refresh is refused (e.g. after a long absence).
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+
+  useEffect(() => subscribeToSession((session) => setUser(session?.user || null)), []);
+
+  // Signing back in to the same account keeps its offline cache and queued edits
+  const startSession = useCallback(async (data) => {
+    if (localStorage.getItem(DATA_OWNER_KEY) !== data.user.id) {
+      await clearLocalData();
+      localStorage.setItem(DATA_OWNER_KEY, data.user.id);
+    }
+    setSession(sessionFromAuth(data));
+  }, []);
+
+  // Errors are left to the forms, which show them inline
+  const signIn = useCallback(async (credentials) => {
+    await startSession(await authApi.login(credentials, { silent: true }));
+  }, [startSession]);
+
+  const signUp = useCallback(async (credentials) => {
+    await startSession(await authApi.signup(credentials, { silent: true }));
+  }, [startSession]);
+
+  const signOut = useCallback(async () => {
+    const session = getSession();
+    setSession(null);
+    localStorage.removeItem(DATA_OWNER_KEY);
+    await clearLocalData();
+    if (session) authApi.logout(session.refreshToken, { silent: true }).catch(() => {});
+  }, []);
+
+  // Account details changed (e.g. encryption set up); the tokens stay the same
+  const updateUser = useCallback((next) => {
+    const session = getSession();
+    if (session) setSession({ ...session, user: next });
+  }, []);
+
+  const value = useMemo(() => ({ user, signIn, signUp, signOut, updateUser }), [user, signIn, signUp, signOut, updateUser]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export const useAuth = () => {
+  const auth = useContext(AuthContext);
+  if (!auth) throw new Error('useAuth must be used inside <AuthProvider>');
+  return auth;
+};
+
+// Sends signed-out visitors to /login, which brings them back here afterwards
+export function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  return children;
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckSquare, Download, Globe, Lock, Tag, Trash2, X } from 'lucide-react';
+import TagInput from './TagInput.jsx';
+import { parseTags } from '../lib/tags';
+
+const MAX_LISTED_FAILURES = 5;
+
+// Floating bar for the selected notes: batch actions, then the running batch's progress and failures
+function BulkActionBar({
+  count,
+  job,
+  tagSuggestions = [],
+  selectingAll = false,
+  onSelectAll,
+  onClear,
+  onDelete,
+  onSetVisibility,
+  onEditTags,
+  onExport,
+  onSelectFailed,
+  onDismissJob
+}) {
+  const [tagDraft, setTagDraft] = useState('');
+  const [menu, setMenu] = useState(null);
+  const busy = Boolean(job?.running);
+
+  const applyTags = (remove) => {
+    const tags = parseTags(tagDraft);
+    if (!tags.length) return;
+    onEditTags(tags, remove);
+    setTagDraft('');
+    setMenu(null);
+  };
+
+  const exportAs = (format) => {
+    onExport(format);
+    setMenu(null);
+  };
+
+  if (!count && !job) return null;
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-30 w-full max-w-3xl px-4">
+      <div className="bg-gray-900 text-white rounded-xl shadow-xl">
+        {job && (
+          <div className="px-4 pt-3">
+            <div className="flex items-center justify-between text-xs text-gray-300 mb-1">
+              <span>{job.running ? `${job.label}...` : `${job.label}: ${job.failed.length} failed`}</span>
+              <span>{job.done} / {job.total}</span>
+            </div>
+            <div className="h-1.5 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full transition-all ${job.failed.length ? 'bg-red-400' : 'bg-indigo-400'}`}
+                style={{ width: `${job.total ? (job.done / job.total) * 100 : 0}%` }}
+              />
+            </div>
+            {!job.running && job.failed.length > 0 && (
+              <div className="mt-2 text-xs">
+                <ul className="space-y-0.5 text-gray-300">
+                  {job.failed.slice(0, MAX_LISTED_FAILURES).map(({ note, message }) => (
+                    <li key={note.id} className="flex items-center space-x-1">
+                      <AlertTriangle className="h-3 w-3 text-red-400 flex-shrink-0" />
+                      <span className="truncate">{note.title || 'Untitled'}</span>
+                      <span className="text-gray-500">— {message}</span>
+                    </li>
+                  ))}
+                  {job.failed.length > MAX_LISTED_FAILURES && (
+                    <li className="text-gray-500">and {job.failed.length - MAX_LISTED_FAILURES} more</li>
+                  )}
+                </ul>
+                <div className="flex space-x-3 mt-1">
+                  <button onClick={onSelectFailed} className="text-indigo-300 hover:text-indigo-200">Select failed</button>
+                  <button onClick={onDismissJob} className="text-gray-400 hover:text-gray-200">Dismiss</button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {count > 0 && (
+          <div className="relative flex flex-wrap items-center gap-2 px-4 py-3">
+            <span className="text-sm font-medium mr-2">{count} selected</span>
+            <button
+              onClick={onSelectAll}
+              disabled={selectingAll}
+              className="flex items-center space-x-1 text-xs text-gray-300 hover:text-white disabled:opacity-50"
+            >
+              <CheckSquare className="h-3.5 w-3.5" />
+              <span>{selectingAll ? 'Selecting...' : 'Select all in view'}</span>
+            </button>
+            <div className="flex-1" />
+            <button
+              onClick={() => setMenu(menu === 'tags' ? null : 'tags')}
+              disabled={busy}
+              className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              title="Add or remove tags"
+            >
+              <Tag className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onSetVisibility(true)}
+              disabled={busy}
+              className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              title="Make public"
+            >
+              <Globe className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => onSetVisibility(false)}
+              disabled={busy}
+              className="p-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+              title="Make private"
+            >
+              <Lock className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setMenu(menu === 'export' ? null : 'export')}
+              className="p-2 rounded-lg hover:bg-gray-700"
+              title="Export selected"
+            >
+              <Download className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onDelete}
+              disabled={busy}
+              className="p-2 rounded-lg text-red-300 hover:bg-gray-700 disabled:opacity-50"
+              title="Delete selected"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+            <button onClick={onClear} className="p-2 rounded-lg text-gray-400 hover:bg-gray-700" title="Clear selection (Esc)">
+              <X className="h-4 w-4" />
+            </button>
+
+            {menu === 'tags' && (
+              <div className="absolute bottom-full right-4 mb-2 w-72 bg-white text-gray-900 rounded-lg shadow-lg p-3">
+                <TagInput value={tagDraft} onChange={setTagDraft} suggestions={tagSuggestions} placeholder="Tags to add or remove..." />
+                <div className="flex justify-end space-x-2 mt-2">
+                  <button
+                    onClick={() => applyTags(true)}
+                    disabled={!tagDraft}
+                    className="px-3 py-1 text-xs border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                  <button
+                    onClick={() => applyTags(false)}
+                    disabled={!tagDraft}
+                    className="px-3 py-1 text-xs bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    Add
+                  </button>
+                </div>
+              </div>
+            )}
+            {menu === 'export' && (
+              <div className="absolute bottom-full right-4 mb-2 w-48 bg-white text-gray-900 rounded-lg shadow-lg py-1 text-sm">
+                <button onClick={() => exportAs('markdown')} className="block w-full text-left px-3 py-2 hover:bg-gray-50">
+                  Markdown (.zip)
+                </button>
+                <button onClick={() => exportAs('json')} className="block w-full text-left px-3 py-2 hover:bg-gray-50">
+                  JSON backup
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
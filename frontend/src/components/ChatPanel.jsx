@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageSquare, Send, Square, Trash2, X, FileText } from 'lucide-react';
+import useChat from '../hooks/useChat';
+
+const CITATION_PATTERN = /\[(\d+)\]/g;
+
+// Answer text with each [n] turned into a link to source n
+const AnswerText = ({ text, sources, onCite }) => {
+  const parts = [];
+  let lastIndex = 0;
+  text.replace(CITATION_PATTERN, (match, number, offset) => {
+    parts.push(text.slice(lastIndex, offset));
+    const source = sources.find((item) => item.index === Number(number));
+    parts.push(source ? (
+      <button
+        key={offset}
+        onClick={() => onCite(source)}
+        title={source.title}
+        className="inline-flex items-center align-super text-[0.65rem] font-medium text-indigo-700 bg-indigo-100 hover:bg-indigo-200 rounded px-1 mx-0.5"
+      >
+        {number}
+      </button>
+    ) : match);
+    lastIndex = offset + match.length;
+    return match;
+  });
+  parts.push(text.slice(lastIndex));
+  return <>{parts}</>;
+};
+
+// Slide-over "Ask my notes" chat with streamed, cited answers
+function ChatPanel({ onOpenNote, onClose }) {
+  const { messages, isStreaming, ask, stop, clear } = useChat();
+  const [question, setQuestion] = useState('');
+  const [expandedSource, setExpandedSource] = useState(null);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'end' });
+  }, [messages]);
+
+  const submit = () => {
+    if (!question.trim() || isStreaming) return;
+    ask(question);
+    setQuestion('');
+  };
+
+  // Clicking a citation highlights its excerpt under the answer
+  const cite = (messageIndex, source) => {
+    setExpandedSource(`${messageIndex}:${source.index}`);
+  };
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white shadow-xl border-l z-40 flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b">
+        <div className="flex items-center space-x-2">
+          <MessageSquare className="h-5 w-5 text-indigo-600" />
+          <h2 className="font-semibold text-gray-900">Ask my notes</h2>
+        </div>
+        <div className="flex items-center space-x-1">
+          {messages.length > 0 && (
+            <button onClick={clear} className="p-2 text-gray-400 hover:text-red-600" title="Clear conversation">
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-4 space-y-4">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-500 text-center mt-8">
+            Ask a question and get an answer grounded in your notes, with links to the passages it came from.
+          </p>
+        )}
+
+        {messages.map((message, idx) => (
+          message.role === 'user' ? (
+            <div key={idx} className="flex justify-end">
+              <div className="max-w-[85%] bg-indigo-600 text-white text-sm rounded-lg px-3 py-2 whitespace-pre-wrap">
+                {message.content}
+              </div>
+            </div>
+          ) : (
+            <div key={idx} className="space-y-2">
+              <div className="bg-gray-100 text-gray-800 text-sm rounded-lg px-3 py-2 whitespace-pre-wrap">
+                {message.content ? (
+                  <AnswerText text={message.content} sources={message.sources} onCite={(source) => cite(idx, source)} />
+                ) : message.streaming && (
+                  <span className="text-gray-400">Thinking...</span>
+                )}
+                {message.streaming && message.content && <span className="inline-block w-1.5 h-4 ml-0.5 align-middle bg-gray-400 animate-pulse" />}
+                {message.error && <div className="text-xs text-red-600 mt-1">{message.error}</div>}
+              </div>
+
+              {message.sources.length > 0 && (
+                <ol className="space-y-1">
+                  {message.sources.map((source) => {
+                    const key = `${idx}:${source.index}`;
+                    const expanded = expandedSource === key;
+                    return (
+                      <li key={key} className={`text-xs rounded border ${expanded ? 'border-indigo-300 bg-indigo-50' : 'border-gray-200'}`}>
+                        <div className="flex items-center justify-between px-2 py-1">
+                          <button
+                            onClick={() => setExpandedSource(expanded ? null : key)}
+                            className="flex items-center space-x-1 text-gray-700 hover:text-indigo-700 min-w-0"
+                          >
+                            <span className="font-medium text-indigo-700">[{source.index}]</span>
+                            <span className="truncate">{source.title}</span>
+                          </button>
+                          <button
+                            onClick={() => onOpenNote(source.note_id)}
+                            className="flex-shrink-0 p-1 text-gray-400 hover:text-indigo-600"
+                            title="Open note"
+                          >
+                            <FileText className="h-3 w-3" />
+                          </button>
+                        </div>
+                        {expanded && (
+                          <div className="px-2 pb-2 text-gray-600">"{source.excerpt}"</div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ol>
+              )}
+            </div>
+          )
+        ))}
+        <div ref={bottomRef} />
+      </div>
+
+      <div className="border-t p-3">
+        <div className="flex items-end space-x-2">
+          <textarea
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                submit();
+              }
+            }}
+            rows={2}
+            placeholder="Ask about your notes..."
+            className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg resize-none focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+          {isStreaming ? (
+            <button onClick={stop} className="p-2 bg-gray-200 text-gray-700 rounded-lg hover:bg-gray-300" title="Stop">
+              <Square className="h-4 w-4" />
+            </button>
+          ) : (
+            <button
+              onClick={submit}
+              disabled={!question.trim()}
+              className="p-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+              title="Send"
+            >
+              <Send className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Search } from 'lucide-react';
+import { fuzzyMatch, matchParts } from '../lib/fuzzy';
+
+const MAX_RESULTS = 50;
+// With an empty query: all actions, then this many notes
+const DEFAULT_NOTE_COUNT = 8;
+
+/**
+ * Ctrl/Cmd+K palette over actions and note titles.
+ * @param {{ items: Array<{ id: string, label: string, group: string, icon?: Function, shortcut?: string, run: Function }>, onClose: Function }} props
+ */
+function CommandPalette({ items, onClose }) {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    if (!query.trim()) {
+      const notes = items.filter((item) => item.group === 'Notes').slice(0, DEFAULT_NOTE_COUNT);
+      return [...items.filter((item) => item.group !== 'Notes'), ...notes].map((item) => ({ item, indices: [] }));
+    }
+    return items
+      .map((item) => ({ item, match: fuzzyMatch(query, item.label) }))
+      .filter(({ match }) => match)
+      .sort((a, b) => b.match.score - a.match.score)
+      .slice(0, MAX_RESULTS)
+      .map(({ item, match }) => ({ item, indices: match.indices }));
+  }, [items, query]);
+
+  useEffect(() => {
+    setActive(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.querySelector(`[data-index="${active}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [active]);
+
+  const run = (item) => {
+    onClose();
+    item.run();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && results.length) {
+      e.preventDefault();
+      setActive((active + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length) {
+      e.preventDefault();
+      setActive(active <= 0 ? results.length - 1 : active - 1);
+    } else if (e.key === 'Enter' && results[active]) {
+      e.preventDefault();
+      run(results[active].item);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-40 flex items-start justify-center p-4 pt-[15vh] z-[70]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-xl w-full overflow-hidden">
+        <div className="flex items-center px-4 border-b">
+          <Search className="h-4 w-4 text-gray-400" />
+          <input
+            autoFocus
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            role="combobox"
+            aria-expanded="true"
+            aria-controls="command-palette-results"
+            aria-activedescendant={results[active] ? `command-${results[active].item.id}` : undefined}
+            className="flex-1 px-3 py-3 text-sm border-0 focus:ring-0 focus:outline-none"
+            placeholder="Search notes and actions..."
+          />
+        </div>
+
+        <ul id="command-palette-results" ref={listRef} role="listbox" className="max-h-96 overflow-y-auto py-1">
+          {results.length === 0 && (
+            <li className="px-4 py-6 text-sm text-gray-500 text-center">Nothing matches "{query}"</li>
+          )}
+          {results.map(({ item, indices }, idx) => {
+            const Icon = item.icon;
+            return (
+              <li
+                key={item.id}
+                id={`command-${item.id}`}
+                data-index={idx}
+                role="option"
+                aria-selected={idx === active}
+                onMouseMove={() => setActive(idx)}
+                onClick={() => run(item)}
+                className={`flex items-center justify-between px-4 py-2 text-sm cursor-pointer ${
+                  idx === active ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700'
+                }`}
+              >
+                <span className="flex items-center space-x-2 min-w-0">
+                  {Icon && <Icon className="h-4 w-4 shrink-0 text-gray-400" />}
+                  <span className="truncate">
+                    {matchParts(item.label, indices).map((part, partIdx) => (
+                      part.match
+                        ? <span key={partIdx} className="font-semibold text-indigo-700">{part.text}</span>
+                        : <React.Fragment key={partIdx}>{part.text}</React.Fragment>
+                    ))}
+                  </span>
+                </span>
+                <span className="flex items-center space-x-2 shrink-0 ml-3">
+                  {item.shortcut && (
+                    <kbd className="text-xs text-gray-500 bg-gray-100 border border-gray-200 rounded px-1.5">{item.shortcut}</kbd>
+                  )}
+                  <span className="text-xs text-gray-400">{item.group}</span>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
@@ -0,0 +1,198 @@
+import React, { useState, useMemo } from 'react';
+import { AlertTriangle, GitMerge } from 'lucide-react';
+import { mergeLines, applyChoices, hasConflictMarkers } from '../lib/merge';
+import { formatDate } from '../utils';
+
+const splitTags = (tags) => (tags || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+
+const FIELDS = [
+  {
+    key: 'title',
+    label: 'Title',
+    rows: 2,
+    toLines: (value) => (value || '').split('\n'),
+    fromLines: (lines) => lines.join('\n')
+  },
+  {
+    key: 'content',
+    label: 'Content',
+    rows: 10,
+    toLines: (value) => (value || '').split('\n'),
+    fromLines: (lines) => lines.join('\n')
+  },
+  {
+    // Tags are merged one tag per "line"; conflicting tag edits keep both sides by default
+    key: 'tags',
+    label: 'Tags',
+    rows: 2,
+    defaultChoice: 'both',
+    toLines: splitTags,
+    fromLines: (lines) => [...new Set(lines)].join(', ')
+  }
+];
+
+const SOURCE_STYLES = {
+  base: { label: null, className: 'border-gray-200 text-gray-600' },
+  both: { label: 'Same change on both sides', className: 'border-green-400 bg-green-50 text-green-900' },
+  mine: { label: 'Your change', className: 'border-indigo-400 bg-indigo-50 text-indigo-900' },
+  theirs: { label: 'Their change', className: 'border-amber-400 bg-amber-50 text-amber-900' }
+};
+
+const LineBlock = ({ lines, className = '' }) => (
+  <pre className={`text-xs whitespace-pre-wrap break-words font-mono p-2 rounded min-h-[2rem] ${className}`}>
+    {lines.length ? lines.join('\n') : <span className="italic text-gray-400">(empty)</span>}
+  </pre>
+);
+
+// Three-way merge screen shown when PUT /notes/{id} answers 409
+function ConflictResolver({ base, mine, theirs, saving, cancelLabel = 'Back to editor', onResolve, onCancel }) {
+  const hunksByField = useMemo(() => (
+    Object.fromEntries(FIELDS.map((field) => [
+      field.key,
+      mergeLines(field.toLines(base[field.key]), field.toLines(mine[field.key]), field.toLines(theirs[field.key]))
+    ]))
+  ), [base, mine, theirs]);
+
+  const [choices, setChoices] = useState(() => (
+    Object.fromEntries(FIELDS.map((field) => [
+      field.key,
+      hunksByField[field.key].filter((hunk) => hunk.type === 'conflict').map(() => field.defaultChoice || null)
+    ]))
+  ));
+  const [overrides, setOverrides] = useState({});
+
+  const merged = Object.fromEntries(FIELDS.map((field) => [
+    field.key,
+    overrides[field.key] ?? field.fromLines(applyChoices(hunksByField[field.key], choices[field.key]))
+  ]));
+
+  const unresolved = FIELDS.filter((field) => hasConflictMarkers(merged[field.key]));
+  const canSave = !saving && !unresolved.length && merged.title.trim() && merged.content.trim();
+
+  const chooseHunk = (fieldKey, conflictIndex, choice) => {
+    setChoices({
+      ...choices,
+      [fieldKey]: choices[fieldKey].map((current, i) => (i === conflictIndex ? choice : current))
+    });
+    // Picking a hunk rebuilds the merged text from the hunk choices
+    setOverrides({ ...overrides, [fieldKey]: undefined });
+  };
+
+  const renderHunks = (field) => {
+    let conflictIndex = -1;
+    return hunksByField[field.key].map((hunk, idx) => {
+      if (hunk.type === 'ok') {
+        const style = SOURCE_STYLES[hunk.source];
+        return (
+          <div key={idx} className={`border-l-4 pl-2 ${style.className}`}>
+            {style.label && <div className="text-xs font-medium mb-1">{style.label}</div>}
+            <LineBlock lines={hunk.lines} />
+          </div>
+        );
+      }
+
+      conflictIndex += 1;
+      const index = conflictIndex;
+      const choice = choices[field.key][index];
+      const optionClass = (value) => `px-3 py-1 text-xs rounded-lg border transition-colors ${
+        choice === value
+          ? 'bg-indigo-600 text-white border-indigo-600'
+          : 'text-gray-700 border-gray-300 hover:bg-gray-50'
+      }`;
+
+      return (
+        <div key={idx} className="border border-red-200 bg-red-50 rounded-lg p-3">
+          <div className="flex items-center space-x-2 text-xs font-medium text-red-800 mb-2">
+            <AlertTriangle className="h-3 w-3" />
+            <span>Conflicting change</span>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-2">
+            <div>
+              <div className="text-xs text-gray-500 mb-1">Base</div>
+              <LineBlock lines={hunk.base} className="bg-white border border-gray-200 text-gray-600" />
+            </div>
+            <div>
+              <div className="text-xs text-indigo-700 mb-1">Mine</div>
+              <LineBlock lines={hunk.mine} className="bg-white border border-indigo-200 text-indigo-900" />
+            </div>
+            <div>
+              <div className="text-xs text-amber-700 mb-1">Theirs</div>
+              <LineBlock lines={hunk.theirs} className="bg-white border border-amber-200 text-amber-900" />
+            </div>
+          </div>
+          <div className="flex justify-end space-x-2">
+            <button onClick={() => chooseHunk(field.key, index, 'mine')} className={optionClass('mine')}>
+              Use mine
+            </button>
+            <button onClick={() => chooseHunk(field.key, index, 'theirs')} className={optionClass('theirs')}>
+              Use theirs
+            </button>
+            <button onClick={() => chooseHunk(field.key, index, 'both')} className={optionClass('both')}>
+              Use both
+            </button>
+          </div>
+        </div>
+      );
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6">
+          <div className="flex items-center space-x-3 mb-2">
+            <GitMerge className="h-6 w-6 text-indigo-600" />
+            <h2 className="text-xl font-bold text-gray-900">Resolve conflicting edits</h2>
+          </div>
+          <p className="text-sm text-gray-600 mb-6">
+            This note was saved by someone else (version {theirs.version}, {formatDate(theirs.updated_at)})
+            while you were editing version {base.version}. Pick a side for each conflicting change or edit
+            the merged result, then save it as a new version.
+          </p>
+
+          <div className="space-y-8">
+            {FIELDS.map((field) => (
+              <section key={field.key}>
+                <h3 className="text-sm font-semibold text-gray-900 mb-2">{field.label}</h3>
+                <div className="space-y-2 mb-3 max-h-80 overflow-y-auto">
+                  {renderHunks(field)}
+                </div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Merged {field.label.toLowerCase()}</label>
+                <textarea
+                  value={merged[field.key]}
+                  onChange={(e) => setOverrides({ ...overrides, [field.key]: e.target.value })}
+                  rows={field.rows}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                />
+              </section>
+            ))}
+          </div>
+
+          {unresolved.length > 0 && (
+            <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+              Resolve the remaining conflicts in: {unresolved.map((field) => field.label).join(', ')}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              {cancelLabel}
+            </button>
+            <button
+              onClick={() => onResolve(merged)}
+              disabled={!canSave}
+              className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+            >
+              {saving ? 'Saving...' : 'Save merged version'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictResolver;
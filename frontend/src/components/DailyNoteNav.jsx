@@ -0,0 +1,34 @@
+import React from 'react';
+import { CalendarDays, ChevronLeft, ChevronRight } from 'lucide-react';
+import { dailyNoteTitle, shiftDays } from '../lib/templates';
+
+// Previous/next day links above the editor while it holds the daily note for `date`
+function DailyNoteNav({ date, onOpen }) {
+  const previous = shiftDays(date, -1);
+  const next = shiftDays(date, 1);
+
+  return (
+    <div className="flex items-center justify-between text-sm">
+      <button
+        onClick={() => onOpen(previous)}
+        className="flex items-center space-x-1 text-indigo-600 hover:text-indigo-700"
+      >
+        <ChevronLeft className="h-4 w-4" />
+        <span>{dailyNoteTitle(previous)}</span>
+      </button>
+      <span className="flex items-center space-x-1 text-gray-500">
+        <CalendarDays className="h-4 w-4" />
+        <span>{date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+      </span>
+      <button
+        onClick={() => onOpen(next)}
+        className="flex items-center space-x-1 text-indigo-600 hover:text-indigo-700"
+      >
+        <span>{dailyNoteTitle(next)}</span>
+        <ChevronRight className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+export default DailyNoteNav;
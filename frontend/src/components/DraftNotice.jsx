@@ -0,0 +1,33 @@
+import React from 'react';
+import { formatDate } from '../utils';
+
+// Offers the draft kept in this browser for the note being opened. `noteVersion` is the version of
+// the note as saved, so a draft started from an older one can say so.
+function DraftNotice({ draft, noteVersion, onDiscard, onRestore }) {
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 flex items-center justify-between gap-3">
+      <div className="text-sm text-blue-800">
+        <strong>Unsaved draft</strong> from {formatDate(draft.saved_at)}.
+        {noteVersion !== undefined && draft.base_version < noteVersion && (
+          <> The note has been updated since; restoring replaces those changes.</>
+        )}
+      </div>
+      <div className="flex items-center space-x-2 shrink-0">
+        <button
+          onClick={onDiscard}
+          className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-white transition-colors"
+        >
+          Discard
+        </button>
+        <button
+          onClick={onRestore}
+          className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+        >
+          Restore
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DraftNotice;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { AlertTriangle, KeyRound, X } from 'lucide-react';
+
+const MIN_PASSPHRASE_LENGTH = 10;
+
+// Passphrase prompt for encrypted notes: choosing one the first time (`setup`), entering it afterwards (`unlock`).
+// `reason` says what the user was trying to do when the dialog opened. The parent closes the dialog
+// once onSetUp/onUnlock resolves; onClose is for giving up.
+function EncryptionDialog({ mode, reason, onSetUp, onUnlock, onClose }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [understood, setUnderstood] = useState(false);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+  const setup = mode === 'setup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (setup && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters. A few random words work well.`);
+      return;
+    }
+    if (setup && passphrase !== confirmPassphrase) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    setWorking(true);
+    setError('');
+    try {
+      await (setup ? onSetUp(passphrase) : onUnlock(passphrase));
+    } catch (err) {
+      setError(err.message);
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && !working) onClose();
+      }}
+    >
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl max-w-md w-full p-6 space-y-4" noValidate>
+        <div className="flex justify-between items-center">
+          <div className="flex items-center space-x-3">
+            <KeyRound className="h-6 w-6 text-indigo-600" />
+            <h2 className="text-xl font-bold text-gray-900">
+              {setup ? 'Set up encrypted notes' : 'Unlock encrypted notes'}
+            </h2>
+          </div>
+          <button type="button" onClick={onClose} disabled={working} className="text-gray-400 hover:text-gray-600">
+            <span className="sr-only">Close</span>
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {reason && <p className="text-sm text-gray-600">{reason}</p>}
+
+        {setup ? (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-sm text-amber-900 space-y-2">
+            <p className="flex items-center space-x-2 font-medium">
+              <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+              <span>If you forget this passphrase, your encrypted notes are lost.</span>
+            </p>
+            <p>
+              Notes are encrypted in this browser before they are saved, and the passphrase is never sent to the server.
+              Nobody can reset it or recover your notes without it. It cannot be changed later.
+            </p>
+            <p>Tags, attachments and the rest of your notes are not encrypted.</p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-600">
+            The passphrase stays in this tab until you lock your notes, close the tab or are away for 15 minutes.
+          </p>
+        )}
+
+        {error && (
+          <div role="alert" className="bg-red-50 border border-red-200 text-red-800 text-sm rounded-lg p-3">
+            {error}
+          </div>
+        )}
+
+        <div>
+          <label htmlFor="encryption-passphrase" className="block text-sm font-medium text-gray-700 mb-1">Passphrase</label>
+          <input
+            id="encryption-passphrase"
+            type="password"
+            autoComplete={setup ? 'new-password' : 'current-password'}
+            autoFocus
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+          />
+        </div>
+
+        {setup && (
+          <>
+            <div>
+              <label htmlFor="encryption-confirm" className="block text-sm font-medium text-gray-700 mb-1">Confirm passphrase</label>
+              <input
+                id="encryption-confirm"
+                type="password"
+                autoComplete="new-password"
+                value={confirmPassphrase}
+                onChange={(e) => setConfirmPassphrase(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+            <label className="flex items-start space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={understood}
+                onChange={(e) => setUnderstood(e.target.checked)}
+                className="mt-0.5 h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+              />
+              <span>I understand that a lost passphrase cannot be recovered, and I have stored it somewhere safe.</span>
+            </label>
+          </>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={working}
+            className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={working || !passphrase || (setup && !understood)}
+            className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {working ? (setup ? 'Setting up...' : 'Unlocking...') : (setup ? 'Set passphrase' : 'Unlock')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default EncryptionDialog;
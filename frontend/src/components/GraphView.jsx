@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Network, X, ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { sharedTagLinks } from '../lib/wikiLinks';
+
+// Force simulation tuning
+const LINK_DISTANCE = 90;
+const LINK_STRENGTH = 0.03;
+const REPULSION = 2200;
+const CENTER_GRAVITY = 0.004;
+const DAMPING = 0.82;
+const ALPHA_DECAY = 0.985;
+const ALPHA_MIN = 0.01;
+const MIN_SCALE = 0.2;
+const MAX_SCALE = 4;
+// Pointer movement (px) below which a press on a node counts as a click
+const CLICK_SLOP = 4;
+
+const COLORS = {
+  node: '#6366f1',
+  orphan: '#9ca3af',
+  highlight: '#f59e0b',
+  link: 'rgba(99, 102, 241, 0.35)',
+  tagLink: 'rgba(16, 185, 129, 0.35)',
+  label: '#1f2937'
+};
+
+const radiusOf = (node) => 4 + Math.sqrt(node.degree) * 2;
+
+// Seed positions on a spiral so the layout is stable between openings
+const seedNodes = (nodes, previous) => nodes.map((node, idx) => {
+  const kept = previous.get(node.id);
+  if (kept) return { ...node, x: kept.x, y: kept.y, vx: 0, vy: 0 };
+  const angle = idx * 2.4;
+  const distance = 12 * Math.sqrt(idx + 1);
+  return { ...node, x: Math.cos(angle) * distance, y: Math.sin(angle) * distance, vx: 0, vy: 0 };
+});
+
+const tick = (nodes, links, alpha, fixed) => {
+  for (let i = 0; i < nodes.length; i++) {
+    const a = nodes[i];
+    for (let j = i + 1; j < nodes.length; j++) {
+      const b = nodes[j];
+      const dx = b.x - a.x || 0.01;
+      const dy = b.y - a.y || 0.01;
+      const distanceSq = Math.max(dx * dx + dy * dy, 25);
+      const force = (REPULSION * alpha) / distanceSq;
+      const distance = Math.sqrt(distanceSq);
+      const fx = (dx / distance) * force;
+      const fy = (dy / distance) * force;
+      a.vx -= fx;
+      a.vy -= fy;
+      b.vx += fx;
+      b.vy += fy;
+    }
+  }
+  links.forEach(({ source, target }) => {
+    const dx = target.x - source.x;
+    const dy = target.y - source.y;
+    const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+    const force = (distance - LINK_DISTANCE) * LINK_STRENGTH * alpha;
+    const fx = (dx / distance) * force;
+    const fy = (dy / distance) * force;
+    source.vx += fx;
+    source.vy += fy;
+    target.vx -= fx;
+    target.vy -= fy;
+  });
+  nodes.forEach((node) => {
+    if (node === fixed) {
+      node.vx = 0;
+      node.vy = 0;
+      return;
+    }
+    node.vx = (node.vx - node.x * CENTER_GRAVITY * alpha) * DAMPING;
+    node.vy = (node.vy - node.y * CENTER_GRAVITY * alpha) * DAMPING;
+    node.x += node.vx;
+    node.y += node.vy;
+  });
+};
+
+// Full-screen map of notes and the [[links]] between them; drag nodes, pan, zoom, click to open
+function GraphView({ graph, currentNoteId, onOpenNote, onClose }) {
+  const [showTagLinks, setShowTagLinks] = useState(false);
+  const [hovered, setHovered] = useState(null);
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const simulation = useRef({ nodes: [], links: [], alpha: 1 });
+  const positions = useRef(new Map());
+  const view = useRef({ x: 0, y: 0, scale: 1, width: 0, height: 0 });
+  const pointer = useRef(null);
+  const hoveredRef = useRef(null);
+  const frame = useRef(null);
+  // Drawing runs from animation frames and observers set up once, so it reads the prop through a ref
+  const currentIdRef = useRef(currentNoteId);
+  currentIdRef.current = currentNoteId;
+
+  const tagLinks = useMemo(() => (showTagLinks ? sharedTagLinks(graph.nodes) : []), [graph, showTagLinks]);
+
+  const draw = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const { x, y, scale, width, height } = view.current;
+    const ratio = window.devicePixelRatio || 1;
+    const { nodes, links } = simulation.current;
+    const focus = hoveredRef.current;
+    const currentNoteId = currentIdRef.current;
+    const neighbours = new Set();
+    if (focus) {
+      links.forEach(({ source, target }) => {
+        if (source === focus) neighbours.add(target);
+        if (target === focus) neighbours.add(source);
+      });
+    }
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.translate(width / 2 + x, height / 2 + y);
+    ctx.scale(scale, scale);
+
+    links.forEach(({ source, target, kind }) => {
+      const active = focus && (source === focus || target === focus);
+      ctx.strokeStyle = active ? COLORS.highlight : kind === 'tag' ? COLORS.tagLink : COLORS.link;
+      ctx.lineWidth = (active ? 2 : 1) / scale;
+      if (kind === 'tag') ctx.setLineDash([4 / scale, 4 / scale]);
+      ctx.beginPath();
+      ctx.moveTo(source.x, source.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    });
+
+    nodes.forEach((node) => {
+      const isFocus = node === focus || node.id === currentNoteId;
+      ctx.fillStyle = isFocus ? COLORS.highlight : node.degree ? COLORS.node : COLORS.orphan;
+      ctx.globalAlpha = focus && !isFocus && !neighbours.has(node) ? 0.35 : 1;
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radiusOf(node), 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+
+    // Labels: always when zoomed in, otherwise only around the hovered node
+    ctx.fillStyle = COLORS.label;
+    ctx.font = `${12 / scale}px sans-serif`;
+    ctx.textAlign = 'center';
+    nodes.forEach((node) => {
+      if (scale < 1.5 && node !== focus && !neighbours.has(node) && node.id !== currentNoteId) return;
+      ctx.fillText(node.title, node.x, node.y - radiusOf(node) - 4 / scale);
+    });
+  }, []);
+
+  const run = useCallback(() => {
+    const state = simulation.current;
+    const dragged = pointer.current?.node || null;
+    if (state.alpha > ALPHA_MIN || dragged) {
+      tick(state.nodes, state.links, Math.max(state.alpha, 0.1), dragged);
+      state.alpha *= ALPHA_DECAY;
+    }
+    draw();
+    frame.current = state.alpha > ALPHA_MIN || dragged ? requestAnimationFrame(run) : null;
+  }, [draw]);
+
+  const wake = useCallback((alpha = 0.3) => {
+    simulation.current.alpha = Math.max(simulation.current.alpha, alpha);
+    if (!frame.current) frame.current = requestAnimationFrame(run);
+  }, [run]);
+
+  // (Re)build the simulation when the graph or the edge set changes, keeping known positions
+  useEffect(() => {
+    simulation.current.nodes.forEach((node) => positions.current.set(node.id, node));
+    const degree = new Map();
+    const allLinks = [
+      ...graph.links.map((link) => ({ ...link, kind: 'link' })),
+      ...tagLinks.map((link) => ({ ...link, kind: 'tag' }))
+    ];
+    allLinks.forEach(({ source, target }) => {
+      degree.set(source, (degree.get(source) || 0) + 1);
+      degree.set(target, (degree.get(target) || 0) + 1);
+    });
+    const nodes = seedNodes(graph.nodes.map((node) => ({ ...node, degree: degree.get(node.id) || 0 })), positions.current);
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    const links = allLinks
+      .filter(({ source, target }) => byId.has(source) && byId.has(target))
+      .map(({ source, target, kind }) => ({ source: byId.get(source), target: byId.get(target), kind }));
+    simulation.current = { nodes, links, alpha: 1 };
+    hoveredRef.current = null;
+    setHovered(null);
+    wake(1);
+  }, [graph, tagLinks, wake]);
+
+  useEffect(() => () => cancelAnimationFrame(frame.current), []);
+
+  // Match the canvas to its container (and the screen's pixel ratio)
+  useEffect(() => {
+    const container = containerRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      const ratio = window.devicePixelRatio || 1;
+      const canvas = canvasRef.current;
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+      view.current = { ...view.current, width, height };
+      draw();
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [draw]);
+
+  // Screen (canvas-relative) point -> simulation coordinates
+  const toWorld = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const { x, y, scale, width, height } = view.current;
+    return {
+      x: (e.clientX - rect.left - width / 2 - x) / scale,
+      y: (e.clientY - rect.top - height / 2 - y) / scale
+    };
+  };
+
+  const nodeAt = (point) => {
+    const { scale } = view.current;
+    const { nodes } = simulation.current;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      const node = nodes[i];
+      const reach = radiusOf(node) + 3 / scale;
+      if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 <= reach * reach) return node;
+    }
+    return null;
+  };
+
+  const handlePointerDown = (e) => {
+    const node = nodeAt(toWorld(e));
+    pointer.current = { node, startX: e.clientX, startY: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+    e.currentTarget.setPointerCapture(e.pointerId);
+    if (node) wake();
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = pointer.current;
+    if (!drag) {
+      const node = nodeAt(toWorld(e));
+      if (node !== hoveredRef.current) {
+        hoveredRef.current = node;
+        setHovered(node);
+        draw();
+      }
+      return;
+    }
+    if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) > CLICK_SLOP) drag.moved = true;
+    if (drag.node) {
+      const point = toWorld(e);
+      drag.node.x = point.x;
+      drag.node.y = point.y;
+    } else {
+      view.current.x += e.clientX - drag.lastX;
+      view.current.y += e.clientY - drag.lastY;
+      draw();
+    }
+    drag.lastX = e.clientX;
+    drag.lastY = e.clientY;
+  };
+
+  const handlePointerUp = () => {
+    const drag = pointer.current;
+    pointer.current = null;
+    if (drag?.node && !drag.moved) onOpenNote(drag.node.id);
+  };
+
+  // Zoom around `anchor` (canvas-relative px), or the centre
+  const zoomBy = (factor, anchor = null) => {
+    const current = view.current;
+    const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, current.scale * factor));
+    const ax = (anchor ? anchor.x : current.width / 2) - current.width / 2;
+    const ay = (anchor ? anchor.y : current.height / 2) - current.height / 2;
+    const applied = scale / current.scale;
+    view.current = {
+      ...current,
+      scale,
+      x: ax - (ax - current.x) * applied,
+      y: ay - (ay - current.y) * applied
+    };
+    draw();
+  };
+
+  const handleWheel = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    zoomBy(e.deltaY < 0 ? 1.1 : 1 / 1.1, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+  };
+
+  const resetView = () => {
+    view.current = { ...view.current, x: 0, y: 0, scale: 1 };
+    draw();
+  };
+
+  const linkCount = graph.links.length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-xl max-w-6xl w-full h-[90vh] flex flex-col overflow-hidden">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <div className="flex items-center space-x-2">
+            <Network className="h-5 w-5 text-indigo-600" />
+            <h2 className="font-semibold text-gray-900">Note graph</h2>
+            <span className="text-xs text-gray-500">
+              {graph.nodes.length} notes · {linkCount} {linkCount === 1 ? 'link' : 'links'}
+            </span>
+          </div>
+          <div className="flex items-center space-x-1">
+            <label className="flex items-center space-x-2 text-sm text-gray-600 mr-3">
+              <input
+                type="checkbox"
+                checked={showTagLinks}
+                onChange={(e) => setShowTagLinks(e.target.checked)}
+                className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+              />
+              <span>Connect shared tags</span>
+            </label>
+            <button onClick={() => zoomBy(1.25)} className="p-2 text-gray-400 hover:text-gray-600" title="Zoom in">
+              <ZoomIn className="h-4 w-4" />
+            </button>
+            <button onClick={() => zoomBy(0.8)} className="p-2 text-gray-400 hover:text-gray-600" title="Zoom out">
+              <ZoomOut className="h-4 w-4" />
+            </button>
+            <button onClick={resetView} className="p-2 text-gray-400 hover:text-gray-600" title="Reset view">
+              <Maximize className="h-4 w-4" />
+            </button>
+            <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600" title="Close">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div ref={containerRef} className="relative flex-1 bg-gray-50">
+          <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={() => {
+              if (pointer.current) return;
+              hoveredRef.current = null;
+              setHovered(null);
+              draw();
+            }}
+            onWheel={handleWheel}
+            className={`absolute inset-0 touch-none ${hovered ? 'cursor-pointer' : 'cursor-grab'}`}
+          />
+          {graph.nodes.length === 0 && (
+            <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-500">
+              No notes yet.
+            </div>
+          )}
+          {hovered && (
+            <div className="absolute bottom-3 left-3 bg-white border border-gray-200 rounded-lg shadow-sm px-3 py-2 text-sm max-w-xs">
+              <div className="font-medium text-gray-900 truncate">{hovered.title}</div>
+              <div className="text-xs text-gray-500">
+                {hovered.degree} {hovered.degree === 1 ? 'connection' : 'connections'} · click to open
+              </div>
+            </div>
+          )}
+          <div className="absolute bottom-3 right-3 text-xs text-gray-400">
+            Drag to move · scroll to zoom
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GraphView;
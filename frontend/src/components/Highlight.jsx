@@ -0,0 +1,17 @@
+import React from 'react';
+import { highlightParts } from '../lib/snippets';
+
+// Plain text with the search terms wrapped in <mark>
+function Highlight({ text, terms }) {
+  return (
+    <>
+      {highlightParts(text, terms).map((part, idx) => (
+        part.match
+          ? <mark key={idx} className="bg-yellow-200 text-inherit rounded px-0.5">{part.text}</mark>
+          : <React.Fragment key={idx}>{part.text}</React.Fragment>
+      ))}
+    </>
+  );
+}
+
+export default Highlight;
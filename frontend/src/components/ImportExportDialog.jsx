@@ -0,0 +1,372 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Download, Upload, X, AlertTriangle, CheckCircle } from 'lucide-react';
+import { notesApi } from '../api/client';
+import {
+  ACCEPTED_EXTENSIONS,
+  buildJsonBackup,
+  buildMarkdownZip,
+  downloadFile,
+  duplicateKey,
+  isExportable,
+  readImportFile
+} from '../lib/backup';
+import { parseTags } from '../lib/tags';
+
+const MAX_TITLE_LENGTH = 255;
+
+const EXPORT_FORMATS = [
+  { value: 'markdown', label: 'Markdown (.zip)', description: 'One .md file per note with YAML front-matter' },
+  { value: 'json', label: 'JSON backup', description: 'A single file with every field, for restoring later' }
+];
+
+const exportFileName = (extension) => `smart-notes-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+const TabButton = ({ active, onClick, icon: Icon, children }) => (
+  <button
+    onClick={onClick}
+    className={`flex items-center space-x-2 px-4 py-2 text-sm border-b-2 transition-colors ${
+      active ? 'border-indigo-600 text-indigo-700' : 'border-transparent text-gray-500 hover:text-indigo-600'
+    }`}
+  >
+    <Icon className="h-4 w-4" />
+    <span>{children}</span>
+  </button>
+);
+
+// Export notes as a Markdown zip or JSON backup; import those formats and ENEX with a preview step
+function ImportExportDialog({ localNotes, initialTab = 'export', onClose, onImported }) {
+  const [tab, setTab] = useState(initialTab);
+  const [allNotes, setAllNotes] = useState(null);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [format, setFormat] = useState('markdown');
+  const [candidates, setCandidates] = useState([]);
+  const [fileErrors, setFileErrors] = useState([]);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isReading, setIsReading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const fileInputRef = useRef(null);
+  // Offline fallback for the one-off load below, which must not rerun whenever the grid changes
+  const loadedNotes = useRef(localNotes);
+  loadedNotes.current = localNotes;
+
+  // Exports and duplicate checks need every note, not just the pages loaded in the grid
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      let notes;
+      try {
+        notes = await notesApi.listAll({}, { signal: controller.signal, silent: true });
+      } catch (error) {
+        if (error.isAborted) return;
+        notes = loadedNotes.current.filter((note) => !note.pending);
+      }
+      setAllNotes(notes);
+      setSelectedIds(new Set(notes.filter(isExportable).map((note) => note.id)));
+    };
+    load();
+    return () => controller.abort();
+  }, []);
+
+  // --- Export ---
+  const exportableNotes = (allNotes || []).filter(isExportable);
+  const encryptedCount = (allNotes || []).length - exportableNotes.length;
+
+  const toggleSelected = (id) => {
+    const next = new Set(selectedIds);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    setSelectedIds(next);
+  };
+
+  const exportNotes = () => {
+    const notes = exportableNotes.filter((note) => selectedIds.has(note.id));
+    if (format === 'markdown') {
+      downloadFile(buildMarkdownZip(notes), exportFileName('zip'), 'application/zip');
+    } else {
+      downloadFile(buildJsonBackup(notes), exportFileName('json'), 'application/json');
+    }
+  };
+
+  // --- Import ---
+  const addFiles = async (files) => {
+    if (!files.length) return;
+    setIsReading(true);
+    setProgress(null);
+    const results = await Promise.all(Array.from(files).map(readImportFile));
+
+    // Flag notes that already exist, or appear twice in what was dropped; those start unticked
+    const existing = new Set((allNotes || []).map(duplicateKey));
+    const seen = new Set(candidates.map(duplicateKey));
+    const parsed = results.flatMap((result) => result.candidates).map((candidate, idx) => {
+      const note = { ...candidate, title: candidate.title.slice(0, MAX_TITLE_LENGTH) };
+      const key = duplicateKey(note);
+      const duplicate = existing.has(key) ? 'existing' : seen.has(key) ? 'batch' : null;
+      seen.add(key);
+      return { ...note, id: `${Date.now()}-${candidates.length + idx}`, duplicate, include: !duplicate, status: 'pending', error: null };
+    });
+
+    setCandidates([...candidates, ...parsed]);
+    setFileErrors([...fileErrors, ...results.flatMap((result) => result.errors)]);
+    setIsReading(false);
+  };
+
+  const updateCandidate = (id, changes) => {
+    setCandidates((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const runImport = async () => {
+    const queue = candidates.filter((item) => item.include && item.status !== 'created');
+    setImporting(true);
+    setProgress({ done: 0, total: queue.length });
+
+    for (let i = 0; i < queue.length; i++) {
+      const item = queue[i];
+      try {
+        await notesApi.create({
+          title: item.title,
+          content: item.content,
+          tags: item.tags,
+          is_public: item.is_public
+        }, { silent: true });
+        updateCandidate(item.id, { status: 'created', error: null });
+      } catch (error) {
+        updateCandidate(item.id, { status: 'failed', error: error.message });
+        if (error.isOffline) {
+          // Everything after this would fail the same way
+          queue.slice(i + 1).forEach((rest) => updateCandidate(rest.id, { status: 'failed', error: 'Not attempted: the server is unreachable' }));
+          setProgress({ done: queue.length, total: queue.length });
+          break;
+        }
+      }
+      setProgress({ done: i + 1, total: queue.length });
+    }
+
+    setImporting(false);
+    onImported();
+  };
+
+  const included = candidates.filter((item) => item.include && item.status !== 'created');
+  const created = candidates.filter((item) => item.status === 'created').length;
+  const failed = candidates.filter((item) => item.status === 'failed');
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-xl max-w-4xl w-full h-[85vh] flex flex-col">
+        <div className="flex justify-between items-center px-6 pt-6">
+          <h2 className="text-xl font-bold text-gray-900">Import &amp; export</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <span className="sr-only">Close</span>
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+        <div className="flex px-6 border-b mt-4">
+          <TabButton active={tab === 'export'} onClick={() => setTab('export')} icon={Download}>Export</TabButton>
+          <TabButton active={tab === 'import'} onClick={() => setTab('import')} icon={Upload}>Import</TabButton>
+        </div>
+
+        {tab === 'export' ? (
+          <div className="flex-1 flex flex-col min-h-0 p-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+              {EXPORT_FORMATS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`border rounded-lg p-3 cursor-pointer ${format === option.value ? 'border-indigo-500 bg-indigo-50' : 'border-gray-200'}`}
+                >
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={option.value}
+                    checked={format === option.value}
+                    onChange={() => setFormat(option.value)}
+                    className="mr-2 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="text-sm font-medium text-gray-900">{option.label}</span>
+                  <p className="text-xs text-gray-500 mt-1 ml-5">{option.description}</p>
+                </label>
+              ))}
+            </div>
+
+            {allNotes === null ? (
+              <div className="flex-1 flex items-center justify-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-600 border-t-transparent" />
+              </div>
+            ) : (
+              <>
+                <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+                  <span>{selectedIds.size} of {exportableNotes.length} notes selected</span>
+                  <div className="space-x-3">
+                    <button onClick={() => setSelectedIds(new Set(exportableNotes.map((note) => note.id)))} className="text-indigo-600 hover:text-indigo-700">
+                      Select all
+                    </button>
+                    <button onClick={() => setSelectedIds(new Set())} className="text-indigo-600 hover:text-indigo-700">
+                      Select none
+                    </button>
+                  </div>
+                </div>
+                <ul className="flex-1 overflow-y-auto border border-gray-200 rounded-lg divide-y">
+                  {exportableNotes.map((note) => (
+                    <li key={note.id}>
+                      <label className="flex items-center space-x-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.has(note.id)}
+                          onChange={() => toggleSelected(note.id)}
+                          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                        />
+                        <span className="flex-1 truncate text-gray-900">{note.title}</span>
+                        <span className="text-xs text-gray-400">{parseTags(note.tags).join(', ')}</span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+                {encryptedCount > 0 && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {encryptedCount} encrypted {encryptedCount === 1 ? 'note is' : 'notes are'} not included in exports.
+                  </p>
+                )}
+              </>
+            )}
+
+            <div className="flex justify-end mt-4">
+              <button
+                onClick={exportNotes}
+                disabled={!allNotes || selectedIds.size === 0}
+                className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                <Download className="h-4 w-4" />
+                <span>Export {selectedIds.size} {selectedIds.size === 1 ? 'note' : 'notes'}</span>
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex-1 flex flex-col min-h-0 p-6">
+            <div
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={(e) => {
+                e.preventDefault();
+                setIsDragging(false);
+                addFiles(e.dataTransfer.files);
+              }}
+              onClick={() => fileInputRef.current?.click()}
+              className={`border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors ${
+                isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300 hover:border-indigo-400'
+              }`}
+            >
+              <Upload className="h-8 w-8 text-gray-400 mx-auto mb-2" />
+              <p className="text-sm text-gray-700">
+                {isReading ? 'Reading files...' : 'Drop Markdown, zip, JSON backup or Evernote (.enex) files here, or click to choose'}
+              </p>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept={ACCEPTED_EXTENSIONS}
+                onChange={(e) => {
+                  addFiles(e.target.files);
+                  e.target.value = '';
+                }}
+                className="hidden"
+              />
+            </div>
+
+            {fileErrors.length > 0 && (
+              <div className="mt-3 bg-red-50 border border-red-200 rounded-lg p-3 text-xs text-red-800 max-h-24 overflow-y-auto">
+                {fileErrors.map((error, idx) => (
+                  <div key={idx}><strong>{error.source}:</strong> {error.message}</div>
+                ))}
+              </div>
+            )}
+
+            {candidates.length > 0 && (
+              <>
+                <div className="flex items-center justify-between text-sm text-gray-600 mt-4 mb-2">
+                  <span>
+                    {candidates.length} notes found, {included.length} to import
+                    {candidates.some((item) => item.duplicate) && ' (duplicates are unticked)'}
+                  </span>
+                  <button
+                    onClick={() => {
+                      setCandidates([]);
+                      setFileErrors([]);
+                      setProgress(null);
+                    }}
+                    disabled={importing}
+                    className="text-indigo-600 hover:text-indigo-700 disabled:opacity-50"
+                  >
+                    Clear
+                  </button>
+                </div>
+                <ul className="flex-1 overflow-y-auto border border-gray-200 rounded-lg divide-y">
+                  {candidates.map((item) => (
+                    <li key={item.id} className="flex items-start space-x-3 px-3 py-2 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={item.include}
+                        disabled={importing || item.status === 'created'}
+                        onChange={(e) => updateCandidate(item.id, { include: e.target.checked })}
+                        className="h-4 w-4 mt-0.5 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                      />
+                      <div className="flex-1 min-w-0">
+                        <div className="flex items-center space-x-2">
+                          <span className="truncate font-medium text-gray-900">{item.title}</span>
+                          {item.duplicate === 'existing' && (
+                            <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">Already exists</span>
+                          )}
+                          {item.duplicate === 'batch' && (
+                            <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full">Duplicate in import</span>
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500 truncate">
+                          {item.source}
+                          {item.tags && ` · ${item.tags}`}
+                          {item.is_public && ' · public'}
+                        </div>
+                        {item.error && <div className="text-xs text-red-600">{item.error}</div>}
+                      </div>
+                      {item.status === 'created' && <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" />}
+                      {item.status === 'failed' && <AlertTriangle className="h-4 w-4 text-red-600 flex-shrink-0" />}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            {progress && (
+              <div className="mt-4">
+                <div className="flex justify-between text-xs text-gray-600 mb-1">
+                  <span>
+                    {importing ? 'Importing...' : `Imported ${created} ${created === 1 ? 'note' : 'notes'}${failed.length ? `, ${failed.length} failed` : ''}`}
+                  </span>
+                  <span>{progress.done} / {progress.total}</span>
+                </div>
+                <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full transition-all ${failed.length ? 'bg-yellow-500' : 'bg-indigo-600'}`}
+                    style={{ width: `${progress.total ? (progress.done / progress.total) * 100 : 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="flex justify-end mt-4">
+              <button
+                onClick={runImport}
+                disabled={importing || isReading || included.length === 0}
+                className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+              >
+                <Upload className="h-4 w-4" />
+                <span>{importing ? 'Importing...' : `Import ${included.length} ${included.length === 1 ? 'note' : 'notes'}`}</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportExportDialog;
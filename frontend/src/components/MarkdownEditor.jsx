@@ -0,0 +1,366 @@
+import React, { useState, useRef, useLayoutEffect } from 'react';
+import {
+  Bold, Italic, Heading, Code, FileCode, Link, List, ListOrdered, CheckSquare, Quote,
+  Pencil, Columns, Eye, Paperclip
+} from 'lucide-react';
+import MarkdownView from './MarkdownView.jsx';
+import { attachmentMarkdown } from '../lib/attachments';
+import { linkQueryAt } from '../lib/wikiLinks';
+
+const MAX_LINK_SUGGESTIONS = 8;
+
+// Wrap the selection in `before`/`after`, or insert `placeholder` between them
+const wrapSelection = (value, start, end, before, after, placeholder) => {
+  const selected = value.slice(start, end) || placeholder;
+  const next = value.slice(0, start) + before + selected + after + value.slice(end);
+  return { value: next, start: start + before.length, end: start + before.length + selected.length };
+};
+
+// Prefix every line touched by the selection; numbered lists count up from 1
+const prefixLines = (value, start, end, prefix) => {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = value.indexOf('\n', end) === -1 ? value.length : value.indexOf('\n', end);
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+  const prefixed = lines.map((line, i) => (typeof prefix === 'function' ? prefix(i) : prefix) + line).join('\n');
+  const next = value.slice(0, lineStart) + prefixed + value.slice(lineEnd);
+  return { value: next, start: lineStart, end: lineStart + prefixed.length };
+};
+
+// Pixel offset of character `index` inside a textarea, measured with an off-screen copy that wraps the same way
+const caretTop = (textarea, index) => {
+  const style = window.getComputedStyle(textarea);
+  const mirror = document.createElement('div');
+  ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'paddingTop', 'paddingLeft', 'paddingRight', 'borderLeftWidth', 'borderRightWidth', 'boxSizing']
+    .forEach((property) => {
+      mirror.style[property] = style[property];
+    });
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    visibility: 'hidden',
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+    width: `${textarea.clientWidth}px`
+  });
+  mirror.textContent = textarea.value.slice(0, index);
+  document.body.appendChild(mirror);
+  const top = mirror.scrollHeight;
+  document.body.removeChild(mirror);
+  return top;
+};
+
+// Titles containing `query`, prefix matches first
+const matchTitles = (titles, query) => {
+  const needle = query.trim().toLowerCase();
+  return titles
+    .filter((title) => title.toLowerCase().includes(needle))
+    .sort((a, b) => Number(!a.toLowerCase().startsWith(needle)) - Number(!b.toLowerCase().startsWith(needle)))
+    .slice(0, MAX_LINK_SUGGESTIONS);
+};
+
+const ACTIONS = [
+  { id: 'bold', label: 'Bold', icon: Bold, shortcut: { key: 'B' }, apply: (v, s, e) => wrapSelection(v, s, e, '**', '**', 'bold text') },
+  { id: 'italic', label: 'Italic', icon: Italic, shortcut: { key: 'I' }, apply: (v, s, e) => wrapSelection(v, s, e, '_', '_', 'italic text') },
+  { id: 'heading', label: 'Heading', icon: Heading, shortcut: { key: 'H' }, apply: (v, s, e) => prefixLines(v, s, e, '## ') },
+  { id: 'code', label: 'Inline code', icon: Code, shortcut: { key: 'E' }, apply: (v, s, e) => wrapSelection(v, s, e, '`', '`', 'code') },
+  { id: 'codeblock', label: 'Code block', icon: FileCode, shortcut: { key: 'E', shift: true }, apply: (v, s, e) => wrapSelection(v, s, e, '\n```js\n', '\n```\n', 'code') },
+  { id: 'link', label: 'Link', icon: Link, shortcut: { key: 'K' }, apply: (v, s, e) => wrapSelection(v, s, e, '[', '](https://)', 'link text') },
+  { id: 'list', label: 'Bulleted list', icon: List, shortcut: { key: '8', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, '- ') },
+  { id: 'ordered', label: 'Numbered list', icon: ListOrdered, shortcut: { key: '7', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, (i) => `${i + 1}. `) },
+  { id: 'task', label: 'Task list', icon: CheckSquare, shortcut: { key: '9', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, '- [ ] ') },
+  { id: 'quote', label: 'Quote', icon: Quote, shortcut: { key: '.', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, '> ') }
+];
+
+// Shortcuts are Ctrl/Cmd (+Shift) + key, matched on the physical key so Shift+digit works on any layout
+const keyCode = (key) => {
+  if (/\d/.test(key)) return `Digit${key}`;
+  if (key === '.') return 'Period';
+  return `Key${key}`;
+};
+
+const shortcutLabel = ({ key, shift }) => `Ctrl+${shift ? 'Shift+' : ''}${key}`;
+
+const MODES = [
+  { id: 'write', label: 'Write', icon: Pencil },
+  { id: 'split', label: 'Split', icon: Columns },
+  { id: 'preview', label: 'Preview', icon: Eye }
+];
+
+// Markdown textarea with a formatting toolbar and a live preview pane
+// `focusRange` ({ start, end }) selects and scrolls to a passage, e.g. one opened from a search result.
+// `linkTitles` enables [[title]] autocomplete.
+// `onAttachFiles(files)` enables dropping, pasting and picking files; it resolves to the stored attachments,
+// which are then linked (images embedded) where the caret was.
+function MarkdownEditor({ value, onChange, rows = 14, placeholder, focusRange, linkTitles, onAttachFiles }) {
+  const [mode, setMode] = useState('split');
+  // Open [[ autocomplete: where the title starts, the caret, and the menu's offset below the caret line
+  const [linkMenu, setLinkMenu] = useState(null);
+  const [draggingFiles, setDraggingFiles] = useState(false);
+  const textareaRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const pendingSelection = useRef(null);
+  // Uploads finish after later keystrokes; insert into the text as it is then
+  const valueRef = useRef(value);
+  valueRef.current = value;
+  const linkMatches = linkMenu ? matchTitles(linkTitles, linkMenu.query) : [];
+
+  // Restore the selection after React re-renders the new value
+  useLayoutEffect(() => {
+    if (pendingSelection.current && textareaRef.current) {
+      const { start, end } = pendingSelection.current;
+      textareaRef.current.focus();
+      textareaRef.current.setSelectionRange(start, end);
+      pendingSelection.current = null;
+    }
+  }, [value]);
+
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!focusRange || !textarea) return;
+    textarea.focus();
+    textarea.setSelectionRange(focusRange.start, focusRange.end);
+    textarea.scrollTop = Math.max(0, caretTop(textarea, focusRange.start) - textarea.clientHeight / 3);
+    textarea.scrollIntoView({ block: 'center' });
+  }, [focusRange]);
+
+  const runAction = (action) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    const result = action.apply(value, textarea.selectionStart, textarea.selectionEnd);
+    pendingSelection.current = { start: result.start, end: result.end };
+    onChange(result.value);
+  };
+
+  const updateLinkMenu = (textarea) => {
+    const caret = textarea.selectionStart;
+    const found = linkTitles && caret === textarea.selectionEnd ? linkQueryAt(textarea.value, caret) : null;
+    if (!found) {
+      setLinkMenu(null);
+      return;
+    }
+    const top = caretTop(textarea, caret) - textarea.scrollTop;
+    setLinkMenu((prev) => ({
+      ...found,
+      caret,
+      top,
+      highlighted: prev && prev.start === found.start ? prev.highlighted : 0
+    }));
+  };
+
+  // Replace the typed partial title with the chosen one and close the brackets
+  const insertLink = (title) => {
+    const { start, caret } = linkMenu;
+    const after = value.slice(caret);
+    const next = `${value.slice(0, start)}${title}${after.startsWith(']]') ? '' : ']]'}${after}`;
+    const position = start + title.length + 2;
+    pendingSelection.current = { start: position, end: position };
+    setLinkMenu(null);
+    onChange(next);
+  };
+
+  const handleLinkMenuKey = (e) => {
+    const count = linkMatches.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setLinkMenu({ ...linkMenu, highlighted: (linkMenu.highlighted + step + count) % count });
+      return true;
+    }
+    if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertLink(linkMatches[linkMenu.highlighted] || linkMatches[0]);
+      return true;
+    }
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      setLinkMenu(null);
+      return true;
+    }
+    return false;
+  };
+
+  const attachFiles = async (files) => {
+    if (!files.length) return;
+    const textarea = textareaRef.current;
+    const position = textarea ? textarea.selectionEnd : valueRef.current.length;
+    const attachments = await onAttachFiles(files);
+    if (!attachments.length) return;
+
+    const current = valueRef.current;
+    const at = Math.min(position, current.length);
+    const before = at > 0 && current[at - 1] !== '\n' ? '\n' : '';
+    const after = current[at] === '\n' || at === current.length ? '' : '\n';
+    const inserted = `${before}${attachments.map(attachmentMarkdown).join('\n')}${after}`;
+    pendingSelection.current = { start: at + inserted.length, end: at + inserted.length };
+    onChange(current.slice(0, at) + inserted + current.slice(at));
+  };
+
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!onAttachFiles || !hasFiles(e)) return;
+    e.preventDefault();
+    setDraggingFiles(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDraggingFiles(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!onAttachFiles || !hasFiles(e)) return;
+    e.preventDefault();
+    setDraggingFiles(false);
+    attachFiles(Array.from(e.dataTransfer.files));
+  };
+
+  // Pasted screenshots arrive as files; plain text pastes go through untouched
+  const handlePaste = (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (!onAttachFiles || !files.length) return;
+    e.preventDefault();
+    attachFiles(files);
+  };
+
+  const handleKeyDown = (e) => {
+    if (linkMatches.length && handleLinkMenuKey(e)) return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const action = ACTIONS.find(({ shortcut }) => (
+      keyCode(shortcut.key) === e.code && Boolean(shortcut.shift) === e.shiftKey
+    ));
+    if (action) {
+      e.preventDefault();
+      runAction(action);
+    }
+  };
+
+  const showEditor = mode !== 'preview';
+  const showPreview = mode !== 'write';
+
+  return (
+    <div
+      className="relative border border-gray-300 rounded-lg overflow-hidden focus-within:ring-2 focus-within:ring-indigo-500"
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+    >
+      {draggingFiles && (
+        <div className="absolute inset-0 z-20 flex items-center justify-center bg-indigo-50 bg-opacity-90 border-2 border-dashed border-indigo-400 rounded-lg pointer-events-none">
+          <span className="text-sm font-medium text-indigo-700">Drop files to attach them</span>
+        </div>
+      )}
+      <div className="flex items-center justify-between border-b border-gray-200 bg-gray-50 px-2 py-1">
+        <div className="flex items-center flex-wrap">
+          {ACTIONS.map((action) => {
+            const Icon = action.icon;
+            return (
+              <button
+                key={action.id}
+                type="button"
+                onClick={() => runAction(action)}
+                disabled={!showEditor}
+                className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-40 transition-colors"
+                title={`${action.label} (${shortcutLabel(action.shortcut)})`}
+              >
+                <Icon className="h-4 w-4" />
+              </button>
+            );
+          })}
+          {onAttachFiles && (
+            <>
+              <button
+                type="button"
+                onClick={() => fileInputRef.current?.click()}
+                disabled={!showEditor}
+                className="p-2 text-gray-500 hover:text-indigo-600 disabled:opacity-40 transition-colors"
+                title="Attach files (or drop / paste them)"
+              >
+                <Paperclip className="h-4 w-4" />
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                className="hidden"
+                onChange={(e) => {
+                  attachFiles(Array.from(e.target.files));
+                  e.target.value = '';
+                }}
+              />
+            </>
+          )}
+        </div>
+        <div className="flex items-center space-x-1">
+          {MODES.map((item) => {
+            const Icon = item.icon;
+            return (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => setMode(item.id)}
+                className={`flex items-center space-x-1 px-2 py-1 text-xs rounded transition-colors ${
+                  mode === item.id ? 'bg-indigo-100 text-indigo-700' : 'text-gray-500 hover:text-indigo-600'
+                }`}
+                title={item.label}
+              >
+                <Icon className="h-3 w-3" />
+                <span className="hidden sm:inline">{item.label}</span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className={`grid ${showEditor && showPreview ? 'grid-cols-1 md:grid-cols-2' : 'grid-cols-1'}`}>
+        {showEditor && (
+          <div className="relative">
+            <textarea
+              ref={textareaRef}
+              value={value}
+              onChange={(e) => onChange(e.target.value)}
+              onSelect={(e) => updateLinkMenu(e.target)}
+              onKeyDown={handleKeyDown}
+              onPaste={handlePaste}
+              onBlur={() => setLinkMenu(null)}
+              rows={rows}
+              className="block w-full h-full px-3 py-2 font-mono text-sm border-0 focus:ring-0 focus:outline-none resize-y"
+              placeholder={placeholder}
+            />
+            {linkMatches.length > 0 && (
+              <ul
+                className="absolute left-3 z-10 w-72 max-w-[90%] bg-white border border-gray-200 rounded-lg shadow-md py-1"
+                style={{ top: linkMenu.top + 4 }}
+              >
+                {linkMatches.map((title, idx) => (
+                  <li key={title}>
+                    <button
+                      type="button"
+                      // Keep focus (and the caret) in the textarea
+                      onMouseDown={(e) => e.preventDefault()}
+                      onClick={() => insertLink(title)}
+                      className={`w-full text-left px-3 py-1.5 text-sm truncate ${
+                        idx === linkMenu.highlighted ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                    >
+                      {title}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+        {showPreview && (
+          <div className={`px-3 py-2 max-h-[60vh] overflow-y-auto bg-white ${showEditor ? 'border-t md:border-t-0 md:border-l border-gray-200' : ''}`}>
+            {value.trim() ? (
+              <MarkdownView content={value} />
+            ) : (
+              <p className="text-sm text-gray-400 italic">Nothing to preview yet</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MarkdownEditor;
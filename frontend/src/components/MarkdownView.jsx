@@ -0,0 +1,45 @@
+import React, { useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { renderMarkdown } from '../lib/markdown';
+import { useNoteLinks } from './NoteLinksContext.jsx';
+
+// Rendered, sanitized Markdown. Passing `onToggleTask` makes task checkboxes clickable.
+// [[links]] resolve through the surrounding NoteLinksContext and open in-app.
+function MarkdownView({ content, onToggleTask, className = '' }) {
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const resolveLink = useNoteLinks();
+  const interactiveTasks = Boolean(onToggleTask);
+  const html = useMemo(
+    () => renderMarkdown(content, { interactiveTasks, resolveLink }),
+    [content, interactiveTasks, resolveLink]
+  );
+
+  const handleClick = (e) => {
+    const target = e.target;
+    const wikiLink = target.closest('a.wiki-link');
+    if (wikiLink) {
+      e.preventDefault();
+      e.stopPropagation();
+      navigate(`/notes/${wikiLink.dataset.noteId}`);
+      return;
+    }
+    if (!onToggleTask || !target.matches('input.task-checkbox')) return;
+    // The checkbox only flips once the note content changes and re-renders
+    e.preventDefault();
+    e.stopPropagation();
+    const checkboxes = Array.from(containerRef.current.querySelectorAll('input.task-checkbox'));
+    onToggleTask(checkboxes.indexOf(target));
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`markdown-body ${className}`}
+      onClick={handleClick}
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+}
+
+export default MarkdownView;
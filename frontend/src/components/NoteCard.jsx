@@ -0,0 +1,135 @@
+import React from 'react';
+import { Edit2, Trash2, Share2, Eye, Clock, Tag, Lock } from 'lucide-react';
+import MarkdownView from './MarkdownView.jsx';
+import { parseTags } from '../lib/tags';
+import { formatDate } from '../utils';
+
+// One note in the dashboard grid; `active` marks the card picked with j/k.
+// The checkbox only shows on hover until something is selected (`selecting`); `onSelect(range)` gets shift-clicks as ranges.
+// Encrypted notes get a lock; while they are `locked` only the (possibly placeholder) title shows.
+function NoteCard({ note, active = false, selected = false, selecting = false, selectedTags = [], onEdit, onShare, onDelete, onSelect, onToggleTask, onTagClick }) {
+  const tags = parseTags(note.tags);
+  return (
+    <div
+      aria-current={active || undefined}
+      className={`group bg-white rounded-xl shadow-sm hover:shadow-md transition-shadow ${
+        selected ? 'ring-2 ring-indigo-300 bg-indigo-50' : active ? 'ring-2 ring-indigo-500' : ''
+      }`}
+    >
+      <div className="p-6">
+        <div className="flex justify-between items-start mb-3">
+          <div className="flex items-center space-x-2 min-w-0">
+            {onSelect && (
+              <input
+                type="checkbox"
+                checked={selected}
+                onChange={(e) => onSelect(e.nativeEvent.shiftKey)}
+                className={`h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500 ${
+                  selected || selecting ? '' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'
+                }`}
+                aria-label={`Select ${note.title}`}
+              />
+            )}
+            {note.is_encrypted && (
+              <Lock className="h-4 w-4 text-indigo-500 flex-shrink-0" aria-label="Encrypted" />
+            )}
+            <h3 className="font-semibold text-gray-900 line-clamp-1">{note.title}</h3>
+          </div>
+          <div className="flex items-center space-x-1">
+            {note.is_public && (
+              <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">
+                Public
+              </span>
+            )}
+            {note.conflict ? (
+              <span className="text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full">
+                Conflict
+              </span>
+            ) : note.pending && (
+              <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full">
+                Pending sync
+              </span>
+            )}
+            <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+              v{note.version}
+            </span>
+          </div>
+        </div>
+
+        {note.locked ? (
+          <button
+            onClick={() => onEdit(note)}
+            className="w-full flex items-center justify-center space-x-2 text-sm text-gray-500 bg-gray-50 border border-dashed border-gray-200 rounded-lg py-4 mb-4 hover:text-indigo-600 hover:border-indigo-200 transition-colors"
+          >
+            <Lock className="h-4 w-4" />
+            <span>Encrypted. Unlock to read</span>
+          </button>
+        ) : (
+          <MarkdownView
+            content={note.content}
+            onToggleTask={onToggleTask}
+            className="markdown-compact text-gray-600 mb-4 max-h-24 overflow-hidden"
+          />
+        )}
+
+        {tags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-1 mb-4">
+            <Tag className="h-3 w-3 text-gray-400" />
+            {tags.map((tag) => (
+              <button
+                key={tag}
+                onClick={() => onTagClick(tag)}
+                className={`text-xs px-2 py-0.5 rounded-full transition-colors ${
+                  selectedTags.includes(tag)
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-indigo-50 text-indigo-700 hover:bg-indigo-100'
+                }`}
+              >
+                {tag}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex items-center justify-between text-xs text-gray-500 mb-4">
+          <span className="flex items-center space-x-1">
+            <Eye className="h-3 w-3" />
+            <span>{note.view_count} views</span>
+          </span>
+          <span className="flex items-center space-x-1">
+            <Clock className="h-3 w-3" />
+            <span>{formatDate(note.updated_at)}</span>
+          </span>
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={() => onEdit(note)}
+            className="p-2 text-gray-400 hover:text-indigo-600 transition-colors"
+            title="Edit"
+          >
+            <Edit2 className="h-4 w-4" />
+          </button>
+          {note.is_public && (
+            <button
+              onClick={() => onShare(note.id)}
+              className="p-2 text-gray-400 hover:text-green-600 transition-colors"
+              title="Share"
+            >
+              <Share2 className="h-4 w-4" />
+            </button>
+          )}
+          <button
+            onClick={() => onDelete(note.id)}
+            className="p-2 text-gray-400 hover:text-red-600 transition-colors"
+            title="Delete"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NoteCard;
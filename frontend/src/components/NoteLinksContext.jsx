@@ -0,0 +1,6 @@
+import { createContext, useContext } from 'react';
+
+// `resolveLink(title)` for [[links]] rendered anywhere below the provider; null means links render as plain text
+export const NoteLinksContext = createContext(null);
+
+export const useNoteLinks = () => useContext(NoteLinksContext);
@@ -0,0 +1,90 @@
+import React, { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { useWindowVirtualizer } from '@tanstack/react-virtual';
+
+// Column count from the grid's own width (it shares the row with the tag sidebar)
+const columnsForWidth = (width) => {
+  if (width >= 900) return 3;
+  if (width >= 560) return 2;
+  return 1;
+};
+
+const useColumnCount = (ref) => {
+  const [columns, setColumns] = useState(1);
+  useLayoutEffect(() => {
+    if (!ref.current) return undefined;
+    const observer = new ResizeObserver(([entry]) => setColumns(columnsForWidth(entry.contentRect.width)));
+    observer.observe(ref.current);
+    setColumns(columnsForWidth(ref.current.getBoundingClientRect().width));
+    return () => observer.disconnect();
+  }, [ref]);
+  return columns;
+};
+
+// Virtualized, window-scrolled notes grid that asks for the next page when the last rows come into view.
+// `activeIndex` (keyboard selection) is scrolled into view.
+function NotesGrid({ notes, renderNote, activeIndex = -1, hasMore, loadingMore, onLoadMore }) {
+  const listRef = useRef(null);
+  const columns = useColumnCount(listRef);
+  const [scrollMargin, setScrollMargin] = useState(0);
+  const rowCount = Math.ceil(notes.length / columns);
+
+  // Panels above the grid (search results, analytics) move it down; re-measure the virtualizer's offset
+  // whenever the page's layout changes. Rounded so sub-pixel shifts do not cause re-renders.
+  useLayoutEffect(() => {
+    const measure = () => {
+      if (listRef.current) setScrollMargin(Math.round(listRef.current.getBoundingClientRect().top + window.scrollY));
+    };
+    const observer = new ResizeObserver(measure);
+    observer.observe(document.body);
+    measure();
+    return () => observer.disconnect();
+  }, []);
+
+  const virtualizer = useWindowVirtualizer({
+    count: rowCount,
+    estimateSize: () => 280,
+    overscan: 4,
+    scrollMargin
+  });
+  const rows = virtualizer.getVirtualItems();
+  const lastRowIndex = rows.length ? rows[rows.length - 1].index : -1;
+
+  useEffect(() => {
+    if (activeIndex >= 0) virtualizer.scrollToIndex(Math.floor(activeIndex / columns), { align: 'auto' });
+  }, [activeIndex, columns, virtualizer]);
+
+  useEffect(() => {
+    if (hasMore && !loadingMore && lastRowIndex >= rowCount - 2) {
+      onLoadMore();
+    }
+  }, [hasMore, loadingMore, lastRowIndex, rowCount, onLoadMore]);
+
+  return (
+    <div ref={listRef}>
+      <div className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+        {rows.map((row) => (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            className="absolute top-0 left-0 w-full pb-6"
+            style={{ transform: `translateY(${row.start - virtualizer.options.scrollMargin}px)` }}
+          >
+            <div className={`grid gap-6 ${columns === 3 ? 'grid-cols-3' : columns === 2 ? 'grid-cols-2' : 'grid-cols-1'}`}>
+              {notes.slice(row.index * columns, row.index * columns + columns).map((note) => (
+                <React.Fragment key={note.id}>{renderNote(note)}</React.Fragment>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      {loadingMore && (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-2 border-indigo-600 border-t-transparent" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotesGrid;
@@ -0,0 +1,97 @@
+import React from 'react';
+import { Files, Plus, Sparkles } from 'lucide-react';
+import { stripMarkdown } from '../lib/markdown';
+import { makeSnippet } from '../lib/snippets';
+import { parseTags } from '../lib/tags';
+
+const PASSAGE_LENGTH = 140;
+
+const percent = (score) => `${Math.round(score * 100)}%`;
+
+// Sidebar of the editor: possible duplicates, tags used by similar notes, and the most similar
+// notes with the passage that matched best. `unavailableReason` replaces the lists when
+// related notes cannot be looked up (encrypted note, offline).
+function RelatedNotes({ related, duplicates, suggestedTags, loading, tags, unavailableReason, onOpen, onAddTag }) {
+  const ownTags = new Set(parseTags(tags));
+  const newTags = suggestedTags.filter((tag) => !ownTags.has(tag));
+
+  return (
+    <aside className="space-y-4" aria-label="Related notes">
+      <div className="flex items-center space-x-1 text-sm font-medium text-gray-700">
+        <Sparkles className="h-4 w-4" />
+        <span>Related notes</span>
+        {loading && (
+          <div className="ml-1 animate-spin rounded-full h-3 w-3 border-2 border-indigo-600 border-t-transparent" />
+        )}
+      </div>
+
+      {unavailableReason ? (
+        <p className="text-xs text-gray-500">{unavailableReason}</p>
+      ) : (
+        <>
+          {duplicates.length > 0 && (
+            <div role="status" className="bg-amber-50 border border-amber-200 rounded-lg p-3 space-y-1">
+              <div className="flex items-center space-x-1 text-sm font-medium text-amber-800">
+                <Files className="h-4 w-4" />
+                <span>Possible {duplicates.length === 1 ? 'duplicate' : 'duplicates'}</span>
+              </div>
+              {duplicates.map((note) => (
+                <button
+                  key={note.note_id}
+                  onClick={() => onOpen(note.note_id)}
+                  className="block w-full text-left text-sm text-amber-900 hover:underline truncate"
+                >
+                  {note.title}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {newTags.length > 0 && (
+            <div>
+              <p className="text-xs text-gray-500 mb-1">Tags on similar notes</p>
+              <div className="flex flex-wrap gap-1">
+                {newTags.map((tag) => (
+                  <button
+                    key={tag}
+                    onClick={() => onAddTag(tag)}
+                    className="flex items-center space-x-0.5 text-xs bg-gray-100 text-gray-700 hover:bg-indigo-50 hover:text-indigo-700 px-2 py-0.5 rounded"
+                    title={`Add the tag "${tag}"`}
+                  >
+                    <Plus className="h-3 w-3" />
+                    <span>{tag}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {related.length > 0 ? (
+            <ul className="space-y-2">
+              {related.map((note) => (
+                <li key={note.note_id}>
+                  <button
+                    onClick={() => onOpen(note.note_id)}
+                    className="w-full text-left rounded-lg border border-gray-200 p-2 hover:border-indigo-300 hover:bg-indigo-50"
+                  >
+                    <span className="flex items-center justify-between space-x-2">
+                      <span className="text-sm font-medium text-gray-900 truncate">{note.title}</span>
+                      <span className="text-xs text-gray-500 flex-shrink-0" title="Similarity">{percent(note.score)}</span>
+                    </span>
+                    <span className="block text-xs text-gray-600 mt-1">
+                      {makeSnippet(stripMarkdown(note.passage), [], PASSAGE_LENGTH)}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            !loading && <p className="text-xs text-gray-500">Similar notes show up here as you write.</p>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
+
+export default RelatedNotes;
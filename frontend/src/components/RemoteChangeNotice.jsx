@@ -0,0 +1,32 @@
+import React from 'react';
+
+// Shown over the editor when its note was changed (or trashed) in another tab or by someone else
+function RemoteChangeNotice({ change, onDismiss, onLoadLatest, onClose }) {
+  const deleted = change.type === 'deleted';
+
+  return (
+    <div role="alert" className="bg-amber-50 border border-amber-200 rounded-lg p-3 flex items-center justify-between gap-3">
+      <div className="text-sm text-amber-800">
+        {deleted
+          ? <>This note was <strong>moved to the trash</strong> in another tab or by someone else.</>
+          : <>This note was <strong>just updated</strong> in another tab or by someone else.</>}
+      </div>
+      <div className="flex items-center space-x-2 shrink-0">
+        <button
+          onClick={onDismiss}
+          className="px-3 py-1 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-white transition-colors"
+        >
+          Keep editing
+        </button>
+        <button
+          onClick={deleted ? onClose : onLoadLatest}
+          className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+        >
+          {deleted ? 'Close' : 'Load latest'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RemoteChangeNotice;
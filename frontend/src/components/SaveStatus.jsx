@@ -0,0 +1,43 @@
+import React from 'react';
+import { Check, RefreshCw, AlertTriangle, HardDrive } from 'lucide-react';
+
+// Editor save state: saving / saved / unsaved (with or without a local draft) / autosave conflict
+function SaveStatus({ status, saving }) {
+  if (saving || status === 'saving') {
+    return (
+      <span className="flex items-center space-x-1 text-xs text-gray-500">
+        <RefreshCw className="h-3 w-3 animate-spin" />
+        <span>Saving…</span>
+      </span>
+    );
+  }
+  switch (status) {
+    case 'saved':
+      return (
+        <span className="flex items-center space-x-1 text-xs text-green-700">
+          <Check className="h-3 w-3" />
+          <span>Saved</span>
+        </span>
+      );
+    case 'draft':
+      return (
+        <span className="flex items-center space-x-1 text-xs text-amber-700" title="A draft is kept on this device until you save">
+          <HardDrive className="h-3 w-3" />
+          <span>Unsaved changes · draft kept</span>
+        </span>
+      );
+    case 'unsaved':
+      return <span className="text-xs text-amber-700">Unsaved changes</span>;
+    case 'conflict':
+      return (
+        <span className="flex items-center space-x-1 text-xs text-red-700" title="Autosave stopped because the note was changed elsewhere">
+          <AlertTriangle className="h-3 w-3" />
+          <span>Changed elsewhere · save to merge</span>
+        </span>
+      );
+    default:
+      return null;
+  }
+}
+
+export default SaveStatus;
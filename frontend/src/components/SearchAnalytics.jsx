@@ -0,0 +1,376 @@
+import React, { useState, useEffect } from 'react';
+import { Download, RefreshCw, Search } from 'lucide-react';
+import { searchApi } from '../api/client';
+import { toCsv } from '../lib/csv';
+import { downloadFile } from '../lib/backup';
+import { formatDate } from '../utils';
+
+const RANGE_PRESETS = [7, 30, 90];
+
+// Search type colours match the badges on search results
+const TYPE_COLORS = {
+  keyword: '#6b7280',
+  semantic: '#8b5cf6',
+  hybrid: '#3b82f6'
+};
+const FALLBACK_TYPE_COLOR = '#f59e0b';
+
+// Server days are UTC dates
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return isoDay(date);
+};
+
+const shortDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatSeconds = (seconds) => (seconds >= 1 ? `${seconds.toFixed(2)}s` : `${Math.round(seconds * 1000)}ms`);
+
+// Searches per day as bars, average response time as a line on its own scale
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = { top: 12, right: 44, bottom: 24, left: 32 };
+
+function VolumeChart({ daily }) {
+  const innerWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const innerHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const maxSearches = Math.max(1, ...daily.map((point) => point.searches));
+  const maxTime = Math.max(0.001, ...daily.map((point) => point.average_response_time));
+  const slot = innerWidth / daily.length;
+  const barWidth = Math.max(1, slot * 0.7);
+  const xCenter = (idx) => CHART_PADDING.left + slot * idx + slot / 2;
+  const ySearches = (value) => CHART_PADDING.top + innerHeight - (value / maxSearches) * innerHeight;
+  const yTime = (value) => CHART_PADDING.top + innerHeight - (value / maxTime) * innerHeight;
+
+  const timeLine = daily
+    .map((point, idx) => (point.searches ? `${xCenter(idx)},${yTime(point.average_response_time)}` : null))
+    .filter(Boolean)
+    .join(' ');
+  const labelIndexes = [...new Set([0, Math.floor((daily.length - 1) / 2), daily.length - 1])];
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto" role="img" aria-label="Searches and average response time per day">
+      <line
+        x1={CHART_PADDING.left}
+        x2={CHART_WIDTH - CHART_PADDING.right}
+        y1={CHART_PADDING.top + innerHeight}
+        y2={CHART_PADDING.top + innerHeight}
+        stroke="#e5e7eb"
+      />
+      <text x={CHART_PADDING.left - 6} y={CHART_PADDING.top + 4} textAnchor="end" className="fill-indigo-600 text-[10px]">{maxSearches}</text>
+      <text x={CHART_PADDING.left - 6} y={CHART_PADDING.top + innerHeight} textAnchor="end" className="fill-gray-400 text-[10px]">0</text>
+      <text x={CHART_WIDTH - CHART_PADDING.right + 6} y={CHART_PADDING.top + 4} className="fill-amber-600 text-[10px]">{formatSeconds(maxTime)}</text>
+
+      {daily.map((point, idx) => (
+        <g key={point.day}>
+          <title>{`${shortDay(point.day)}: ${point.searches} searches, avg ${formatSeconds(point.average_response_time)}, ${point.zero_results} with no results`}</title>
+          {/* Full-height hit area so empty days still show a tooltip */}
+          <rect x={xCenter(idx) - slot / 2} y={CHART_PADDING.top} width={slot} height={innerHeight} fill="transparent" />
+          <rect
+            x={xCenter(idx) - barWidth / 2}
+            y={ySearches(point.searches)}
+            width={barWidth}
+            height={CHART_PADDING.top + innerHeight - ySearches(point.searches)}
+            className="fill-indigo-400"
+            rx={Math.min(2, barWidth / 4)}
+          />
+        </g>
+      ))}
+
+      {timeLine && <polyline points={timeLine} fill="none" stroke="#d97706" strokeWidth="2" strokeLinejoin="round" pointerEvents="none" />}
+
+      {labelIndexes.map((idx) => (
+        <text key={idx} x={xCenter(idx)} y={CHART_HEIGHT - 6} textAnchor="middle" className="fill-gray-500 text-[10px]">
+          {shortDay(daily[idx].day)}
+        </text>
+      ))}
+    </svg>
+  );
+}
+
+// Share of searches per search type as one stacked bar
+function TypeSplit({ searchTypes }) {
+  const entries = Object.entries(searchTypes).sort((a, b) => b[1] - a[1]);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+  if (!total) return <p className="text-sm text-gray-500">No searches in this range.</p>;
+
+  return (
+    <div>
+      <div className="flex h-3 rounded-full overflow-hidden bg-gray-100">
+        {entries.map(([type, count]) => (
+          <div
+            key={type}
+            style={{ width: `${(count / total) * 100}%`, backgroundColor: TYPE_COLORS[type] || FALLBACK_TYPE_COLOR }}
+            title={`${type}: ${count}`}
+          />
+        ))}
+      </div>
+      <ul className="mt-3 space-y-1">
+        {entries.map(([type, count]) => (
+          <li key={type} className="flex items-center justify-between text-sm">
+            <span className="flex items-center space-x-2">
+              <span className="h-2.5 w-2.5 rounded-full" style={{ backgroundColor: TYPE_COLORS[type] || FALLBACK_TYPE_COLOR }} />
+              <span className="capitalize text-gray-700">{type}</span>
+            </span>
+            <span className="text-gray-500">{count} · {Math.round((count / total) * 100)}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+const QUERY_COLUMNS = [
+  { key: 'list', label: 'list' },
+  { key: 'query', label: 'query' },
+  { key: 'count', label: 'searches' },
+  { key: 'average_results', label: 'average_results' },
+  { key: 'last_searched', label: 'last_searched' }
+];
+
+const DAILY_COLUMNS = [
+  { key: 'day', label: 'date' },
+  { key: 'searches', label: 'searches' },
+  { key: 'average_response_time', label: 'average_response_time_s' },
+  { key: 'zero_results', label: 'zero_result_searches' }
+];
+
+// Search analytics for a chosen date range; clicking a query runs it again via `onRunQuery`
+function SearchAnalytics({ onRunQuery }) {
+  // Either a preset number of days or a custom { start, end }
+  const [range, setRange] = useState({ days: 7 });
+  const [custom, setCustom] = useState({ start: daysAgo(29), end: isoDay(new Date()) });
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const params = range.days ? { start: daysAgo(range.days - 1), end: isoDay(new Date()) } : range;
+        setReport(await searchApi.report(params, { signal: controller.signal, silent: true }));
+      } catch (err) {
+        if (!controller.signal.aborted) setError(err.message);
+      }
+      if (!controller.signal.aborted) setLoading(false);
+    };
+    load();
+    return () => controller.abort();
+  }, [range, reloadKey]);
+
+  const applyCustom = (next) => {
+    setCustom(next);
+    if (next.start && next.end && next.start <= next.end) setRange(next);
+  };
+
+  const exportDaily = () => {
+    downloadFile(toCsv(report.daily, DAILY_COLUMNS), `search-volume-${report.start}-to-${report.end}.csv`, 'text/csv');
+  };
+
+  const exportQueries = () => {
+    const rows = [
+      ...report.popular_queries.map((stat) => ({ ...stat, list: 'popular' })),
+      ...report.zero_result_queries.map((stat) => ({ ...stat, list: 'zero_results' }))
+    ];
+    downloadFile(toCsv(rows, QUERY_COLUMNS), `search-queries-${report.start}-to-${report.end}.csv`, 'text/csv');
+  };
+
+  const zeroRate = report && report.total_searches ? Math.round((report.zero_result_searches / report.total_searches) * 100) : 0;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h3 className="text-lg font-semibold text-gray-900">Search Analytics</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+            {RANGE_PRESETS.map((days) => (
+              <button
+                key={days}
+                onClick={() => setRange({ days })}
+                className={`px-3 py-1.5 ${range.days === days ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                {days} days
+              </button>
+            ))}
+            <button
+              onClick={() => applyCustom(custom)}
+              className={`px-3 py-1.5 ${!range.days ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+            >
+              Custom
+            </button>
+          </div>
+          {!range.days && (
+            <div className="flex items-center space-x-1 text-sm">
+              <input
+                type="date"
+                value={custom.start}
+                max={custom.end}
+                onChange={(e) => applyCustom({ ...custom, start: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="date"
+                value={custom.end}
+                min={custom.start}
+                onChange={(e) => applyCustom({ ...custom, end: e.target.value })}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              />
+            </div>
+          )}
+          <button
+            onClick={() => setReloadKey(reloadKey + 1)}
+            disabled={loading}
+            className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-600 mb-4">Could not load analytics: {error}</div>
+      )}
+
+      {report && (
+        <div className={loading ? 'opacity-60 transition-opacity' : ''}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-6">
+            <div className="text-center">
+              <div className="text-2xl font-bold text-indigo-600">{report.total_searches}</div>
+              <div className="text-sm text-gray-600">Total Searches</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-600">{formatSeconds(report.average_response_time)}</div>
+              <div className="text-sm text-gray-600">Avg Response Time</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-orange-600">{zeroRate}%</div>
+              <div className="text-sm text-gray-600">Searches With No Results</div>
+            </div>
+            <div className="text-center">
+              <div className="text-2xl font-bold text-purple-600">{Object.keys(report.search_types).length}</div>
+              <div className="text-sm text-gray-600">Search Types Used</div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+            <div className="lg:col-span-2">
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="text-sm font-medium text-gray-700">Daily volume</h4>
+                <div className="flex items-center space-x-3 text-xs text-gray-500">
+                  <span className="flex items-center space-x-1">
+                    <span className="h-2.5 w-2.5 rounded-sm bg-indigo-400" />
+                    <span>Searches</span>
+                  </span>
+                  <span className="flex items-center space-x-1">
+                    <span className="h-0.5 w-3 bg-amber-600" />
+                    <span>Avg response time</span>
+                  </span>
+                </div>
+              </div>
+              <VolumeChart daily={report.daily} />
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Search types</h4>
+              <TypeSplit searchTypes={report.search_types} />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Popular queries</h4>
+              {report.popular_queries.length ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b">
+                      <th className="py-1 pr-2 font-medium w-8">#</th>
+                      <th className="py-1 pr-2 font-medium">Query</th>
+                      <th className="py-1 pr-2 font-medium text-right">Searches</th>
+                      <th className="py-1 pr-2 font-medium text-right">Avg results</th>
+                      <th className="py-1 font-medium text-right hidden sm:table-cell">Last searched</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.popular_queries.map((stat, idx) => (
+                      <tr key={stat.query} className="border-b last:border-0">
+                        <td className="py-1.5 pr-2 text-gray-400">{idx + 1}</td>
+                        <td className="py-1.5 pr-2">
+                          <button
+                            onClick={() => onRunQuery(stat.query)}
+                            className="flex items-center space-x-1 text-indigo-700 hover:underline text-left"
+                            title="Search for this again"
+                          >
+                            <Search className="h-3 w-3 shrink-0" />
+                            <span className="break-all">{stat.query}</span>
+                          </button>
+                        </td>
+                        <td className="py-1.5 pr-2 text-right text-gray-700">{stat.count}</td>
+                        <td className={`py-1.5 pr-2 text-right ${stat.average_results ? 'text-gray-700' : 'text-red-600'}`}>{stat.average_results}</td>
+                        <td className="py-1.5 text-right text-gray-500 hidden sm:table-cell">{formatDate(stat.last_searched)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No searches in this range.</p>
+              )}
+            </div>
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Queries with no results</h4>
+              {report.zero_result_queries.length ? (
+                <ul className="space-y-1">
+                  {report.zero_result_queries.map((stat) => (
+                    <li key={stat.query} className="flex items-center justify-between text-sm">
+                      <button
+                        onClick={() => onRunQuery(stat.query)}
+                        className="text-left text-indigo-700 hover:underline break-all"
+                        title="Search for this again"
+                      >
+                        {stat.query}
+                      </button>
+                      <span className="text-gray-500 ml-2 shrink-0">×{stat.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-gray-500">Every search found something.</p>
+              )}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 mt-6">
+            <button
+              onClick={exportDaily}
+              className="flex items-center space-x-1 text-sm text-gray-600 hover:text-indigo-600"
+            >
+              <Download className="h-4 w-4" />
+              <span>Daily volume CSV</span>
+            </button>
+            <button
+              onClick={exportQueries}
+              className="flex items-center space-x-1 text-sm text-gray-600 hover:text-indigo-600"
+            >
+              <Download className="h-4 w-4" />
+              <span>Queries CSV</span>
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!report && loading && (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-6 w-6 border-2 border-indigo-600 border-t-transparent" />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchAnalytics;
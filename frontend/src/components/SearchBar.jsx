@@ -0,0 +1,89 @@
+import React from 'react';
+import { Filter, Search } from 'lucide-react';
+
+export const SEARCH_TYPES = [
+  { value: 'keyword', label: 'Keyword' },
+  { value: 'semantic', label: 'Semantic' },
+  { value: 'hybrid', label: 'Hybrid' }
+];
+
+const searchTypeColor = (type) => {
+  switch (type) {
+    case 'semantic': return 'bg-purple-100 text-purple-800';
+    case 'hybrid': return 'bg-blue-100 text-blue-800';
+    default: return 'bg-gray-100 text-gray-800';
+  }
+};
+
+// Search box with the mode picker. It is a combobox over the results list (id "search-results");
+// `activeResult` is the index of the result picked with the arrow keys, -1 for none.
+function SearchBar({
+  inputRef,
+  query,
+  type,
+  searching,
+  expanded,
+  activeResult,
+  onQueryChange,
+  onTypeChange,
+  onKeyDown,
+  onSearch
+}) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+      <div className="flex flex-col space-y-4">
+        <div className="flex items-center space-x-4">
+          <div className="flex-1 relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <input
+              ref={inputRef}
+              type="text"
+              placeholder="Search notes with AI-powered semantic search..."
+              value={query}
+              onChange={(e) => onQueryChange(e.target.value)}
+              onKeyDown={onKeyDown}
+              role="combobox"
+              aria-controls="search-results"
+              aria-expanded={expanded}
+              aria-activedescendant={activeResult >= 0 ? `search-result-${activeResult}` : undefined}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+          <select
+            value={type}
+            onChange={(e) => onTypeChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+          >
+            {SEARCH_TYPES.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={onSearch}
+            disabled={searching}
+            className="flex items-center space-x-2 bg-indigo-600 text-white px-6 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+          >
+            {searching ? (
+              <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent" />
+            ) : (
+              <Search className="h-4 w-4" />
+            )}
+            <span>Search</span>
+          </button>
+        </div>
+
+        {query && (
+          <div className="flex items-center space-x-2 text-sm text-gray-600">
+            <Filter className="h-4 w-4" />
+            <span>Search mode:</span>
+            <span className={`px-2 py-1 rounded-full text-xs ${searchTypeColor(type)}`}>
+              {type.charAt(0).toUpperCase() + type.slice(1)}
+            </span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SearchBar;
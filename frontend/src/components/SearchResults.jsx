@@ -0,0 +1,144 @@
+import React from 'react';
+import { Clock, Edit2, Eye, Share2, Tag, Trash2 } from 'lucide-react';
+import Highlight from './Highlight.jsx';
+import { stripMarkdown } from '../lib/markdown';
+import { makeSnippet } from '../lib/snippets';
+import { formatDate } from '../utils';
+
+// Search results with the matched passages highlighted. `hiddenCount` results are left out by
+// the tag filter. `onOpen(result, chunk?)` opens a result, at the given passage if there is one.
+function SearchResults({
+  listRef,
+  results,
+  hiddenCount,
+  terms,
+  activeResult,
+  isSelected,
+  onActivate,
+  onToggleSelected,
+  onSelectAll,
+  onOpen,
+  onShare,
+  onDelete
+}) {
+  return (
+    <div className="bg-white rounded-xl shadow-sm p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">
+          Search Results ({results.length})
+          {hiddenCount > 0 && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {hiddenCount} hidden by the tag filter
+            </span>
+          )}
+        </h3>
+        <button
+          onClick={onSelectAll}
+          className="text-sm text-indigo-600 hover:text-indigo-700"
+        >
+          Select all results
+        </button>
+      </div>
+      <div ref={listRef} id="search-results" role="listbox" className="space-y-4">
+        {results.map((result, resultIndex) => (
+          <div
+            key={result.note.id}
+            id={`search-result-${resultIndex}`}
+            data-result-index={resultIndex}
+            role="option"
+            aria-selected={resultIndex === activeResult}
+            onMouseEnter={() => onActivate(resultIndex)}
+            className={`border rounded-lg p-4 transition-colors ${
+              resultIndex === activeResult ? 'border-indigo-400 ring-2 ring-indigo-100' : 'border-gray-200'
+            }`}
+          >
+            <div className="flex justify-between items-start mb-2">
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={isSelected(result.note.id)}
+                  onChange={(e) => onToggleSelected(result, e.nativeEvent.shiftKey)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+                  aria-label={`Select ${result.note.title}`}
+                />
+                <button onClick={() => onOpen(result)} className="text-left font-medium text-gray-900 hover:text-indigo-700">
+                  <Highlight text={result.note.title} terms={terms} />
+                </button>
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">
+                  {(result.relevance_score * 100).toFixed(1)}% match
+                </span>
+                {result.note.is_public && (
+                  <span className="text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full">
+                    Public
+                  </span>
+                )}
+              </div>
+            </div>
+            <p className="text-gray-600 text-sm mb-3">
+              <Highlight text={makeSnippet(stripMarkdown(result.note.content), terms)} terms={terms} />
+            </p>
+            {result.matched_chunks.length > 0 && (
+              <div className="mb-3">
+                <div className="text-xs font-medium text-gray-700 mb-1">Relevant excerpts:</div>
+                {result.matched_chunks.slice(0, 2).map((chunk, idx) => (
+                  <button
+                    key={idx}
+                    onClick={() => onOpen(result, chunk)}
+                    title="Open the note at this passage"
+                    className="block w-full text-left text-xs bg-yellow-50 text-yellow-800 hover:bg-yellow-100 p-2 rounded mb-1"
+                  >
+                    "<Highlight text={makeSnippet(stripMarkdown(chunk), terms, 120)} terms={terms} />"
+                  </button>
+                ))}
+              </div>
+            )}
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-4 text-xs text-gray-500">
+                <span className="flex items-center space-x-1">
+                  <Eye className="h-3 w-3" />
+                  <span>{result.note.view_count} views</span>
+                </span>
+                <span className="flex items-center space-x-1">
+                  <Clock className="h-3 w-3" />
+                  <span>{formatDate(result.note.updated_at)}</span>
+                </span>
+                {result.note.tags && (
+                  <span className="flex items-center space-x-1">
+                    <Tag className="h-3 w-3" />
+                    <span>{result.note.tags}</span>
+                  </span>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => onOpen(result)}
+                  className="text-indigo-600 hover:text-indigo-700"
+                >
+                  <Edit2 className="h-4 w-4" />
+                </button>
+                {result.note.is_public && (
+                  <button
+                    onClick={() => onShare(result.note.id)}
+                    className="text-green-600 hover:text-green-700"
+                  >
+                    <Share2 className="h-4 w-4" />
+                  </button>
+                )}
+                <button
+                  onClick={() => onDelete(result.note.id)}
+                  className="text-red-600 hover:text-red-700"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SearchResults;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Keyboard, X } from 'lucide-react';
+
+export const MOD_KEY = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+
+const SHORTCUTS = [
+  { keys: [MOD_KEY, 'K'], description: 'Open the command palette (in the editor it inserts a link)' },
+  { keys: ['N'], description: 'New note' },
+  { keys: ['T'], description: "Open today's note" },
+  { keys: ['/'], description: 'Focus search' },
+  { keys: ['J'], description: 'Next note' },
+  { keys: ['K'], description: 'Previous note' },
+  { keys: ['Enter'], description: 'Open the selected note' },
+  { keys: ['E'], description: 'Edit the selected note' },
+  { keys: ['X'], description: 'Select or deselect the highlighted note for batch actions' },
+  { keys: ['Delete'], description: 'Move the selected note (or every note in the multi-selection) to the trash' },
+  { keys: [MOD_KEY, 'S'], description: 'Save the note being edited' },
+  { keys: ['Esc'], description: 'Close the open dialog or panel, then clear the multi-selection' },
+  { keys: ['?'], description: 'Show this list' }
+];
+
+// "?" overlay listing the keyboard shortcuts
+function ShortcutsHelp({ onClose }) {
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center p-4 z-[70]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl shadow-xl max-w-md w-full">
+        <div className="flex items-center justify-between px-4 py-3 border-b">
+          <div className="flex items-center space-x-2">
+            <Keyboard className="h-5 w-5 text-indigo-600" />
+            <h2 className="font-semibold text-gray-900">Keyboard shortcuts</h2>
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-gray-600" title="Close">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+        <ul className="px-4 py-3 space-y-2">
+          {SHORTCUTS.map(({ keys, description }) => (
+            <li key={description} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">{description}</span>
+              <span className="flex items-center space-x-1">
+                {keys.map((key) => (
+                  <kbd key={key} className="text-xs text-gray-600 bg-gray-100 border border-gray-200 rounded px-1.5 py-0.5">{key}</kbd>
+                ))}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutsHelp;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Wifi, WifiOff, RefreshCw, AlertTriangle } from 'lucide-react';
+
+// Header indicator for the offline cache: online / offline / syncing, pending edits and conflicts
+function SyncStatus({ isOnline, isSyncing, pendingCount, conflictCount, onShowConflicts }) {
+  let badge;
+  if (isSyncing) {
+    badge = (
+      <span className="flex items-center space-x-1 text-xs bg-blue-100 text-blue-700 px-2 py-1 rounded-full">
+        <RefreshCw className="h-3 w-3 animate-spin" />
+        <span>Syncing</span>
+      </span>
+    );
+  } else if (isOnline) {
+    badge = (
+      <span className="flex items-center space-x-1 text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">
+        <Wifi className="h-3 w-3" />
+        <span>Online</span>
+      </span>
+    );
+  } else {
+    badge = (
+      <span className="flex items-center space-x-1 text-xs bg-gray-200 text-gray-700 px-2 py-1 rounded-full">
+        <WifiOff className="h-3 w-3" />
+        <span>Offline</span>
+      </span>
+    );
+  }
+
+  const waiting = pendingCount - conflictCount;
+
+  return (
+    <div className="flex items-center space-x-2">
+      {badge}
+      {waiting > 0 && (
+        <span className="text-xs text-gray-500" title="Changes saved on this device, waiting to be sent">
+          {waiting} pending
+        </span>
+      )}
+      {conflictCount > 0 && (
+        <button
+          onClick={onShowConflicts}
+          className="flex items-center space-x-1 text-xs bg-red-100 text-red-700 px-2 py-1 rounded-full hover:bg-red-200 transition-colors"
+        >
+          <AlertTriangle className="h-3 w-3" />
+          <span>{conflictCount} conflict{conflictCount === 1 ? '' : 's'}</span>
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default SyncStatus;
@@ -0,0 +1,126 @@
+import React, { useState, useRef } from 'react';
+import { X } from 'lucide-react';
+import { formatTags, normalizeTag, parseTags } from '../lib/tags';
+
+const MAX_SUGGESTIONS = 8;
+
+// Chip editor for a note's comma-separated tags, with autocomplete from tags used elsewhere
+function TagInput({ value, onChange, suggestions = [], placeholder = 'Add a tag...' }) {
+  const [draft, setDraft] = useState('');
+  const [isFocused, setIsFocused] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const inputRef = useRef(null);
+  const tags = parseTags(value);
+
+  const query = normalizeTag(draft);
+  const matches = suggestions
+    .filter((name) => !tags.includes(name) && name.includes(query))
+    // Prefix matches first, then the rest in their original (alphabetical) order
+    .sort((a, b) => Number(!a.startsWith(query)) - Number(!b.startsWith(query)))
+    .slice(0, MAX_SUGGESTIONS);
+  const showSuggestions = isFocused && query && matches.length > 0;
+
+  // Pasting "a, b, c" adds three chips
+  const addTags = (text) => {
+    const added = parseTags(text);
+    if (added.length) onChange(formatTags([...tags, ...added]));
+    setDraft('');
+    setHighlighted(0);
+  };
+
+  const removeTag = (tag) => {
+    onChange(formatTags(tags.filter((item) => item !== tag)));
+  };
+
+  const handleKeyDown = (e) => {
+    if (showSuggestions && e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % matches.length);
+    } else if (showSuggestions && e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + matches.length) % matches.length);
+    } else if (e.key === 'Enter' || e.key === ',' || (e.key === 'Tab' && draft.trim())) {
+      e.preventDefault();
+      addTags(showSuggestions && e.key !== ',' ? matches[highlighted] : draft);
+    } else if (e.key === 'Backspace' && !draft && tags.length) {
+      removeTag(tags[tags.length - 1]);
+    } else if (e.key === 'Escape' && draft) {
+      e.stopPropagation();
+      setDraft('');
+    }
+  };
+
+  return (
+    <div className="relative">
+      <div
+        onClick={() => inputRef.current?.focus()}
+        className={`flex flex-wrap items-center gap-1 w-full px-2 py-1.5 border rounded-lg cursor-text ${
+          isFocused ? 'border-transparent ring-2 ring-indigo-500' : 'border-gray-300'
+        }`}
+      >
+        {tags.map((tag) => (
+          <span key={tag} className="flex items-center space-x-1 text-xs bg-indigo-50 text-indigo-700 pl-2 pr-1 py-1 rounded-full">
+            <span>{tag}</span>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                removeTag(tag);
+              }}
+              className="text-indigo-400 hover:text-indigo-700"
+              title={`Remove ${tag}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+        <input
+          ref={inputRef}
+          type="text"
+          value={draft}
+          onChange={(e) => {
+            setDraft(e.target.value);
+            setHighlighted(0);
+          }}
+          onKeyDown={handleKeyDown}
+          onPaste={(e) => {
+            const text = e.clipboardData.getData('text');
+            if (text.includes(',')) {
+              e.preventDefault();
+              addTags(text);
+            }
+          }}
+          onFocus={() => setIsFocused(true)}
+          onBlur={() => {
+            setIsFocused(false);
+            if (draft.trim()) addTags(draft);
+          }}
+          className="flex-1 min-w-[8rem] px-1 py-0.5 text-sm outline-none"
+          placeholder={tags.length ? '' : placeholder}
+        />
+      </div>
+
+      {showSuggestions && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-md py-1 max-h-56 overflow-y-auto">
+          {matches.map((name, idx) => (
+            <li key={name}>
+              <button
+                type="button"
+                // Keep focus in the input so blur does not add the half-typed draft first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => addTags(name)}
+                className={`w-full text-left px-3 py-1.5 text-sm ${
+                  idx === highlighted ? 'bg-indigo-50 text-indigo-700' : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {name}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default TagInput;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { Tag, Edit2, Check, X } from 'lucide-react';
+import { normalizeTag } from '../lib/tags';
+
+const TAG_MODES = [
+  { value: 'and', label: 'All', title: 'Notes with every selected tag' },
+  { value: 'or', label: 'Any', title: 'Notes with at least one selected tag' }
+];
+
+// Every tag with its note count; click to filter, pencil to rename (or merge into an existing tag)
+function TagSidebar({ tags, selected, mode, renaming, onToggle, onModeChange, onClear, onRename }) {
+  const [editing, setEditing] = useState(null);
+  const [newName, setNewName] = useState('');
+
+  const startEditing = (name) => {
+    setEditing(name);
+    setNewName(name);
+  };
+
+  const submitRename = async () => {
+    const target = normalizeTag(newName);
+    if (!target || target === editing) {
+      setEditing(null);
+      return;
+    }
+    const isMerge = tags.some((tag) => tag.name === target);
+    if (isMerge && !window.confirm(`"${target}" already exists. Merge "${editing}" into it?`)) return;
+    const from = editing;
+    setEditing(null);
+    await onRename(from, target);
+  };
+
+  return (
+    <aside className="bg-white rounded-xl shadow-sm p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center space-x-2 text-sm font-semibold text-gray-900">
+          <Tag className="h-4 w-4 text-indigo-600" />
+          <span>Tags</span>
+        </h3>
+        {selected.length > 0 && (
+          <button onClick={onClear} className="text-xs text-indigo-600 hover:text-indigo-700">
+            Clear
+          </button>
+        )}
+      </div>
+
+      {selected.length > 1 && (
+        <div className="flex items-center space-x-1 bg-gray-100 rounded-lg p-1 mb-3">
+          {TAG_MODES.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => onModeChange(option.value)}
+              title={option.title}
+              className={`flex-1 px-2 py-1 text-xs rounded-md transition-colors ${
+                mode === option.value ? 'bg-white text-indigo-700 shadow-sm' : 'text-gray-600 hover:text-indigo-600'
+              }`}
+            >
+              Match {option.label.toLowerCase()}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {renaming && (
+        <div className="text-xs text-gray-500 mb-2">Updating notes...</div>
+      )}
+
+      {tags.length === 0 ? (
+        <p className="text-xs text-gray-500">No tags yet. Add some while editing a note.</p>
+      ) : (
+        <ul className="space-y-0.5 max-h-[60vh] overflow-y-auto">
+          {tags.map((tag) => (
+            <li key={tag.name} className="group flex items-center">
+              {editing === tag.name ? (
+                <div className="flex items-center w-full space-x-1">
+                  <input
+                    autoFocus
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') submitRename();
+                      if (e.key === 'Escape') {
+                        e.stopPropagation();
+                        setEditing(null);
+                      }
+                    }}
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <button onClick={submitRename} className="p-1 text-green-600 hover:text-green-700" title="Rename">
+                    <Check className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => setEditing(null)} className="p-1 text-gray-400 hover:text-gray-600" title="Cancel">
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <button
+                    onClick={() => onToggle(tag.name)}
+                    className={`flex-1 flex items-center justify-between min-w-0 px-2 py-1 text-sm rounded transition-colors ${
+                      selected.includes(tag.name)
+                        ? 'bg-indigo-600 text-white'
+                        : 'text-gray-700 hover:bg-gray-100'
+                    }`}
+                  >
+                    <span className="truncate">{tag.name}</span>
+                    <span className={`text-xs ml-2 ${selected.includes(tag.name) ? 'text-indigo-100' : 'text-gray-400'}`}>
+                      {tag.count}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => startEditing(tag.name)}
+                    disabled={renaming}
+                    className="p-1 ml-1 text-gray-300 opacity-0 group-hover:opacity-100 hover:text-indigo-600 disabled:hidden transition-opacity"
+                    title="Rename or merge"
+                  >
+                    <Edit2 className="h-3 w-3" />
+                  </button>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default TagSidebar;
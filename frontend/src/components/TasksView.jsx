@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CalendarDays, CheckSquare, FileText, X } from 'lucide-react';
+import { GROUPINGS, STATUS_FILTERS, collectTasks, dueDate, groupTasks } from '../lib/tasks';
+import { toDateKey } from '../lib/templates';
+
+const formatDue = (due) => dueDate(due).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+const SegmentedControl = ({ label, options, value, onChange }) => (
+  <div className="flex items-center space-x-2 text-sm">
+    <span className="text-gray-500">{label}</span>
+    <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+      {options.map((option) => (
+        <button
+          key={option.value}
+          onClick={() => onChange(option.value)}
+          className={`px-3 py-1 ${value === option.value ? 'bg-indigo-600 text-white' : 'text-gray-700 hover:bg-gray-50'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  </div>
+);
+
+// Every task list item across all notes, grouped by note, tag or due date ("@due(2026-11-01)").
+// Checking one off saves its note; `onToggle(task)` resolves to the note as it now is, or null.
+function TasksView({ loadNotes, onToggle, onOpenNote, onClose }) {
+  const [notes, setNotes] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [groupBy, setGroupBy] = useState('note');
+  const [filter, setFilter] = useState('open');
+  // Ids of tasks being saved
+  const [saving, setSaving] = useState(new Set());
+  // Notes are loaded once when the view opens; after that toggles keep them current
+  const loader = useRef(loadNotes);
+  loader.current = loadNotes;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      try {
+        setNotes(await loader.current(controller.signal));
+        setStatus('ready');
+      } catch (error) {
+        if (!error.isAborted) setStatus('error');
+      }
+    };
+    load();
+    return () => controller.abort();
+  }, []);
+
+  const today = toDateKey(new Date());
+  const tasks = useMemo(() => collectTasks(notes, today), [notes, today]);
+  const { matches } = STATUS_FILTERS.find((option) => option.value === filter);
+  const groups = useMemo(() => groupTasks(tasks.filter(matches), groupBy), [tasks, matches, groupBy]);
+  const lockedCount = notes.filter((note) => note.locked).length;
+  const openCount = tasks.filter((task) => !task.done).length;
+  const overdueCount = tasks.filter((task) => task.overdue).length;
+
+  const toggle = async (task) => {
+    setSaving((prev) => new Set(prev).add(task.id));
+    const updated = await onToggle(task);
+    if (updated) setNotes((prev) => prev.map((note) => (note.id === updated.id ? updated : note)));
+    setSaving((prev) => {
+      const next = new Set(prev);
+      next.delete(task.id);
+      return next;
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[85vh] flex flex-col">
+        <div className="p-6 border-b space-y-4">
+          <div className="flex justify-between items-center">
+            <div>
+              <div className="flex items-center space-x-3">
+                <CheckSquare className="h-6 w-6 text-indigo-600" />
+                <h2 className="text-xl font-bold text-gray-900">Tasks</h2>
+              </div>
+              {status === 'ready' && (
+                <p className="text-sm text-gray-500 mt-1">
+                  {openCount} open{overdueCount > 0 && <span className="text-red-600"> · {overdueCount} overdue</span>}
+                  {' '}· Add <code className="bg-gray-100 px-1 rounded">@due(YYYY-MM-DD)</code> to a task to give it a due date.
+                </p>
+              )}
+            </div>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <span className="sr-only">Close</span>
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <SegmentedControl label="Show" options={STATUS_FILTERS} value={filter} onChange={setFilter} />
+            <SegmentedControl label="Group by" options={GROUPINGS} value={groupBy} onChange={setGroupBy} />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {status === 'loading' && (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-600 border-t-transparent" />
+            </div>
+          )}
+
+          {status === 'error' && (
+            <p className="py-12 text-center text-sm text-gray-600">Tasks could not be loaded.</p>
+          )}
+
+          {status === 'ready' && groups.length === 0 && (
+            <p className="py-12 text-center text-sm text-gray-500">
+              {tasks.length ? 'No tasks match this filter.' : 'No tasks yet. Write "- [ ] something to do" in any note.'}
+            </p>
+          )}
+
+          {status === 'ready' && groups.map((group) => (
+            <section key={group.key} className="border-b last:border-b-0">
+              <h3 className="sticky top-0 bg-gray-50 px-6 py-2 text-sm font-semibold text-gray-700 flex items-center space-x-2">
+                {groupBy === 'note' && <FileText className="h-4 w-4" />}
+                {groupBy === 'due' && <CalendarDays className="h-4 w-4" />}
+                {groupBy === 'note' ? (
+                  <button onClick={() => onOpenNote(group.key)} className="truncate hover:text-indigo-600">{group.label}</button>
+                ) : (
+                  <span>{groupBy === 'due' && group.key ? formatDue(group.key) : group.label}</span>
+                )}
+                {groupBy === 'due' && group.key && group.key < today && (
+                  <span className="text-xs font-normal text-red-600">overdue</span>
+                )}
+              </h3>
+              <ul className="divide-y">
+                {group.tasks.map((task) => (
+                  <li key={task.id} className="flex items-start space-x-3 px-6 py-2">
+                    <input
+                      type="checkbox"
+                      checked={task.done}
+                      disabled={saving.has(task.id)}
+                      onChange={() => toggle(task)}
+                      aria-label={task.label}
+                      className="mt-1 h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                    />
+                    <div className="min-w-0 flex-1">
+                      <p className={`text-sm ${task.done ? 'line-through text-gray-400' : 'text-gray-900'}`}>{task.label || task.text}</p>
+                      <div className="flex flex-wrap items-center gap-x-3 text-xs text-gray-500">
+                        {task.due && groupBy !== 'due' && (
+                          <span className={task.overdue ? 'text-red-600 font-medium' : ''}>
+                            Due {formatDue(task.due)}{task.overdue && ' (overdue)'}
+                          </span>
+                        )}
+                        {groupBy !== 'note' && (
+                          <button onClick={() => onOpenNote(task.note.id)} className="truncate hover:text-indigo-600">
+                            {task.note.title}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          ))}
+
+          {status === 'ready' && lockedCount > 0 && (
+            <p className="px-6 py-3 text-xs text-gray-500">
+              Tasks in {lockedCount} encrypted {lockedCount === 1 ? 'note are' : 'notes are'} hidden until you unlock your encrypted notes.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TasksView;
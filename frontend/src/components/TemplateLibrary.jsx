@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { CalendarDays, FilePlus, LayoutTemplate, Pencil, Plus, Trash2, X } from 'lucide-react';
+import TagInput from './TagInput.jsx';
+import { STARTER_TEMPLATES } from '../lib/templates';
+import { parseTags } from '../lib/tags';
+
+const blankTemplate = { name: '', title: '', content: '', tags: '', is_public: false, is_daily: false };
+
+const PLACEHOLDER_HELP = [
+  ['{{date}}', 'the date, e.g. 2026-10-19'],
+  ['{{time}}', 'the time, e.g. 09:30'],
+  ['{{title}}', "the note's title (in the content)"],
+  ['{{cursor}}', 'where typing starts']
+];
+
+// Pick a template for a new note, and create, edit or delete templates. One template can be
+// marked as the daily template, which "Today's note" starts from.
+function TemplateLibrary({ templates, loading, tagSuggestions, onUse, onSave, onDelete, onClose }) {
+  const [selectedId, setSelectedId] = useState(templates[0]?.id ?? null);
+  // Template being created (no id) or edited
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const selected = templates.find((template) => template.id === selectedId) || templates[0] || null;
+
+  const startEditing = (template) => {
+    setError('');
+    setForm(template ? { ...blankTemplate, ...template } : { ...blankTemplate });
+  };
+
+  const saveForm = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      setError('Give the template a name.');
+      return;
+    }
+    setSaving(true);
+    setError('');
+    try {
+      const { id, name, title, content, tags, is_public: isPublic, is_daily: isDaily } = form;
+      const saved = await onSave(id || null, { name, title, content, tags, is_public: isPublic, is_daily: isDaily });
+      setSelectedId(saved.id);
+      setForm(null);
+    } catch (err) {
+      setError(err.message);
+    }
+    setSaving(false);
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Notes created from it are not affected.`)) return;
+    try {
+      await onDelete(template);
+      setSelectedId(null);
+    } catch (err) {
+      console.error('Failed to delete template:', err);
+    }
+  };
+
+  const addStarterTemplates = async () => {
+    setSaving(true);
+    try {
+      for (const template of STARTER_TEMPLATES) {
+        await onSave(null, template);
+      }
+    } catch (err) {
+      console.error('Failed to add starter templates:', err);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && !saving) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl max-w-4xl w-full h-[85vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <div className="flex items-center space-x-3">
+            <LayoutTemplate className="h-6 w-6 text-indigo-600" />
+            <h2 className="text-xl font-bold text-gray-900">Templates</h2>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => startEditing(null)}
+              disabled={saving}
+              className="flex items-center space-x-1 px-3 py-1.5 text-sm text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4" />
+              <span>New template</span>
+            </button>
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <span className="sr-only">Close</span>
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 flex min-h-0">
+          <ul className="w-64 flex-shrink-0 border-r overflow-y-auto divide-y">
+            {templates.map((template) => (
+              <li key={template.id}>
+                <button
+                  onClick={() => {
+                    setSelectedId(template.id);
+                    setForm(null);
+                  }}
+                  className={`w-full text-left px-4 py-3 text-sm ${
+                    selected?.id === template.id && !form ? 'bg-indigo-50 text-indigo-700' : 'text-gray-900 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="flex items-center space-x-2">
+                    <span className="flex-1 truncate font-medium">{template.name}</span>
+                    {template.is_daily && <CalendarDays className="h-4 w-4 flex-shrink-0" aria-label="Daily note template" />}
+                  </span>
+                  {template.title && <span className="block text-xs text-gray-500 truncate">{template.title}</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex-1 overflow-y-auto p-6">
+            {form ? (
+              <form onSubmit={saveForm} className="space-y-4" noValidate>
+                {error && (
+                  <div role="alert" className="bg-red-50 border border-red-200 text-red-800 text-sm rounded-lg p-3">
+                    {error}
+                  </div>
+                )}
+                <div>
+                  <label htmlFor="template-name" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    id="template-name"
+                    type="text"
+                    autoFocus
+                    maxLength={100}
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    placeholder="e.g. Meeting notes"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="template-title" className="block text-sm font-medium text-gray-700 mb-1">Note title</label>
+                  <input
+                    id="template-title"
+                    type="text"
+                    maxLength={255}
+                    value={form.title}
+                    onChange={(e) => setForm({ ...form, title: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    placeholder="e.g. Meeting {{date}}"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Default tags</label>
+                  <TagInput value={form.tags} onChange={(tags) => setForm({ ...form, tags })} suggestions={tagSuggestions} />
+                </div>
+                <div>
+                  <label htmlFor="template-content" className="block text-sm font-medium text-gray-700 mb-1">Content</label>
+                  <textarea
+                    id="template-content"
+                    rows={12}
+                    value={form.content}
+                    onChange={(e) => setForm({ ...form, content: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                    placeholder="Markdown, with placeholders..."
+                  />
+                  <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-xs text-gray-500 mt-2">
+                    {PLACEHOLDER_HELP.map(([placeholder, description]) => (
+                      <div key={placeholder} className="flex space-x-2">
+                        <dt className="font-mono text-gray-700">{placeholder}</dt>
+                        <dd>{description}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                </div>
+                <label className="flex items-center space-x-2 text-sm text-gray-900">
+                  <input
+                    type="checkbox"
+                    checked={form.is_public}
+                    onChange={(e) => setForm({ ...form, is_public: e.target.checked })}
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                  />
+                  <span>New notes are public</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-900">
+                  <input
+                    type="checkbox"
+                    checked={form.is_daily}
+                    onChange={(e) => setForm({ ...form, is_daily: e.target.checked })}
+                    className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                  />
+                  <span>Use for Today's note (daily notes are titled by their date)</span>
+                </label>
+                <div className="flex justify-end space-x-3">
+                  <button
+                    type="button"
+                    onClick={() => setForm(null)}
+                    disabled={saving}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save template'}
+                  </button>
+                </div>
+              </form>
+            ) : loading ? (
+              <div className="flex justify-center py-12">
+                <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-600 border-t-transparent" />
+              </div>
+            ) : selected ? (
+              <div className="space-y-4">
+                <div className="flex items-start justify-between">
+                  <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-gray-900 truncate">{selected.name}</h3>
+                    <p className="text-sm text-gray-500">
+                      {selected.title ? <>Title: <span className="font-mono">{selected.title}</span></> : 'No title'}
+                      {selected.is_public && ' · public'}
+                      {selected.is_daily && " · used for Today's note"}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    <button
+                      onClick={() => startEditing(selected)}
+                      className="p-2 text-gray-400 hover:text-indigo-600"
+                      title="Edit template"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteTemplate(selected)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title="Delete template"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {selected.tags && (
+                  <div className="flex flex-wrap gap-1">
+                    {parseTags(selected.tags).map((tag) => (
+                      <span key={tag} className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded">{tag}</span>
+                    ))}
+                  </div>
+                )}
+                <pre className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-800 whitespace-pre-wrap font-mono">
+                  {selected.content || 'Empty'}
+                </pre>
+                <div className="flex justify-end">
+                  <button
+                    onClick={() => onUse(selected)}
+                    className="flex items-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+                  >
+                    <FilePlus className="h-4 w-4" />
+                    <span>New note from this template</span>
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="text-center py-12 space-y-3">
+                <p className="text-sm text-gray-600">No templates yet. Create one, or start with a few common ones.</p>
+                <button
+                  onClick={addStarterTemplates}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm text-indigo-600 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-50"
+                >
+                  {saving ? 'Adding...' : 'Add meeting, standup, postmortem and daily templates'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TemplateLibrary;
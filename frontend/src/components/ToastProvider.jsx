@@ -0,0 +1,84 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { X, CheckCircle, AlertCircle, Info } from 'lucide-react';
+import { subscribeToErrors } from '../api/client';
+
+const ToastContext = createContext(null);
+
+const DEFAULT_DURATION = 4000;
+
+const STYLES = {
+  success: { icon: CheckCircle, className: 'border-green-200 text-green-800', iconClass: 'text-green-600' },
+  error: { icon: AlertCircle, className: 'border-red-200 text-red-800', iconClass: 'text-red-600' },
+  info: { icon: Info, className: 'border-indigo-200 text-gray-800', iconClass: 'text-indigo-600' }
+};
+
+// App-wide toast notifications; failed API requests show up here automatically
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(0);
+
+  const dismiss = useCallback((id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  // `action` is an optional { label, onClick } button rendered in the toast
+  const show = useCallback((type, message, { duration = DEFAULT_DURATION, action } = {}) => {
+    const id = ++nextId.current;
+    setToasts((prev) => [...prev, { id, type, message, action }]);
+    if (duration) setTimeout(() => dismiss(id), duration);
+    return id;
+  }, [dismiss]);
+
+  const toast = useMemo(() => ({
+    show,
+    dismiss,
+    success: (message, options) => show('success', message, options),
+    error: (message, options) => show('error', message, options),
+    info: (message, options) => show('info', message, options)
+  }), [show, dismiss]);
+
+  useEffect(() => subscribeToErrors((error) => toast.error(error.message)), [toast]);
+
+  return (
+    <ToastContext.Provider value={toast}>
+      {children}
+      <div className="fixed bottom-4 right-4 z-[70] flex flex-col space-y-2 w-80 max-w-[calc(100vw-2rem)]">
+        {toasts.map((item) => {
+          const style = STYLES[item.type] || STYLES.info;
+          const Icon = style.icon;
+          return (
+            <div
+              key={item.id}
+              role="status"
+              className={`flex items-start space-x-3 bg-white border rounded-lg shadow-md p-3 text-sm ${style.className}`}
+            >
+              <Icon className={`h-4 w-4 mt-0.5 flex-shrink-0 ${style.iconClass}`} />
+              <div className="flex-1">{item.message}</div>
+              {item.action && (
+                <button
+                  onClick={() => {
+                    item.action.onClick();
+                    dismiss(item.id);
+                  }}
+                  className="text-indigo-600 hover:text-indigo-700 font-medium"
+                >
+                  {item.action.label}
+                </button>
+              )}
+              <button onClick={() => dismiss(item.id)} className="text-gray-400 hover:text-gray-600">
+                <span className="sr-only">Dismiss</span>
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+export const useToast = () => {
+  const toast = useContext(ToastContext);
+  if (!toast) throw new Error('useToast must be used inside <ToastProvider>');
+  return toast;
+};
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw, Trash2, X } from 'lucide-react';
+import { trashApi } from '../api/client';
+import { stripMarkdown } from '../lib/markdown';
+import { formatDate } from '../utils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / DAY_MS));
+
+// Notes in the trash, newest first, with restore and "delete forever"; the server purges them after the retention period
+function TrashView({ onRestore, onClose }) {
+  const [notes, setNotes] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [status, setStatus] = useState('loading');
+  // Id of the note being restored or deleted, or 'all' while emptying
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      try {
+        const data = await trashApi.list({ signal: controller.signal });
+        setNotes(data.notes);
+        setRetentionDays(data.retention_days);
+        setStatus('ready');
+      } catch (error) {
+        if (!error.isAborted) setStatus('error');
+      }
+    };
+    load();
+    return () => controller.abort();
+  }, []);
+
+  const forget = (id) => setNotes((prev) => prev.filter((note) => note.id !== id));
+
+  const restore = async (note) => {
+    setBusy(note.id);
+    try {
+      await onRestore(note.id);
+      forget(note.id);
+    } catch (error) {
+      console.error('Failed to restore note:', error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const deleteForever = async (note) => {
+    if (!window.confirm(`Delete "${note.title}" forever? This cannot be undone.`)) return;
+    setBusy(note.id);
+    try {
+      await trashApi.purge(note.id);
+      forget(note.id);
+    } catch (error) {
+      console.error('Failed to delete note:', error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const emptyTrash = async () => {
+    if (!window.confirm(`Delete all ${notes.length} notes in the trash forever? This cannot be undone.`)) return;
+    setBusy('all');
+    try {
+      await trashApi.empty();
+      setNotes([]);
+    } catch (error) {
+      console.error('Failed to empty the trash:', error);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <div className="bg-white rounded-xl max-w-3xl w-full max-h-[85vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <div>
+            <div className="flex items-center space-x-3">
+              <Trash2 className="h-6 w-6 text-indigo-600" />
+              <h2 className="text-xl font-bold text-gray-900">Trash</h2>
+            </div>
+            {retentionDays !== null && (
+              <p className="text-sm text-gray-500 mt-1">
+                Notes are deleted forever {retentionDays} days after they were moved here.
+              </p>
+            )}
+          </div>
+          <div className="flex items-center space-x-3">
+            {notes.length > 0 && (
+              <button
+                onClick={emptyTrash}
+                disabled={busy !== null}
+                className="px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                {busy === 'all' ? 'Emptying...' : 'Empty trash'}
+              </button>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <span className="sr-only">Close</span>
+              <X className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {status === 'loading' && (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-600 border-t-transparent" />
+            </div>
+          )}
+
+          {status === 'error' && (
+            <p className="py-12 text-center text-sm text-gray-600">The trash could not be loaded.</p>
+          )}
+
+          {status === 'ready' && notes.length === 0 && (
+            <p className="py-12 text-center text-sm text-gray-500">The trash is empty.</p>
+          )}
+
+          {status === 'ready' && notes.length > 0 && (
+            <ul className="divide-y">
+              {notes.map((note) => (
+                <li key={note.id} className="flex items-start justify-between px-6 py-4">
+                  <div className="min-w-0 mr-4">
+                    <h3 className="font-medium text-gray-900 truncate">{note.title}</h3>
+                    <p className="text-sm text-gray-600 line-clamp-2">{stripMarkdown(note.content)}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Deleted {formatDate(note.deleted_at)} · {daysLeft(note.purge_at)} days left
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    <button
+                      onClick={() => restore(note)}
+                      disabled={busy !== null}
+                      className="flex items-center space-x-1 px-3 py-1.5 text-sm text-indigo-600 hover:bg-indigo-50 rounded-lg disabled:opacity-50"
+                    >
+                      <RotateCcw className="h-4 w-4" />
+                      <span>{busy === note.id ? 'Working...' : 'Restore'}</span>
+                    </button>
+                    <button
+                      onClick={() => deleteForever(note)}
+                      disabled={busy !== null}
+                      className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                      title="Delete forever"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrashView;
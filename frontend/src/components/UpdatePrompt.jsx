@@ -0,0 +1,27 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+import useServiceWorker from '../hooks/useServiceWorker';
+
+// "Update available" card shown once a new deploy's service worker is waiting
+function UpdatePrompt() {
+  const { updateAvailable, applyUpdate, dismissUpdate } = useServiceWorker();
+  if (!updateAvailable) return null;
+
+  return (
+    <div role="status" className="fixed bottom-6 left-6 z-40 flex items-center space-x-3 bg-white rounded-xl shadow-lg border px-4 py-3">
+      <RefreshCw className="h-4 w-4 text-indigo-600" />
+      <span className="text-sm text-gray-800">A new version of Smart Notes is available.</span>
+      <button
+        onClick={applyUpdate}
+        className="px-3 py-1 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+      >
+        Reload
+      </button>
+      <button onClick={dismissUpdate} className="p-1 text-gray-400 hover:text-gray-600" title="Later">
+        <X className="h-4 w-4" />
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+import { notesApi } from '../api/client';
+import { diffLines, toSideBySide, countChanges } from '../lib/diff';
+import { formatDate } from '../utils';
+
+const LINE_STYLES = {
+  same: 'text-gray-700',
+  removed: 'bg-red-50 text-red-800',
+  added: 'bg-green-50 text-green-800'
+};
+
+const LINE_MARKERS = { same: ' ', removed: '-', added: '+' };
+
+const LineNumber = ({ value }) => (
+  <span className="select-none inline-block w-8 pr-2 text-right text-gray-400">{value ?? ''}</span>
+);
+
+const InlineDiff = ({ lines }) => (
+  <pre className="text-xs font-mono whitespace-pre-wrap break-words">
+    {lines.map((line, idx) => (
+      <div key={idx} className={LINE_STYLES[line.type]}>
+        <LineNumber value={line.oldNumber} />
+        <LineNumber value={line.newNumber} />
+        <span className="select-none pr-2">{LINE_MARKERS[line.type]}</span>
+        {line.text}
+      </div>
+    ))}
+  </pre>
+);
+
+const SideBySideDiff = ({ lines }) => (
+  <div className="grid grid-cols-2 gap-x-2 text-xs font-mono">
+    {toSideBySide(lines).map((row, idx) => (
+      <React.Fragment key={idx}>
+        {[row.left, row.right].map((line, side) => (
+          <pre
+            key={side}
+            className={`whitespace-pre-wrap break-words ${line ? LINE_STYLES[line.type] : 'bg-gray-50'}`}
+          >
+            <LineNumber value={line && (side === 0 ? line.oldNumber : line.newNumber)} />
+            {line ? line.text : ''}
+          </pre>
+        ))}
+      </React.Fragment>
+    ))}
+  </div>
+);
+
+// Timeline of a note's saved versions with a diff between any two and a restore action
+// `reveal` decrypts the snapshots of an encrypted note
+function VersionHistory({ noteId, reveal, restoring, onRestore, onClose }) {
+  const [versions, setVersions] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [selected, setSelected] = useState(null);
+  const [compareWith, setCompareWith] = useState(null);
+  const [mode, setMode] = useState('inline');
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const load = async () => {
+      try {
+        const fetched = await notesApi.versions(noteId, { signal: controller.signal });
+        const data = reveal ? await Promise.all(fetched.map(reveal)) : fetched;
+        if (controller.signal.aborted) return;
+        setVersions(data);
+        // Start on the latest change: current version against the one before it
+        setSelected(data[0]?.version ?? null);
+        setCompareWith(data[1]?.version ?? null);
+        setStatus('ready');
+      } catch (error) {
+        if (!error.isAborted) setStatus('error');
+      }
+    };
+    load();
+    return () => controller.abort();
+    // Reloaded when the encryption key is unlocked or locked, so snapshots show as they can now be read
+  }, [noteId, reveal]);
+
+  const selectedVersion = versions.find((item) => item.version === selected);
+  const baseVersion = versions.find((item) => item.version === compareWith);
+
+  const contentDiff = useMemo(() => (
+    selectedVersion ? diffLines(baseVersion?.content ?? '', selectedVersion.content) : []
+  ), [selectedVersion, baseVersion]);
+  const changes = countChanges(contentDiff);
+
+  // Pick a version on the timeline and compare it with the one saved just before it
+  const selectVersion = (version) => {
+    setSelected(version);
+    const older = versions.find((item) => item.version < version);
+    setCompareWith(older ? older.version : null);
+  };
+
+  const metadataChanges = baseVersion && selectedVersion ? [
+    baseVersion.title !== selectedVersion.title && `Title: "${baseVersion.title}" → "${selectedVersion.title}"`,
+    baseVersion.tags !== selectedVersion.tags && `Tags: "${baseVersion.tags || 'none'}" → "${selectedVersion.tags || 'none'}"`,
+    baseVersion.is_public !== selectedVersion.is_public && `Visibility: ${baseVersion.is_public ? 'public' : 'private'} → ${selectedVersion.is_public ? 'public' : 'private'}`
+  ].filter(Boolean) : [];
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white rounded-xl max-w-6xl w-full h-[90vh] flex flex-col">
+        <div className="flex justify-between items-center p-6 border-b">
+          <div className="flex items-center space-x-3">
+            <History className="h-6 w-6 text-indigo-600" />
+            <h2 className="text-xl font-bold text-gray-900">Version history</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <span className="sr-only">Close</span>
+            <X className="h-6 w-6" />
+          </button>
+        </div>
+
+        {status === 'loading' && (
+          <div className="flex-1 flex items-center justify-center">
+            <div className="animate-spin rounded-full h-8 w-8 border-2 border-indigo-600 border-t-transparent" />
+          </div>
+        )}
+
+        {status === 'error' && (
+          <div className="flex-1 flex items-center justify-center text-sm text-gray-600">
+            The version history could not be loaded.
+          </div>
+        )}
+
+        {status === 'ready' && (
+          <div className="flex-1 flex min-h-0">
+            {/* Timeline */}
+            <ol className="w-60 flex-shrink-0 border-r overflow-y-auto p-4 space-y-1">
+              {versions.map((item) => (
+                <li key={item.version}>
+                  <button
+                    onClick={() => selectVersion(item.version)}
+                    className={`w-full text-left border-l-2 pl-3 pr-2 py-2 rounded-r transition-colors ${
+                      item.version === selected
+                        ? 'border-indigo-600 bg-indigo-50'
+                        : item.version === compareWith
+                          ? 'border-amber-400 bg-amber-50'
+                          : 'border-gray-200 hover:bg-gray-50'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="text-sm font-medium text-gray-900">v{item.version}</span>
+                      {item.is_current && (
+                        <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">Current</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-500">{formatDate(item.saved_at)}</div>
+                    <div className="text-xs text-gray-600 truncate">{item.title}</div>
+                  </button>
+                </li>
+              ))}
+              {versions.length === 1 && (
+                <li className="text-xs text-gray-500 pt-2">
+                  No earlier versions yet. Older saves are kept from now on.
+                </li>
+              )}
+            </ol>
+
+            {/* Diff */}
+            <div className="flex-1 flex flex-col min-w-0">
+              <div className="flex flex-wrap items-center justify-between gap-3 px-6 py-3 border-b text-sm">
+                <div className="flex items-center space-x-2 text-gray-700">
+                  <span>Comparing</span>
+                  <span className="font-medium text-indigo-700">v{selected}</span>
+                  <span>with</span>
+                  <select
+                    value={compareWith ?? ''}
+                    onChange={(e) => setCompareWith(e.target.value === '' ? null : Number(e.target.value))}
+                    className="px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  >
+                    <option value="">(empty)</option>
+                    {versions.filter((item) => item.version !== selected).map((item) => (
+                      <option key={item.version} value={item.version}>v{item.version}</option>
+                    ))}
+                  </select>
+                  <span className="text-green-700">+{changes.added}</span>
+                  <span className="text-red-700">-{changes.removed}</span>
+                </div>
+                <div className="flex items-center space-x-1 bg-gray-100 rounded-lg p-1">
+                  {[['inline', 'Inline'], ['split', 'Side by side']].map(([value, label]) => (
+                    <button
+                      key={value}
+                      onClick={() => setMode(value)}
+                      className={`px-3 py-1 text-xs rounded-md transition-colors ${
+                        mode === value ? 'bg-white text-indigo-700 shadow-sm' : 'text-gray-600 hover:text-indigo-600'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex-1 overflow-y-auto px-6 py-4">
+                {metadataChanges.length > 0 && (
+                  <ul className="mb-4 text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded-lg p-3 space-y-1">
+                    {metadataChanges.map((change) => <li key={change}>{change}</li>)}
+                  </ul>
+                )}
+                {changes.added === 0 && changes.removed === 0 && (
+                  <p className="text-xs text-gray-500 mb-2">The content is identical in both versions.</p>
+                )}
+                {mode === 'inline' ? <InlineDiff lines={contentDiff} /> : <SideBySideDiff lines={contentDiff} />}
+              </div>
+
+              <div className="flex justify-end space-x-3 px-6 py-4 border-t">
+                <button
+                  onClick={onClose}
+                  className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={() => onRestore(selectedVersion, versions[0])}
+                  disabled={!selectedVersion || selectedVersion.is_current || restoring}
+                  className="flex items-center space-x-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                >
+                  <RotateCcw className="h-4 w-4" />
+                  <span>{restoring ? 'Restoring...' : `Restore v${selected}`}</span>
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VersionHistory;
@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { attachmentsApi } from '../api/client';
+import { useToast } from '../components/ToastProvider.jsx';
+import { attachmentType, validateAttachment } from '../lib/attachments';
+
+// Attachments of one saved note plus the uploads in flight, each with its progress (0..1) or error.
+// `noteId` is null for notes the server does not know yet; those cannot take attachments.
+function useAttachments(noteId) {
+  const [attachments, setAttachments] = useState([]);
+  const [uploads, setUploads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const nextUploadId = useRef(0);
+  const toast = useToast();
+
+  useEffect(() => {
+    setAttachments([]);
+    setUploads([]);
+    if (!noteId) return undefined;
+    const controller = new AbortController();
+    const load = async () => {
+      setLoading(true);
+      try {
+        setAttachments(await attachmentsApi.list(noteId, { signal: controller.signal, silent: true }));
+      } catch (error) {
+        if (!error.isAborted) console.error('Failed to load attachments:', error);
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    };
+    load();
+    return () => controller.abort();
+  }, [noteId]);
+
+  const updateUpload = (id, changes) => {
+    setUploads((prev) => prev.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const dismissUpload = useCallback((id) => {
+    setUploads((prev) => prev.filter((upload) => upload.id !== id));
+  }, []);
+
+  /**
+   * Upload files in parallel; ones over the limits are refused up front with a toast.
+   * @param {File[]} files
+   * @returns {Promise<Array<import('../api/client').Attachment>>} the attachments that were stored, in `files` order
+   */
+  const uploadFiles = useCallback(async (files) => {
+    if (!noteId) {
+      toast.error('Save the note before attaching files');
+      return [];
+    }
+    const accepted = files.filter((file) => {
+      const problem = validateAttachment(file);
+      if (problem) toast.error(problem);
+      return !problem;
+    });
+
+    const results = await Promise.all(accepted.map(async (file) => {
+      const id = nextUploadId.current++;
+      setUploads((prev) => [...prev, { id, name: file.name, size: file.size, progress: 0, error: null }]);
+      try {
+        // Some browsers leave the type of .md/.csv files empty; send the one we validated
+        const typed = file.type ? file : new File([file], file.name, { type: attachmentType(file) });
+        const attachment = await attachmentsApi.upload(noteId, typed, {
+          silent: true,
+          onProgress: (progress) => updateUpload(id, { progress })
+        });
+        dismissUpload(id);
+        setAttachments((prev) => [...prev, attachment]);
+        return attachment;
+      } catch (error) {
+        updateUpload(id, { error: error.message });
+        return null;
+      }
+    }));
+    return results.filter(Boolean);
+  }, [noteId, toast, dismissUpload]);
+
+  const removeAttachment = useCallback(async (attachment) => {
+    await attachmentsApi.remove(attachment.id);
+    setAttachments((prev) => prev.filter((item) => item.id !== attachment.id));
+  }, []);
+
+  return { attachments, uploads, loading, uploadFiles, removeAttachment, dismissUpload };
+}
+
+export default useAttachments;
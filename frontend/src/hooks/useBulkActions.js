@@ -0,0 +1,263 @@
+import { useState, useRef, useCallback } from 'react';
+import { notesApi } from '../api/client';
+import { useToast } from '../components/ToastProvider.jsx';
+import { buildJsonBackup, buildMarkdownZip, downloadFile, isExportable } from '../lib/backup';
+import { addTags, parseTags, removeTags } from '../lib/tags';
+
+// Requests in flight at once during a batch
+const CONCURRENCY = 4;
+const UNDO_TOAST_DURATION = 10000;
+
+const FIELDS = ['title', 'content', 'tags', 'is_public'];
+
+const payloadOf = (note, changes = {}) => {
+  const payload = { version: note.version };
+  FIELDS.forEach((field) => {
+    payload[field] = field in changes ? changes[field] : note[field];
+  });
+  return payload;
+};
+
+const plural = (count) => `${count} ${count === 1 ? 'note' : 'notes'}`;
+
+// Run `task` over `items` with a few calls in flight at once
+const runPool = async (items, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, items.length) }, worker));
+};
+
+const succeeded = (result) => result.status === 'saved' || result.status === 'queued';
+
+const failureMessage = (result) => {
+  if (result.status === 'conflict') return 'Changed elsewhere in the meantime';
+  return result.error?.message || 'Failed';
+};
+
+/**
+ * Multi-select over notes plus batch delete / visibility / tag / export actions.
+ * Changes show immediately through the notes hook's pending changes, run a few at a time,
+ * and the last batch can be undone in one step.
+ */
+// `onSettled({ deleted, updated })` runs after every batch with the ids removed and the notes saved;
+// `fetchAll()` loads every note matching the current filters for "select all"
+function useBulkActions({ notes, updateNote, deleteNote, restoreNote, setPendingChanges, clearPendingChanges, fetchAll, onSettled }) {
+  // id -> note, so notes selected from search results or "select all" need not be loaded in the grid
+  const [selection, setSelection] = useState(() => new Map());
+  // Progress of the running (or last) batch: { label, total, done, failed: [{ note, message }], running }
+  const [job, setJob] = useState(null);
+  const [selectingAll, setSelectingAll] = useState(false);
+  const anchorId = useRef(null);
+  const toast = useToast();
+
+  const isSelected = useCallback((id) => selection.has(id), [selection]);
+
+  // Click toggles one note; shift-click selects everything between it and the last clicked note in `list`
+  const toggleSelected = useCallback((note, { range = false, list = [] } = {}) => {
+    setSelection((prev) => {
+      const next = new Map(prev);
+      const from = range && anchorId.current ? list.findIndex((item) => item.id === anchorId.current) : -1;
+      const to = list.findIndex((item) => item.id === note.id);
+      if (from !== -1 && to !== -1) {
+        list.slice(Math.min(from, to), Math.max(from, to) + 1).forEach((item) => next.set(item.id, item));
+      } else if (next.has(note.id)) {
+        next.delete(note.id);
+      } else {
+        next.set(note.id, note);
+      }
+      return next;
+    });
+    anchorId.current = note.id;
+  }, []);
+
+  const selectMany = useCallback((items) => {
+    setSelection((prev) => new Map([...prev, ...items.map((item) => [item.id, item])]));
+  }, []);
+
+  // Every note matching the current filters, not just the pages loaded so far
+  const selectAll = async () => {
+    setSelectingAll(true);
+    try {
+      selectMany(await fetchAll());
+    } catch (error) {
+      toast.error(`Could not load all notes: ${error.message}`);
+    } finally {
+      setSelectingAll(false);
+    }
+  };
+
+  const clearSelection = useCallback(() => {
+    setSelection(new Map());
+    anchorId.current = null;
+  }, []);
+
+  // Prefer the copy in the grid: it carries the latest version
+  const selectedNotes = useCallback(() => {
+    const current = new Map(notes.map((note) => [note.id, note]));
+    return [...selection.keys()].map((id) => current.get(id) || selection.get(id));
+  }, [notes, selection]);
+
+  /**
+   * Apply `perform` to each note, showing `preview(note)` (fields, or null = gone) until it settles.
+   * @returns {Promise<{ done: Array<{ note: Object, result: Object }>, failed: Array<{ note: Object, message: string }> }>}
+   */
+  const runBatch = async (label, targets, preview, perform) => {
+    setPendingChanges(new Map(targets.map((note) => [note.id, preview(note)])));
+    setJob({ label, total: targets.length, done: 0, failed: [], running: true });
+
+    const done = [];
+    const failed = [];
+    await runPool(targets, async (note) => {
+      let result;
+      try {
+        result = await perform(note);
+      } catch (error) {
+        result = { status: 'error', error };
+      }
+      if (succeeded(result)) {
+        done.push({ note, result });
+      } else {
+        failed.push({ note, message: failureMessage(result) });
+      }
+      setJob((prev) => ({ ...prev, done: prev.done + 1, failed: [...failed] }));
+    });
+
+    clearPendingChanges(targets.map((note) => note.id));
+    setJob((prev) => (failed.length ? { ...prev, running: false } : null));
+    onSettled({
+      deleted: done.filter(({ result }) => !result.note).map(({ note }) => note.id),
+      updated: done.map(({ result }) => result.note).filter(Boolean)
+    });
+    return { done, failed };
+  };
+
+  // Edit fields on each note (PUT with its version); a note that changed meanwhile is re-read once and retried
+  const updateEach = (changesFor) => async (note) => {
+    const result = await updateNote(note, payloadOf(note, changesFor(note)), { silent: true });
+    if (result.status !== 'conflict') return result;
+    const fresh = await notesApi.get(note.id, { silent: true });
+    return updateNote(fresh, payloadOf(fresh, changesFor(fresh)), { silent: true });
+  };
+
+  // Toast the outcome with an Undo that reverts the notes that did change
+  const report = (summary, { done, failed }, undo) => {
+    const options = done.length && undo ? { duration: UNDO_TOAST_DURATION, action: { label: 'Undo', onClick: () => undo(done) } } : {};
+    if (failed.length) {
+      toast.error(`${summary(done.length)}; ${plural(failed.length)} failed`, options);
+    } else {
+      toast.success(summary(done.length), options);
+    }
+  };
+
+  // Put the changed fields back to their values from before the batch
+  const revertFields = (fields) => async (done) => {
+    const targets = done.map(({ note, result }) => ({ original: note, current: result.note || note }));
+    const byId = new Map(targets.map((target) => [target.current.id, target.original]));
+    const restore = (note) => Object.fromEntries(fields.map((field) => [field, byId.get(note.id)[field]]));
+    const outcome = await runBatch('Undoing', targets.map((target) => target.current), restore, updateEach(restore));
+    report((count) => `Reverted ${plural(count)}`, outcome);
+  };
+
+  const updateSelection = (outcome, deleted = false) => {
+    setSelection((prev) => {
+      const next = new Map(prev);
+      outcome.done.forEach(({ note, result }) => {
+        if (deleted) {
+          next.delete(note.id);
+        } else if (result.note) {
+          next.set(note.id, result.note);
+        }
+      });
+      return next;
+    });
+  };
+
+  const deleteSelected = async () => {
+    const targets = selectedNotes();
+    if (!window.confirm(`Move ${plural(targets.length)} to the trash?`)) return;
+    const outcome = await runBatch(`Deleting ${plural(targets.length)}`, targets, () => null, (note) => deleteNote(note.id, { silent: true }));
+    updateSelection(outcome, true);
+    // Undo brings the notes back from the trash; deletes still queued offline have nothing to restore yet
+    const trashed = outcome.done.filter(({ result }) => result.status === 'saved').map(({ note }) => note);
+    report((count) => `Moved ${plural(count)} to the trash`, outcome, trashed.length ? async () => {
+      const restored = await runBatch('Restoring', trashed, () => ({}), async (note) => (
+        { status: 'saved', note: await restoreNote(note.id, { silent: true }) }
+      ));
+      report((count) => `Restored ${plural(count)}`, restored);
+    } : null);
+  };
+
+  const setVisibility = async (isPublic) => {
+    const targets = selectedNotes().filter((note) => note.is_public !== isPublic);
+    if (!targets.length) {
+      toast.info(`All selected notes are already ${isPublic ? 'public' : 'private'}`);
+      return;
+    }
+    const changes = () => ({ is_public: isPublic });
+    const outcome = await runBatch(`Making ${plural(targets.length)} ${isPublic ? 'public' : 'private'}`, targets, changes, updateEach(changes));
+    updateSelection(outcome);
+    report((count) => `Made ${plural(count)} ${isPublic ? 'public' : 'private'}`, outcome, revertFields(['is_public']));
+  };
+
+  // `remove` false adds the tags, true removes them; notes that would not change are skipped
+  const editTags = async (tags, remove = false) => {
+    const names = parseTags(tags.join(','));
+    if (!names.length) return;
+    const changes = (note) => ({ tags: remove ? removeTags(note.tags, names) : addTags(note.tags, names) });
+    const targets = selectedNotes().filter((note) => changes(note).tags !== note.tags);
+    if (!targets.length) {
+      toast.info(`No selected note ${remove ? 'has' : 'is missing'} ${names.length === 1 ? 'that tag' : 'those tags'}`);
+      return;
+    }
+    const verb = remove ? 'Removed' : 'Added';
+    const outcome = await runBatch(`${remove ? 'Removing' : 'Adding'} tags on ${plural(targets.length)}`, targets, changes, updateEach(changes));
+    updateSelection(outcome);
+    report((count) => `${verb} ${names.join(', ')} ${remove ? 'from' : 'to'} ${plural(count)}`, outcome, revertFields(['tags']));
+  };
+
+  const exportSelected = (format) => {
+    const selected = selectedNotes();
+    const targets = selected.filter(isExportable);
+    const skipped = selected.length - targets.length;
+    if (skipped) toast.info(`${plural(skipped)} left out: encrypted notes are not exported`);
+    if (!targets.length) return;
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'markdown') {
+      downloadFile(buildMarkdownZip(targets), `smart-notes-selection-${stamp}.zip`, 'application/zip');
+    } else {
+      downloadFile(buildJsonBackup(targets), `smart-notes-selection-${stamp}.json`, 'application/json');
+    }
+  };
+
+  // Keep only the notes that failed selected, e.g. to retry them
+  const selectFailed = () => {
+    setSelection(new Map(job.failed.map(({ note }) => [note.id, note])));
+    setJob(null);
+  };
+
+  return {
+    selection,
+    selectedCount: selection.size,
+    isSelected,
+    toggleSelected,
+    selectMany,
+    selectAll,
+    selectingAll,
+    clearSelection,
+    job,
+    dismissJob: () => setJob(null),
+    selectFailed,
+    deleteSelected,
+    setVisibility,
+    editTags,
+    exportSelected
+  };
+}
+
+export default useBulkActions;
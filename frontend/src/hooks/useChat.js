@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { chatApi } from '../api/client';
+
+const STORAGE_KEY = 'smart-notes-chat';
+// Earlier turns sent along with each question so follow-ups have context
+const HISTORY_TURNS = 10;
+
+const loadMessages = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]');
+    // An answer that was still streaming when the page went away is kept as far as it got
+    return stored.map((message) => ({ ...message, streaming: false }));
+  } catch (error) {
+    return [];
+  }
+};
+
+export const clearStoredChat = () => sessionStorage.removeItem(STORAGE_KEY);
+
+// "Ask my notes" conversation; lives for the browser session
+function useChat() {
+  const [messages, setMessages] = useState(loadMessages);
+  const controllerRef = useRef(null);
+  const isStreaming = messages.some((message) => message.streaming);
+
+  useEffect(() => {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(messages));
+  }, [messages]);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Apply an update to the answer being streamed (a no-op once the conversation was cleared)
+  const updateLast = (update) => {
+    setMessages((prev) => {
+      const last = prev[prev.length - 1];
+      if (!last || last.role !== 'assistant') return prev;
+      return [...prev.slice(0, -1), update(last)];
+    });
+  };
+
+  const ask = useCallback(async (question) => {
+    const text = question.trim();
+    if (!text || controllerRef.current) return;
+
+    const history = messages
+      .filter((message) => message.content && !message.error)
+      .slice(-HISTORY_TURNS)
+      .map(({ role, content }) => ({ role, content }));
+
+    setMessages((prev) => [
+      ...prev,
+      { role: 'user', content: text },
+      { role: 'assistant', content: '', sources: [], streaming: true }
+    ]);
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    try {
+      await chatApi.ask({ question: text, history }, {
+        signal: controller.signal,
+        silent: true,
+        onEvent: (event) => {
+          if (event.type === 'sources') {
+            updateLast((message) => ({ ...message, sources: event.sources }));
+          } else if (event.type === 'token') {
+            updateLast((message) => ({ ...message, content: message.content + event.text }));
+          } else if (event.type === 'error') {
+            updateLast((message) => ({ ...message, error: event.message }));
+          }
+        }
+      });
+    } catch (error) {
+      if (!error.isAborted) updateLast((message) => ({ ...message, error: error.message }));
+    } finally {
+      controllerRef.current = null;
+      updateLast((message) => ({ ...message, streaming: false }));
+    }
+  }, [messages]);
+
+  const stop = useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const clear = useCallback(() => {
+    controllerRef.current?.abort();
+    setMessages([]);
+  }, []);
+
+  return { messages, isStreaming, ask, stop, clear };
+}
+
+export default useChat;
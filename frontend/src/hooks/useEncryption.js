@@ -0,0 +1,208 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { authApi } from '../api/client';
+import { useAuth } from '../components/AuthProvider.jsx';
+import {
+  createEncryptionKey,
+  decryptNoteFields,
+  encryptNoteFields,
+  isEncryptedContent,
+  unlockEncryptionKey
+} from '../lib/crypto';
+
+// Forget the key after this long without a keypress, click or touch
+const AUTO_LOCK_MS = 15 * 60 * 1000;
+const ACTIVITY_EVENTS = ['keydown', 'pointerdown', 'touchstart'];
+
+/** Thrown by `seal` when an encrypted note has to be saved while the key is locked */
+export class EncryptionLockedError extends Error {
+  constructor() {
+    super('Unlock your encrypted notes to save this one.');
+    this.name = 'EncryptionLockedError';
+  }
+}
+
+const isEncrypted = (note) => Boolean(note.is_encrypted) || isEncryptedContent(note.content);
+
+// The key for the signed-in user's encrypted notes. It is derived from their passphrase and
+// held in memory only, so every page load (and the auto-lock) asks for the passphrase again.
+function useEncryption() {
+  const { user, updateUser } = useAuth();
+  const [key, setKey] = useState(null);
+  // Ciphertext -> decrypted fields; ciphertexts are unique (random IV), so entries never go stale
+  const cache = useRef(new Map());
+
+  const lock = useCallback(() => {
+    setKey(null);
+    cache.current.clear();
+  }, []);
+
+  // First use: pick a passphrase, store the salt and check value on the account
+  const setUp = useCallback(async (passphrase) => {
+    const created = await createEncryptionKey(passphrase);
+    updateUser(await authApi.setupEncryption({ salt: created.salt, check: created.check }));
+    setKey(created.key);
+  }, [updateUser]);
+
+  // Rejects with WrongPassphraseError
+  const unlock = useCallback(async (passphrase) => {
+    setKey(await unlockEncryptionKey(passphrase, { salt: user.encryption_salt, check: user.encryption_check }));
+  }, [user]);
+
+  useEffect(() => {
+    if (!key) return undefined;
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, AUTO_LOCK_MS);
+    };
+    restart();
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, restart, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, restart));
+    };
+  }, [key, lock]);
+
+  /**
+   * Payload for createNote/updateNote: an encrypted note still in plain text is encrypted
+   * (title too with `encrypt_title`). Anything else, e.g. ciphertext passed through by a tag edit, is left as it is.
+   */
+  const seal = useCallback(async (payload) => {
+    const { encrypt_title: encryptTitle, ...rest } = payload;
+    if (!rest.is_encrypted || isEncryptedContent(rest.content)) return rest;
+    if (!key) throw new EncryptionLockedError();
+    return { ...rest, ...(await encryptNoteFields(key, rest, { encryptTitle })) };
+  }, [key]);
+
+  // Decrypted copy of a note from the cache, or undefined if it has not been decrypted yet
+  const revealCached = useCallback((note) => {
+    if (!isEncrypted(note)) return note;
+    if (!key) return { ...note, content: '', locked: true };
+    const fields = cache.current.get(note.content);
+    return fields ? { ...note, ...fields, locked: false } : undefined;
+  }, [key]);
+
+  /**
+   * Copy of a note (or version snapshot) to show or edit. Encrypted ones come back decrypted, or
+   * with empty content and `locked: true` while the key is locked (or if they cannot be decrypted).
+   */
+  const reveal = useCallback(async (note) => {
+    const cached = revealCached(note);
+    if (cached) return cached;
+    try {
+      const fields = await decryptNoteFields(key, note);
+      cache.current.set(note.content, fields);
+      return { ...note, ...fields, locked: false };
+    } catch (error) {
+      console.error(`Failed to decrypt note ${note.id}:`, error);
+      return { ...note, content: '', locked: true };
+    }
+  }, [key, revealCached]);
+
+  // Stable between renders until the key or the account changes, so effects can depend on it
+  const isSetUp = Boolean(user?.encryption_salt);
+  return useMemo(() => ({
+    isSetUp,
+    unlocked: Boolean(key),
+    setUp,
+    unlock,
+    lock,
+    seal,
+    reveal,
+    revealCached
+  }), [isSetUp, key, setUp, unlock, lock, seal, reveal, revealCached]);
+}
+
+/**
+ * `notes` with encrypted ones decrypted by `encryption.reveal`. Until a note has been decrypted it is
+ * shown locked rather than as ciphertext.
+ */
+export const useRevealedNotes = (notes, { reveal, revealCached }) => {
+  // Results of the latest round of decryption by ciphertext. Successes are in reveal's cache from then
+  // on; this also remembers the notes that could not be decrypted.
+  const [revealed, setRevealed] = useState(() => new Map());
+
+  useEffect(() => {
+    const missing = notes.filter((note) => !revealCached(note));
+    if (!missing.length) return undefined;
+    let cancelled = false;
+    Promise.all(missing.map(reveal)).then((results) => {
+      if (!cancelled) setRevealed(new Map(results.map((note, idx) => [missing[idx].content, note])));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [notes, reveal, revealCached]);
+
+  return useMemo(
+    () => notes.map((note) => revealCached(note) || revealed.get(note.content) || { ...note, content: '', locked: true }),
+    [notes, revealCached, revealed]
+  );
+};
+
+/**
+ * State of the passphrase prompt. `requestEncryption(reason, onDone?, onCancel?)` opens it; it closes
+ * once `setUp`/`unlock` succeeds (and stays open showing the error otherwise) or on `cancel`.
+ */
+export const useEncryptionPrompt = (encryption) => {
+  // { reason, onDone, onCancel } while open
+  const [prompt, setPrompt] = useState(null);
+
+  const requestEncryption = useCallback((reason, onDone = null, onCancel = null) => {
+    setPrompt({ reason, onDone, onCancel });
+  }, []);
+
+  const finish = async (unlocking) => {
+    await unlocking;
+    const { onDone } = prompt;
+    setPrompt(null);
+    onDone?.();
+  };
+
+  const cancel = () => {
+    const { onCancel } = prompt;
+    setPrompt(null);
+    onCancel?.();
+  };
+
+  return {
+    prompt,
+    requestEncryption,
+    setUp: (passphrase) => finish(encryption.setUp(passphrase)),
+    unlock: (passphrase) => finish(encryption.unlock(passphrase)),
+    cancel
+  };
+};
+
+/**
+ * createNote/updateNote of the notes store, sealing on the way out so encrypted notes only leave the
+ * browser (or reach the outbox) as ciphertext. Saved notes come back decrypted. Saving an encrypted
+ * note while locked resolves to an error result and calls `onLocked(message)`.
+ */
+export const useSealedNotes = ({ seal, reveal }, { createNote, updateNote }, onLocked) => {
+  const sealAndSave = useCallback(async (save) => {
+    try {
+      const result = await save();
+      return result.note ? { ...result, note: await reveal(result.note) } : result;
+    } catch (error) {
+      if (!(error instanceof EncryptionLockedError)) throw error;
+      onLocked(error.message);
+      return { status: 'error', error };
+    }
+  }, [reveal, onLocked]);
+
+  const createSealed = useCallback((payload, options) => sealAndSave(async () => (
+    createNote(await seal(payload), options)
+  )), [sealAndSave, seal, createNote]);
+
+  // The base is stored with queued edits, so it is sealed as well
+  const updateSealed = useCallback((base, payload, options) => sealAndSave(async () => updateNote(
+    await seal({ ...base, encrypt_title: base.titleEncrypted }),
+    await seal(payload),
+    options
+  )), [sealAndSave, seal, updateNote]);
+
+  return { createNote: createSealed, updateNote: updateSealed };
+};
+
+export default useEncryption;
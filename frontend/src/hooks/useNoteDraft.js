@@ -0,0 +1,206 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Unsaved editor contents are kept in localStorage per note id ("new" for a note being
+// created), so closing the tab or a crash does not lose them. Optionally, edits to an
+// existing note are also saved to the server after a pause in typing. Encrypted notes get
+// no draft, since it would sit in localStorage as plain text.
+
+const DRAFT_PREFIX = 'smart-notes-draft:';
+const AUTOSAVE_PREFERENCE_KEY = 'smart-notes-autosave';
+const DRAFT_DELAY_MS = 500;
+const AUTOSAVE_DELAY_MS = 3000;
+const FIELDS = ['title', 'content', 'tags', 'is_public'];
+
+const draftKey = (noteId) => `${DRAFT_PREFIX}${noteId || 'new'}`;
+
+// Notes cached before encryption existed have no is_encrypted at all
+export const hasEdits = (note, base) => FIELDS.some((field) => note[field] !== base[field])
+  || Boolean(note.is_encrypted) !== Boolean(base.is_encrypted);
+
+const readDraft = (noteId) => {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(noteId)));
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeDraft = (noteId, note, baseVersion) => {
+  const draft = { base_version: baseVersion, saved_at: new Date().toISOString() };
+  FIELDS.forEach((field) => {
+    draft[field] = note[field];
+  });
+  try {
+    localStorage.setItem(draftKey(noteId), JSON.stringify(draft));
+    return draft;
+  } catch (error) {
+    // Storage full or unavailable: the editor still works, just without a draft
+    return null;
+  }
+};
+
+const removeDraft = (noteId) => {
+  try {
+    localStorage.removeItem(draftKey(noteId));
+  } catch (error) {
+    // Nothing to clean up
+  }
+};
+
+// Drafts of every note, e.g. when another account signs in on this browser
+export const clearDrafts = () => {
+  try {
+    Object.keys(localStorage).filter((key) => key.startsWith(DRAFT_PREFIX)).forEach((key) => localStorage.removeItem(key));
+  } catch (error) {
+    // Nothing to clean up
+  }
+};
+
+const readAutosavePreference = () => {
+  try {
+    return localStorage.getItem(AUTOSAVE_PREFERENCE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * @param {object} options
+ * @param {boolean} options.isOpen whether the editor is open
+ * @param {object|null} options.editingNote the note as last loaded or saved (null for a new note)
+ * @param {object} options.currentNote the editor contents
+ * @param {object} options.emptyNote what a new note starts as
+ * @param {boolean} [options.persist=true] whether drafts may be stored in localStorage
+ * @param {boolean} options.canAutosave whether a server autosave may run now
+ * @param {() => Promise<{ status: string }>} options.onAutosave saves `currentNote` to the server
+ */
+function useNoteDraft({ isOpen, editingNote, currentNote, emptyNote, persist = true, canAutosave, onAutosave }) {
+  const noteId = editingNote?.id || null;
+  const base = editingNote || emptyNote;
+  const dirty = isOpen && hasEdits(currentNote, base);
+
+  // A stored draft that differs from the note, waiting for the user to restore or discard it
+  const [offeredDraft, setOfferedDraft] = useState(null);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [autosave, setAutosaveState] = useState(readAutosavePreference);
+  const [autosaving, setAutosaving] = useState(false);
+  // Set when an autosave hit a conflict (or failed); cleared by the next manual save or reopening
+  const [autosavePaused, setAutosavePaused] = useState(null);
+  // Mirrors offeredDraft synchronously so the writer below never overwrites a draft still on offer
+  const offerPending = useRef(false);
+  const autosaveRef = useRef(onAutosave);
+  autosaveRef.current = onAutosave;
+  // The note as last loaded or saved. Saves and remote updates replace it; only opening the editor
+  // or switching notes should look for a draft again.
+  const baseRef = useRef(base);
+  baseRef.current = base;
+
+  // Opening the editor (or switching notes) checks for a draft left behind
+  useEffect(() => {
+    setDraftSavedAt(null);
+    setAutosavePaused(null);
+    if (!isOpen) {
+      offerPending.current = false;
+      setOfferedDraft(null);
+      return;
+    }
+    const draft = readDraft(noteId);
+    const offer = draft && hasEdits(draft, baseRef.current) ? draft : null;
+    if (draft && !offer) removeDraft(noteId);
+    offerPending.current = Boolean(offer);
+    setOfferedDraft(offer);
+  }, [isOpen, noteId]);
+
+  // Keep the draft in step with the editor
+  useEffect(() => {
+    if (!isOpen || offerPending.current) return;
+    if (!dirty || !persist) {
+      removeDraft(noteId);
+      setDraftSavedAt(null);
+      return;
+    }
+    const timer = setTimeout(() => {
+      const draft = writeDraft(noteId, currentNote, baseRef.current.version);
+      if (draft) setDraftSavedAt(draft.saved_at);
+    }, DRAFT_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, noteId, currentNote, dirty, persist, offeredDraft]);
+
+  // Write the latest edits immediately when the page goes away, skipping the debounce
+  const latest = useRef(null);
+  latest.current = { isOpen, noteId, currentNote, dirty, persist, baseVersion: base.version };
+  useEffect(() => {
+    const flush = () => {
+      const state = latest.current;
+      if (state.isOpen && state.dirty && state.persist && !offerPending.current) {
+        writeDraft(state.noteId, state.currentNote, state.baseVersion);
+      }
+    };
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, []);
+
+  // Optional server autosave for existing notes, one request at a time
+  useEffect(() => {
+    if (!isOpen || !autosave || !canAutosave || !dirty || autosaving || autosavePaused || offeredDraft) return;
+    const timer = setTimeout(async () => {
+      setAutosaving(true);
+      const result = await autosaveRef.current();
+      setAutosaving(false);
+      if (result.status !== 'saved') setAutosavePaused(result.status);
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isOpen, autosave, canAutosave, dirty, currentNote, autosaving, autosavePaused, offeredDraft]);
+
+  const setAutosave = useCallback((enabled) => {
+    setAutosaveState(enabled);
+    try {
+      localStorage.setItem(AUTOSAVE_PREFERENCE_KEY, enabled ? 'on' : 'off');
+    } catch (error) {
+      // The preference just won't persist
+    }
+  }, []);
+
+  // The caller applies the offered draft to the editor; from then on it is the live draft
+  const acceptDraft = useCallback(() => {
+    offerPending.current = false;
+    setOfferedDraft(null);
+  }, []);
+
+  const discardDraft = useCallback(() => {
+    offerPending.current = false;
+    setOfferedDraft(null);
+    setDraftSavedAt(null);
+    removeDraft(noteId);
+  }, [noteId]);
+
+  // After a manual save the draft is no longer needed and autosave may resume
+  const clearDraft = useCallback(() => {
+    discardDraft();
+    setAutosavePaused(null);
+  }, [discardDraft]);
+
+  let status = null;
+  if (autosaving) {
+    status = 'saving';
+  } else if (autosavePaused === 'conflict') {
+    status = 'conflict';
+  } else if (dirty) {
+    status = draftSavedAt ? 'draft' : 'unsaved';
+  } else if (editingNote) {
+    status = 'saved';
+  }
+
+  return {
+    dirty,
+    status,
+    offeredDraft,
+    acceptDraft,
+    discardDraft,
+    clearDraft,
+    autosave,
+    setAutosave
+  };
+}
+
+export default useNoteDraft;
@@ -0,0 +1,82 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { notesApi } from '../api/client';
+import { buildGraph, buildTitleIndex, extractLinkTitles, normalizeTitle, renameLinks } from '../lib/wikiLinks';
+
+// Note titles and [[link]] edges across all notes, for link resolution, autocomplete,
+// backlinks and the graph view. Falls back to the locally loaded notes while offline.
+function useNoteGraph(notes, updateNote) {
+  const [serverGraph, setServerGraph] = useState(null);
+
+  const refreshGraph = useCallback(async () => {
+    try {
+      setServerGraph(await notesApi.graph({ silent: true }));
+    } catch (error) {
+      setServerGraph(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshGraph();
+  }, [refreshGraph]);
+
+  const localGraph = useMemo(() => (serverGraph ? null : buildGraph(notes)), [serverGraph, notes]);
+  const graph = serverGraph || localGraph;
+  const titleIndex = useMemo(() => buildTitleIndex(graph.nodes), [graph]);
+
+  const resolveLink = useCallback((title) => titleIndex.get(normalizeTitle(title)) || null, [titleIndex]);
+
+  const titles = useMemo(() => graph.nodes.map((node) => node.title), [graph]);
+
+  const backlinksOf = useCallback((noteId) => {
+    const sources = new Set(graph.links.filter((link) => link.target === noteId).map((link) => link.source));
+    return graph.nodes.filter((node) => sources.has(node.id));
+  }, [graph]);
+
+  // Notes whose [[links]] resolve to `note`
+  const findBacklinks = useCallback(async (note) => {
+    try {
+      return await notesApi.backlinks(note.id, { silent: true });
+    } catch (error) {
+      if (!error.isOffline) throw error;
+      const title = normalizeTitle(note.title);
+      return notes.filter((other) => other.id !== note.id && extractLinkTitles(other.content).has(title));
+    }
+  }, [notes]);
+
+  // After a rename, point the given linking notes at the new title (PUT with each note's
+  // version). A note that changed in the meantime is re-read once and retried.
+  const retargetLinks = useCallback(async (linking, oldTitle, newTitle) => {
+    const rewrite = (note) => updateNote(note, {
+      title: note.title,
+      content: renameLinks(note.content, oldTitle, newTitle),
+      tags: note.tags,
+      is_public: note.is_public,
+      version: note.version
+    });
+
+    let updated = 0;
+    let failed = 0;
+    for (const note of linking) {
+      let result = await rewrite(note);
+      if (result.status === 'conflict') {
+        try {
+          result = await rewrite(await notesApi.get(note.id, { silent: true }));
+        } catch (error) {
+          result = { status: 'error', error };
+        }
+      }
+      if (result.status === 'saved' || result.status === 'queued') {
+        updated += 1;
+      } else {
+        failed += 1;
+      }
+    }
+
+    await refreshGraph();
+    return { updated, failed };
+  }, [updateNote, refreshGraph]);
+
+  return { graph, titles, resolveLink, backlinksOf, findBacklinks, retargetLinks, refreshGraph };
+}
+
+export default useNoteGraph;
@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { notesApi, searchApi } from '../api/client';
+import { searchTerms } from '../lib/snippets';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_LIMIT = 10;
+
+/**
+ * The search box: results as you type, keyword matching of unlocked encrypted notes (the server
+ * cannot read them), and Up/Down/Enter through the results. `filter(note)` hides results, e.g. by
+ * the tag filter; `onOpen(result)` opens one from the keyboard.
+ */
+function useNoteSearch({ encryption, notes, filter, onOpen }) {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('keyword');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [activeResult, setActiveResult] = useState(-1);
+  const controllerRef = useRef(null);
+  const inputRef = useRef(null);
+  const resultsRef = useRef(null);
+
+  const visibleResults = results.filter((result) => filter(result.note));
+  const terms = searchTerms(query);
+
+  // The server cannot read encrypted notes, so while they are unlocked they are matched here by keyword
+  const searchEncryptedNotes = async (text, signal) => {
+    const words = searchTerms(text);
+    if (!encryption.unlocked || !words.length) return [];
+    const stored = await notesApi.listAll({ encrypted: true }, { signal, silent: true }).catch((error) => {
+      if (error.isAborted) throw error;
+      return notes.filter((note) => note.is_encrypted);
+    });
+    const revealed = await Promise.all(stored.map(encryption.reveal));
+    return revealed
+      .filter((note) => !note.locked)
+      .map((note) => {
+        const haystack = `${note.title} ${note.content}`.toLowerCase();
+        const matched = words.filter((word) => haystack.includes(word)).length;
+        return { note, relevance_score: matched / words.length, matched_chunks: [] };
+      })
+      .filter((result) => result.relevance_score > 0)
+      .sort((a, b) => b.relevance_score - a.relevance_score)
+      .slice(0, SEARCH_LIMIT);
+  };
+
+  // Starting a new search cancels the one in flight
+  const search = async () => {
+    controllerRef.current?.abort();
+    if (!query.trim()) {
+      setResults([]);
+      setIsSearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsSearching(true);
+    try {
+      const data = await searchApi.search({
+        query,
+        search_type: type,
+        limit: SEARCH_LIMIT,
+        include_content: true
+      }, { signal: controller.signal });
+      const encryptedResults = await searchEncryptedNotes(query, controller.signal);
+      // Trashed notes never belong in results, even from a search backend that predates the trash
+      const serverResults = data.results.filter((result) => !result.note.deleted_at && !result.note.is_encrypted);
+      setResults([...serverResults, ...encryptedResults]);
+      setActiveResult(-1);
+    } catch (error) {
+      if (error.isAborted) return;
+      console.error('Search failed:', error);
+    }
+    if (controllerRef.current === controller) setIsSearching(false);
+  };
+
+  // Search as you type; each keystroke restarts the debounce and search cancels the request in flight.
+  // The timer calls the latest search, which reads the query and type it was rendered with.
+  const latestSearch = useRef(search);
+  latestSearch.current = search;
+  useEffect(() => {
+    const timer = setTimeout(() => latestSearch.current(), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, type]);
+
+  // Up/Down move through the results, Enter opens the active one (or searches right away)
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && visibleResults.length) {
+      e.preventDefault();
+      setActiveResult((activeResult + 1) % visibleResults.length);
+    } else if (e.key === 'ArrowUp' && visibleResults.length) {
+      e.preventDefault();
+      setActiveResult(activeResult <= 0 ? visibleResults.length - 1 : activeResult - 1);
+    } else if (e.key === 'Enter') {
+      if (visibleResults[activeResult]) {
+        onOpen(visibleResults[activeResult]);
+      } else {
+        search();
+      }
+    } else if (e.key === 'Escape') {
+      if (activeResult < 0) e.currentTarget.blur();
+      setActiveResult(-1);
+    }
+  };
+
+  useEffect(() => {
+    resultsRef.current?.querySelector(`[data-result-index="${activeResult}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeResult]);
+
+  const focus = () => {
+    inputRef.current?.focus();
+    inputRef.current?.select();
+  };
+
+  // Put a query (e.g. from analytics) back in the search box; the debounce runs it
+  const runQuery = (text) => {
+    setQuery(text);
+    inputRef.current?.focus();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Results hold their own copies of notes; these keep them in step with edits made elsewhere
+  const dropResults = useCallback((ids) => {
+    const removed = new Set(ids);
+    setResults((prev) => prev.filter((result) => !removed.has(result.note.id)));
+  }, []);
+
+  const updateResults = useCallback((saved) => {
+    const byId = new Map(saved.map((note) => [note.id, note]));
+    setResults((prev) => prev.map((result) => (byId.has(result.note.id) ? { ...result, note: byId.get(result.note.id) } : result)));
+  }, []);
+
+  return {
+    query,
+    setQuery,
+    type,
+    setType,
+    results,
+    visibleResults,
+    terms,
+    isSearching,
+    activeResult,
+    setActiveResult,
+    inputRef,
+    resultsRef,
+    search,
+    handleKeyDown,
+    focus,
+    runQuery,
+    dropResults,
+    updateResults
+  };
+}
+
+export default useNoteSearch;
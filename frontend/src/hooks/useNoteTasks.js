@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { notesApi } from '../api/client';
+import { useToast } from '../components/ToastProvider.jsx';
+import { toggleTask } from '../lib/markdown';
+import { findTask } from '../lib/tasks';
+
+// Fields to save when only a note's content changes
+const withContent = (note, content) => ({
+  title: note.title,
+  content,
+  is_public: note.is_public,
+  is_encrypted: note.is_encrypted,
+  encrypt_title: note.titleEncrypted,
+  tags: note.tags,
+  version: note.version
+});
+
+/**
+ * Checking task list items off, from a note card or from the tasks view, plus whether the tasks
+ * view is open. `onConflict(note, mine)` takes over when a card's note changed elsewhere.
+ */
+function useNoteTasks({ notes, encryption, updateNote, onConflict }) {
+  const [isOpen, setOpen] = useState(false);
+  const toast = useToast();
+
+  // Toggle a task list checkbox straight from a note card
+  const toggleNoteTask = async (note, taskIndex) => {
+    const content = toggleTask(note.content, taskIndex);
+    try {
+      const result = await updateNote(note, withContent(note, content));
+      if (result.status === 'conflict') {
+        await onConflict(note, { ...note, content });
+      }
+    } catch (error) {
+      console.error('Failed to update task:', error);
+    }
+  };
+
+  // Every note for the tasks view, encrypted ones decrypted where possible
+  const loadAllNotes = async (signal) => {
+    let stored;
+    try {
+      stored = await notesApi.listAll({}, { signal, silent: true });
+    } catch (error) {
+      if (error.isAborted) throw error;
+      stored = notes;
+    }
+    return Promise.all(stored.map(encryption.reveal));
+  };
+
+  // Check a task off from the tasks view. If the note changed meanwhile, the task is looked up again in
+  // the latest version and toggled there. Resolves to the note as it now is, or null if nothing was saved.
+  const toggleTaskInView = async (task) => {
+    const toggleIn = async (note, index) => {
+      const content = toggleTask(note.content, index);
+      const result = await updateNote(note, withContent(note, content));
+      // Queued offline edits come back without a note
+      return result.status === 'queued' ? { ...result, note: { ...note, content } } : result;
+    };
+
+    try {
+      let result = await toggleIn(task.note, task.index);
+      if (result.status === 'conflict') {
+        const latest = await encryption.reveal(await notesApi.get(task.note.id, { silent: true }));
+        const match = findTask(latest.content, task);
+        if (!match) {
+          toast.error(`"${latest.title}" was changed elsewhere and no longer has that task. The list now shows the latest version.`);
+          return latest;
+        }
+        // Already checked (or unchecked) elsewhere
+        if (match.done !== task.done) return latest;
+        result = await toggleIn(latest, match.index);
+      }
+      if (result.status === 'conflict') {
+        toast.error(`"${task.note.title}" keeps changing elsewhere. Try again in a moment.`);
+        return null;
+      }
+      return result.status === 'error' ? null : result.note;
+    } catch (error) {
+      console.error('Failed to update task:', error);
+      toast.error(`Could not update the task: ${error.message}`);
+      return null;
+    }
+  };
+
+  return { isOpen, setOpen, toggleNoteTask, loadAllNotes, toggleTaskInView };
+}
+
+export default useNoteTasks;
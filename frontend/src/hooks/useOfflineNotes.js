@@ -0,0 +1,528 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { CLIENT_ID, eventsApi, notesApi, systemApi, trashApi } from '../api/client';
+import { useToast } from '../components/ToastProvider.jsx';
+import {
+  getCachedNotes,
+  replaceCachedNotes,
+  putCachedNotes,
+  putCachedNote,
+  deleteCachedNote,
+  getOutbox,
+  addOutboxEntry,
+  putOutboxEntry,
+  deleteOutboxEntry
+} from '../lib/noteCache';
+import { randomId } from '../lib/ids';
+import { applyOutbox, planEnqueue, planRemap } from '../lib/outbox';
+import { matchesTags } from '../lib/tags';
+
+const LOCAL_ID_PREFIX = 'local-';
+const HEALTH_POLL_INTERVAL = 15000;
+const PAGE_SIZE = 50;
+// Tabs of this app in the same browser tell each other about their writes
+const SYNC_CHANNEL = 'smart-notes-sync';
+
+export const DEFAULT_LIST_QUERY = { sortBy: 'updated_at', order: 'desc', visibility: 'all', tags: [], tagMode: 'and' };
+
+export const isLocalNoteId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+// Client-side mirror of the server ordering, so cached and pending notes land where the server would put them
+const compareNotes = ({ sortBy, order }) => (a, b) => {
+  let result;
+  if (sortBy === 'title') {
+    result = a.title.toLowerCase().localeCompare(b.title.toLowerCase());
+  } else if (sortBy === 'view_count') {
+    result = a.view_count - b.view_count;
+  } else {
+    result = new Date(a[sortBy]) - new Date(b[sortBy]);
+  }
+  if (order === 'desc') result = -result;
+  return result || String(a.id).localeCompare(String(b.id));
+};
+
+const matchesVisibility = (visibility) => (note) => (
+  visibility === 'all' || note.is_public === (visibility === 'public')
+);
+
+// Store a { put, remove, add } plan from lib/outbox
+const writeOutboxPlan = async ({ put, remove, add }) => {
+  await Promise.all(remove.map((seq) => deleteOutboxEntry(seq)));
+  await Promise.all(put.map((entry) => putOutboxEntry(entry)));
+  if (add) await addOutboxEntry(add);
+};
+
+const mergeById = (current, incoming) => {
+  const ids = new Set(incoming.map((note) => note.id));
+  return [...current.filter((note) => !ids.has(note.id)), ...incoming];
+};
+
+// Batch edits shown before the server confirms them: id -> changed fields, or null for a delete
+const applyPendingChanges = (notes, changes) => {
+  if (!changes.size) return notes;
+  return notes
+    .filter((note) => changes.get(note.id) !== null)
+    .map((note) => (changes.has(note.id) ? { ...note, ...changes.get(note.id) } : note));
+};
+
+// GET /notes filter and sort parameters for the current view
+const viewParams = (query) => ({
+  sortBy: query.sortBy,
+  order: query.order,
+  publicOnly: query.visibility === 'public' || undefined,
+  privateOnly: query.visibility === 'private' || undefined,
+  tags: query.tags,
+  tagMode: query.tagMode
+});
+
+// GET /notes parameters for one page of the current view
+const listParams = (query, skip) => ({ ...viewParams(query), skip, limit: PAGE_SIZE });
+
+// Errors are reported by the hook itself: offline failures are expected and must not toast
+const sendMutation = (entry) => {
+  switch (entry.type) {
+    case 'create':
+      return notesApi.create(entry.payload, { silent: true });
+    case 'update':
+      return notesApi.update(entry.noteId, entry.payload, { silent: true });
+    default:
+      return notesApi.remove(entry.noteId, { silent: true });
+  }
+};
+
+// Notes list backed by IndexedDB with a queued mutation outbox for offline edits.
+// Writes from other tabs (BroadcastChannel) and other clients (server events) patch the list in place;
+// `onRemoteChange({ type: 'saved'|'deleted', id, note? })` hears about each of them.
+function useOfflineNotes({ onRemoteChange } = {}) {
+  const [serverNotes, setServerNotes] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [listQuery, setListQuery] = useState(DEFAULT_LIST_QUERY);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingChanges, setPendingChangesState] = useState(() => new Map());
+  // Latest server copies, for decisions that must be made before a state update
+  const serverNotesRef = useRef(serverNotes);
+  serverNotesRef.current = serverNotes;
+  const replaying = useRef(false);
+  const listQueryRef = useRef(listQuery);
+  // Bumped on every reload so pages from an older sort/filter are ignored
+  const listGeneration = useRef(0);
+  // Rows paged in from the server so far. Not serverNotes.length: notes created here or pushed by
+  // other tabs and clients join the list without moving the server's offset.
+  const pageOffset = useRef(0);
+  // Local id -> server id of notes whose offline create has been sent
+  const serverIds = useRef(new Map());
+  const channel = useRef(null);
+  const remoteChangeHandler = useRef(onRemoteChange);
+  remoteChangeHandler.current = onRemoteChange;
+  const toast = useToast();
+
+  const notes = useMemo(() => (
+    applyPendingChanges(applyOutbox(serverNotes, outbox), pendingChanges)
+      .filter(matchesVisibility(listQuery.visibility))
+      .filter(matchesTags(listQuery.tags, listQuery.tagMode))
+      .sort(compareNotes(listQuery))
+  ), [serverNotes, outbox, pendingChanges, listQuery]);
+  const conflicts = useMemo(() => outbox.filter((entry) => entry.conflict), [outbox]);
+
+  const reloadOutbox = useCallback(async () => {
+    const entries = await getOutbox();
+    setOutbox(entries);
+    return entries;
+  }, []);
+
+  const storeNote = useCallback(async (note) => {
+    setServerNotes((prev) => [note, ...prev.filter((item) => item.id !== note.id)]);
+    await putCachedNote(note).catch((error) => console.error('Failed to cache note:', error));
+  }, []);
+
+  const dropNote = useCallback(async (id) => {
+    setServerNotes((prev) => prev.filter((item) => item.id !== id));
+    await deleteCachedNote(id).catch((error) => console.error('Failed to uncache note:', error));
+  }, []);
+
+  // Our own confirmed writes; the other tabs are told straight away
+  const rememberNote = useCallback(async (note) => {
+    channel.current?.postMessage({ type: 'saved', note });
+    await storeNote(note);
+  }, [storeNote]);
+
+  const forgetNote = useCallback(async (id) => {
+    channel.current?.postMessage({ type: 'deleted', id });
+    await dropNote(id);
+  }, [dropNote]);
+
+  // A write made elsewhere. Versions only go up, so an older copy (e.g. the echo of a change
+  // this tab already has) is ignored.
+  const applyRemoteChange = useCallback(async (change) => {
+    if (change.type === 'deleted') {
+      await dropNote(change.id);
+    } else {
+      const isNewer = (current) => !current || current.version < change.note.version;
+      if (!isNewer(serverNotesRef.current.find((item) => item.id === change.id))) return;
+      // Checked again against the queued state, in case a newer copy arrived since the last render
+      setServerNotes((prev) => (
+        isNewer(prev.find((item) => item.id === change.id))
+          ? [change.note, ...prev.filter((item) => item.id !== change.id)]
+          : prev
+      ));
+      await putCachedNote(change.note).catch((error) => console.error('Failed to cache note:', error));
+    }
+    remoteChangeHandler.current?.(change);
+  }, [dropNote]);
+
+  // Fetch the first page for the current sort/filter
+  const fetchNotes = useCallback(async () => {
+    const generation = ++listGeneration.current;
+    const query = listQueryRef.current;
+    setLoading(true);
+    try {
+      const data = await notesApi.list(listParams(query, 0), { silent: true });
+      if (generation !== listGeneration.current) return;
+      setServerNotes(data);
+      pageOffset.current = data.length;
+      setHasMore(data.length === PAGE_SIZE);
+      setIsOnline(true);
+      // The unfiltered first page becomes the new offline baseline; other views only add to it
+      const unfiltered = query.visibility === 'all' && !query.tags.length;
+      const cacheWrite = unfiltered ? replaceCachedNotes(data) : putCachedNotes(data);
+      await cacheWrite.catch((error) => console.error('Failed to cache notes:', error));
+    } catch (error) {
+      if (error.isOffline) {
+        // Keep showing the cached notes
+        setIsOnline(false);
+      } else {
+        toast.error(`Failed to load notes: ${error.message}`);
+      }
+    }
+    if (generation === listGeneration.current) setLoading(false);
+  }, [toast]);
+
+  // Append the next page (infinite scroll)
+  const loadMore = useCallback(async () => {
+    if (loadingMore || !hasMore) return;
+    const generation = listGeneration.current;
+    setLoadingMore(true);
+    try {
+      const data = await notesApi.list(listParams(listQueryRef.current, pageOffset.current));
+      if (generation !== listGeneration.current) return;
+      pageOffset.current += data.length;
+      setServerNotes((prev) => mergeById(prev, data));
+      setHasMore(data.length === PAGE_SIZE);
+      await putCachedNotes(data).catch((error) => console.error('Failed to cache notes:', error));
+    } catch (error) {
+      if (error.isOffline) setIsOnline(false);
+      setHasMore(false);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [loadingMore, hasMore]);
+
+  // Change sort order, visibility or tag filter and reload from the first page
+  const updateListQuery = useCallback((changes) => {
+    const next = { ...listQueryRef.current, ...changes };
+    listQueryRef.current = next;
+    setListQuery(next);
+    fetchNotes();
+  }, [fetchNotes]);
+
+  // Once an offline create reaches the server, whatever still names its local id moves to the real one:
+  // edits folded into the create while it was in flight become an update, entries queued after it are
+  // renamed, and a delete made in the meantime is queued for the server copy. Later edits from an
+  // editor still holding the local id are mapped in `mutate`.
+  const settleCreate = useCallback(async (created, saved) => {
+    serverIds.current.set(created.noteId, saved.id);
+    channel.current?.postMessage({ type: 'remapped', localId: created.noteId, id: saved.id });
+    await writeOutboxPlan(planRemap(await getOutbox(), created, saved));
+  }, []);
+
+  // Send queued mutations in order. A 409 parks the entry as a conflict and holds back
+  // later entries for the same note; a network failure stops the replay until we are back online.
+  const replayOutbox = useCallback(async () => {
+    if (replaying.current) return;
+    replaying.current = true;
+
+    let reachedServer = false;
+    try {
+      // Re-read the outbox every round so entries queued mid-replay are sent too
+      for (;;) {
+        const entries = await getOutbox();
+        const blocked = new Set(entries.filter((entry) => entry.conflict).map((entry) => entry.noteId));
+        const entry = entries.find((item) => !blocked.has(item.noteId));
+        if (!entry) break;
+        setIsSyncing(true);
+
+        try {
+          const saved = await sendMutation(entry);
+          reachedServer = true;
+          if (entry.type === 'delete') {
+            await forgetNote(entry.noteId);
+          } else {
+            await rememberNote(saved);
+          }
+          if (entry.type === 'create') {
+            await settleCreate(entry, saved);
+          } else {
+            await deleteOutboxEntry(entry.seq);
+          }
+        } catch (error) {
+          if (error.isOffline) {
+            setIsOnline(false);
+            break;
+          }
+          reachedServer = true;
+          if (entry.type === 'delete' && error.isNotFound) {
+            await forgetNote(entry.noteId);
+            await deleteOutboxEntry(entry.seq);
+          } else if (error.isConflict) {
+            await putOutboxEntry({ ...entry, conflict: true });
+            toast.error('An offline edit conflicts with a newer server version. Open the conflict to merge it.');
+          } else {
+            toast.error(`Could not sync an offline ${entry.type}: ${error.message}`);
+            await deleteOutboxEntry(entry.seq);
+          }
+        }
+        // Keep the grid in step while a long outbox drains
+        await reloadOutbox();
+      }
+    } catch (error) {
+      console.error('Failed to replay outbox:', error);
+    } finally {
+      replaying.current = false;
+      setIsSyncing(false);
+      await reloadOutbox().catch(() => {});
+    }
+
+    if (reachedServer) {
+      setIsOnline(true);
+      await fetchNotes();
+    }
+  }, [fetchNotes, forgetNote, rememberNote, reloadOutbox, settleCreate, toast]);
+
+  // Queue a mutation, folding it into earlier pending entries for the same note
+  const enqueue = useCallback(async (mutation) => {
+    await writeOutboxPlan(planEnqueue(await getOutbox(), mutation));
+    await reloadOutbox();
+    // The outbox lives in IndexedDB, so other tabs only need to re-read it
+    channel.current?.postMessage({ type: 'outbox' });
+  }, [reloadOutbox]);
+
+  // Run a mutation directly when possible, otherwise (or when earlier edits are still queued) queue it.
+  // Resolves to { status: 'saved' | 'queued' | 'conflict' | 'error', note?, error? }.
+  // `silent` leaves reporting errors to the caller (batch operations summarise them once).
+  const mutate = useCallback(async (request, { silent = false } = {}) => {
+    const serverId = serverIds.current.get(request.noteId);
+    const mutation = serverId ? { ...request, noteId: serverId } : request;
+    // Without IndexedDB (private windows, storage errors) there is nothing queued to wait behind
+    const queuedEntries = await getOutbox().catch((error) => {
+      console.error('Failed to read the outbox:', error);
+      return [];
+    });
+    const queued = isLocalNoteId(mutation.noteId) || queuedEntries.length > 0;
+    if (!queued && navigator.onLine) {
+      try {
+        const saved = await sendMutation(mutation);
+        setIsOnline(true);
+        if (mutation.type === 'delete') {
+          await forgetNote(mutation.noteId);
+          return { status: 'saved' };
+        }
+        await rememberNote(saved);
+        return { status: 'saved', note: saved };
+      } catch (error) {
+        if (!error.isOffline) {
+          setIsOnline(true);
+          if (error.isConflict) return { status: 'conflict', error };
+          if (mutation.type === 'delete' && error.isNotFound) {
+            await forgetNote(mutation.noteId);
+            return { status: 'saved' };
+          }
+          if (!silent) toast.error(error.message);
+          return { status: 'error', error };
+        }
+        setIsOnline(false);
+      }
+    }
+
+    try {
+      await enqueue(mutation);
+    } catch (error) {
+      console.error('Failed to queue the change:', error);
+      if (!silent) toast.error('Could not keep the change in this browser to send later');
+      return { status: 'error', error };
+    }
+    if (navigator.onLine) replayOutbox();
+    return { status: 'queued', note: mutation.note };
+  }, [enqueue, forgetNote, rememberNote, replayOutbox, toast]);
+
+  const createNote = useCallback((payload, options) => {
+    const now = new Date().toISOString();
+    const noteId = `${LOCAL_ID_PREFIX}${randomId()}`;
+    return mutate({
+      type: 'create',
+      noteId,
+      payload,
+      queuedAt: now,
+      note: { ...payload, id: noteId, version: 1, view_count: 0, created_at: now, updated_at: now, pending: true }
+    }, options);
+  }, [mutate]);
+
+  // `base` is the note the edit started from; `payload` carries its `version`
+  const updateNote = useCallback((base, payload, options) => mutate({
+    type: 'update',
+    noteId: base.id,
+    payload,
+    base: { title: base.title, content: base.content, tags: base.tags, is_public: base.is_public, version: base.version },
+    queuedAt: new Date().toISOString()
+  }, options), [mutate]);
+
+  const deleteNote = useCallback((id, options) => mutate({
+    type: 'delete',
+    noteId: id,
+    queuedAt: new Date().toISOString()
+  }, options), [mutate]);
+
+  // Bring a note back from the trash (online only; deletes are only undoable once the server has them)
+  const restoreNote = useCallback(async (id, options) => {
+    const note = await trashApi.restore(id, options);
+    await rememberNote(note);
+    return note;
+  }, [rememberNote]);
+
+  // Show batch changes right away (Map of id -> fields, or null to hide a note being deleted)
+  const setPendingChanges = useCallback((changes) => {
+    setPendingChangesState((prev) => new Map([...prev, ...changes]));
+  }, []);
+
+  // Stop overriding these notes; by then the server (or the outbox) has the real state
+  const clearPendingChanges = useCallback((ids) => {
+    setPendingChangesState((prev) => {
+      const next = new Map(prev);
+      ids.forEach((id) => next.delete(id));
+      return next;
+    });
+  }, []);
+
+  // Every note in the current view, not just the loaded pages; falls back to those while offline
+  const fetchAllInView = useCallback(async () => {
+    try {
+      return await notesApi.listAll(viewParams(listQueryRef.current), { silent: true });
+    } catch (error) {
+      if (!error.isOffline) throw error;
+      return notes;
+    }
+  }, [notes]);
+
+  // Drop a queued entry, e.g. once its conflict has been resolved or the user gave up on it
+  const discardOutboxEntry = useCallback(async (seq) => {
+    await deleteOutboxEntry(seq);
+    await reloadOutbox();
+  }, [reloadOutbox]);
+
+  // Render from cache first, then refresh from the server and flush anything queued
+  useEffect(() => {
+    const start = async () => {
+      try {
+        const [cached] = await Promise.all([getCachedNotes(), reloadOutbox()]);
+        setServerNotes(cached);
+      } catch (error) {
+        console.error('Failed to read offline cache:', error);
+      }
+      await fetchNotes();
+      replayOutbox();
+    };
+    start();
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      replayOutbox();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [fetchNotes, reloadOutbox, replayOutbox]);
+
+  // Live updates: other tabs over a BroadcastChannel, other clients over server-sent events.
+  // Our own writes come back over the event stream too; they carry our client id and are skipped.
+  useEffect(() => {
+    if ('BroadcastChannel' in window) {
+      channel.current = new BroadcastChannel(SYNC_CHANNEL);
+      channel.current.onmessage = ({ data }) => {
+        if (data.type === 'outbox') {
+          reloadOutbox().catch(() => {});
+        } else if (data.type === 'saved') {
+          applyRemoteChange({ type: 'saved', id: data.note.id, note: data.note });
+        } else if (data.type === 'deleted') {
+          applyRemoteChange({ type: 'deleted', id: data.id });
+        } else if (data.type === 'remapped') {
+          serverIds.current.set(data.localId, data.id);
+        }
+      };
+    }
+
+    const closeEvents = eventsApi.subscribe({
+      onEvent: (event) => {
+        if (event.origin === CLIENT_ID) return;
+        applyRemoteChange({ type: event.type === 'deleted' ? 'deleted' : 'saved', id: event.id, note: event.note });
+      },
+      // Anything missed while disconnected is picked up by a refetch
+      onOpen: (reconnected) => {
+        if (reconnected) fetchNotes();
+      }
+    });
+
+    return () => {
+      closeEvents();
+      channel.current?.close();
+      channel.current = null;
+    };
+  }, [applyRemoteChange, fetchNotes, reloadOutbox]);
+
+  // While the API is unreachable (offline, or a cold-starting free-tier instance), poll /health to come back
+  useEffect(() => {
+    if (isOnline) return undefined;
+    const timer = setInterval(async () => {
+      if (!navigator.onLine) return;
+      try {
+        await systemApi.health({ silent: true, retries: 0 });
+        setIsOnline(true);
+        await fetchNotes();
+        replayOutbox();
+      } catch (error) {
+        // Still unreachable; try again on the next tick
+      }
+    }, HEALTH_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [isOnline, fetchNotes, replayOutbox]);
+
+  return {
+    notes,
+    loading,
+    loadingMore,
+    hasMore,
+    loadMore,
+    listQuery,
+    updateListQuery,
+    isOnline,
+    isSyncing,
+    pendingCount: outbox.length,
+    conflicts,
+    fetchNotes,
+    createNote,
+    updateNote,
+    deleteNote,
+    restoreNote,
+    discardOutboxEntry,
+    setPendingChanges,
+    clearPendingChanges,
+    fetchAllInView
+  };
+}
+
+export default useOfflineNotes;
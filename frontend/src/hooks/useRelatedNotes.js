@@ -0,0 +1,68 @@
+import { useState, useEffect } from 'react';
+import { notesApi } from '../api/client';
+
+const RELATED_DEBOUNCE_MS = 800;
+// Shorter texts match too loosely to be useful
+const MIN_TEXT_LENGTH = 20;
+
+const noResults = { related: [], duplicates: [], suggested_tags: [] };
+
+const unavailableReasonFor = ({ encrypted, online }) => {
+  // Encrypted text must not leave the browser
+  if (encrypted) return 'Related notes are not looked up for encrypted notes.';
+  if (!online) return 'Related notes are available when you are back online.';
+  return null;
+};
+
+// Notes similar to the one being viewed or written, looked up by embedding a little after typing
+// stops while `enabled`. Encrypted notes and offline get `unavailableReason` instead; failures just
+// leave the last results in place.
+function useRelatedNotes({ enabled, encrypted, online, noteId, title, content, tags }) {
+  const [results, setResults] = useState(noResults);
+  const [loading, setLoading] = useState(false);
+  const unavailableReason = unavailableReasonFor({ encrypted, online });
+  const ready = enabled && !unavailableReason && `${title} ${content}`.trim().length >= MIN_TEXT_LENGTH;
+
+  // Another note's matches mean nothing here
+  useEffect(() => {
+    setResults(noResults);
+  }, [noteId]);
+
+  useEffect(() => {
+    if (!ready) {
+      setResults(noResults);
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        setResults(await notesApi.related(
+          { title, content, tags, note_id: noteId || null },
+          { signal: controller.signal, silent: true }
+        ));
+      } catch (error) {
+        if (error.isAborted) return;
+        console.error('Failed to load related notes:', error);
+      }
+      setLoading(false);
+    }, RELATED_DEBOUNCE_MS);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [ready, noteId, title, content, tags]);
+
+  return {
+    related: results.related,
+    duplicates: results.duplicates,
+    suggestedTags: results.suggested_tags,
+    loading,
+    unavailableReason
+  };
+}
+
+export default useRelatedNotes;
@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Open tabs look for a new deploy this often (browsers also check on navigation)
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// Registers /sw.js in production builds and reports when a new version has installed and is waiting.
+// `applyUpdate()` lets the waiting worker take over and reloads once it has.
+function useServiceWorker() {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+  const updating = useRef(false);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return undefined;
+    let registration = null;
+
+    // Only an update needs a prompt: on the very first install nothing was controlling the page
+    const watch = (reg) => {
+      if (reg.waiting && navigator.serviceWorker.controller) setWaitingWorker(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const installing = reg.installing;
+        installing?.addEventListener('statechange', () => {
+          if (installing.state === 'installed' && navigator.serviceWorker.controller) setWaitingWorker(installing);
+        });
+      });
+    };
+
+    navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
+      .then((reg) => {
+        registration = reg;
+        watch(reg);
+      })
+      .catch((error) => console.error('Service worker registration failed:', error));
+
+    const timer = setInterval(() => registration?.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+    const onControllerChange = () => {
+      if (updating.current) window.location.reload();
+    };
+    navigator.serviceWorker.addEventListener('controllerchange', onControllerChange);
+    return () => {
+      clearInterval(timer);
+      navigator.serviceWorker.removeEventListener('controllerchange', onControllerChange);
+    };
+  }, []);
+
+  const applyUpdate = useCallback(() => {
+    if (!waitingWorker) return;
+    updating.current = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }, [waitingWorker]);
+
+  const dismissUpdate = useCallback(() => setWaitingWorker(null), []);
+
+  return { updateAvailable: Boolean(waitingWorker), applyUpdate, dismissUpdate };
+}
+
+export default useServiceWorker;
@@ -0,0 +1,74 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { notesApi, tagsApi } from '../api/client';
+import { countTags, matchesTags, normalizeTag, replaceTag } from '../lib/tags';
+
+// Tag counts for the sidebar plus rename/merge across notes.
+// Counts come from GET /tags; while it is unreachable they are derived from the notes we have locally.
+function useTags(notes, updateNote) {
+  const [serverTags, setServerTags] = useState(null);
+
+  const refreshTags = useCallback(async () => {
+    try {
+      setServerTags(await tagsApi.list({ silent: true }));
+    } catch (error) {
+      setServerTags(null);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTags();
+  }, [refreshTags]);
+
+  const localTags = useMemo(() => countTags(notes), [notes]);
+  const tags = serverTags || localTags;
+
+  // Rewrite `from` as `to` on every affected note (PUT with each note's version).
+  // If `to` already exists the tags are merged. A note that changed in the meantime is
+  // re-read once and retried; anything still failing is reported in `failed`.
+  const renameTag = useCallback(async (from, to) => {
+    const target = normalizeTag(to);
+    if (!target || target === from) return { updated: 0, failed: 0 };
+
+    let affected;
+    try {
+      affected = await notesApi.listAll({ tags: [from] }, { silent: true });
+    } catch (error) {
+      if (!error.isOffline) throw error;
+      // Offline: rename what we have; the edits are queued like any other
+      affected = notes.filter(matchesTags([from], 'and'));
+    }
+
+    const rewrite = (note) => updateNote(note, {
+      title: note.title,
+      content: note.content,
+      is_public: note.is_public,
+      tags: replaceTag(note.tags, from, target),
+      version: note.version
+    });
+
+    let updated = 0;
+    let failed = 0;
+    for (const note of affected) {
+      let result = await rewrite(note);
+      if (result.status === 'conflict') {
+        try {
+          result = await rewrite(await notesApi.get(note.id, { silent: true }));
+        } catch (error) {
+          result = { status: 'error', error };
+        }
+      }
+      if (result.status === 'saved' || result.status === 'queued') {
+        updated += 1;
+      } else {
+        failed += 1;
+      }
+    }
+
+    await refreshTags();
+    return { updated, failed };
+  }, [notes, updateNote, refreshTags]);
+
+  return { tags, refreshTags, renameTag };
+}
+
+export default useTags;
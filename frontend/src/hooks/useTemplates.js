@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react';
+import { templatesApi } from '../api/client';
+import { dailyNoteTitle } from '../lib/templates';
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+/**
+ * The signed-in user's template library, whether its dialog is open, and the notes started from it.
+ * Loaded once; while offline the list stays as last loaded (or empty), and new notes simply start blank.
+ * `startNote(template, options)` opens the editor on a new note filled in from a template, `openNote(id)`
+ * an existing note; `confirmDiscard()` is false when the user would rather keep their unsaved edits.
+ */
+function useTemplates({ resolveLink, startNote, openNote, confirmDiscard }) {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [isOpen, setOpen] = useState(false);
+
+  const refreshTemplates = useCallback(async () => {
+    try {
+      setTemplates(await templatesApi.list({ silent: true }));
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshTemplates();
+  }, [refreshTemplates]);
+
+  /**
+   * Create (`id` null) or update a template. Marking one as the daily template unmarks the others,
+   * as the server does.
+   * @returns {Promise<import('../api/client').Template>}
+   */
+  const saveTemplate = useCallback(async (id, payload) => {
+    const saved = id ? await templatesApi.update(id, payload) : await templatesApi.create(payload);
+    setTemplates((prev) => [
+      ...prev
+        .filter((template) => template.id !== saved.id)
+        .map((template) => (saved.is_daily ? { ...template, is_daily: false } : template)),
+      saved
+    ].sort(byName));
+    return saved;
+  }, []);
+
+  const deleteTemplate = useCallback(async (id) => {
+    await templatesApi.remove(id);
+    setTemplates((prev) => prev.filter((template) => template.id !== id));
+  }, []);
+
+  const dailyTemplate = templates.find((template) => template.is_daily) || null;
+
+  const startFromTemplate = (template) => {
+    setOpen(false);
+    startNote(template);
+  };
+
+  // Open the daily note for `date`, or start it from the daily template if there is none yet
+  const openDailyNote = (date = new Date()) => {
+    if (!confirmDiscard()) return;
+    const title = dailyNoteTitle(date);
+    const existing = resolveLink(title);
+    if (existing) {
+      openNote(existing.id);
+    } else {
+      startNote(dailyTemplate, { date, title });
+    }
+  };
+
+  return {
+    templates,
+    loading,
+    dailyTemplate,
+    saveTemplate,
+    deleteTemplate,
+    refreshTemplates,
+    isOpen,
+    setOpen,
+    startFromTemplate,
+    openDailyNote
+  };
+}
+
+export default useTemplates;
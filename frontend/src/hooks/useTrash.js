@@ -0,0 +1,51 @@
+import { useState } from 'react';
+import { useToast } from '../components/ToastProvider.jsx';
+
+const UNDO_TOAST_DURATION = 8000;
+
+/**
+ * Deleting notes into the trash and bringing them back, plus whether the trash view is open.
+ * Deleting asks no confirmation: the toast offers Undo instead. `onDeleted(id)` runs once a note
+ * is gone (or queued to go) and `onChanged()` after anything that changes the set of notes.
+ */
+function useTrash({ deleteNote, restoreNote, onDeleted, onChanged }) {
+  const [isOpen, setOpen] = useState(false);
+  const toast = useToast();
+
+  const restore = async (id) => {
+    await restoreNote(id);
+    onChanged();
+  };
+
+  const undoDelete = async (id) => {
+    try {
+      await restore(id);
+      toast.success('Note restored');
+    } catch (error) {
+      console.error('Failed to restore note:', error);
+    }
+  };
+
+  const moveToTrash = async (id) => {
+    try {
+      const result = await deleteNote(id);
+      if (result.status === 'error') return;
+      onDeleted(id);
+      if (result.status === 'saved') {
+        toast.success('Note moved to the trash', {
+          duration: UNDO_TOAST_DURATION,
+          action: { label: 'Undo', onClick: () => undoDelete(id) }
+        });
+      } else {
+        toast.info('Note will move to the trash once you are back online');
+      }
+      onChanged();
+    } catch (error) {
+      console.error('Failed to delete note:', error);
+    }
+  };
+
+  return { isOpen, setOpen, moveToTrash, restore };
+}
+
+export default useTrash;
@@ -0,0 +1,60 @@
+// Attachment limits (mirroring the server's, so bad files fail before uploading) and Markdown helpers.
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain', 'text/markdown', 'text/csv'
+];
+
+// Browsers leave the type empty for some text files; go by extension for those
+const TYPES_BY_EXTENSION = { md: 'text/markdown', markdown: 'text/markdown', csv: 'text/csv', txt: 'text/plain' };
+
+export const ATTACHMENT_PATH_PREFIX = '/attachments/';
+
+export const isImageType = (type) => type.startsWith('image/');
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/** @param {File} file */
+export const attachmentType = (file) => {
+  if (file.type) return file.type;
+  const extension = file.name.split('.').pop().toLowerCase();
+  return TYPES_BY_EXTENSION[extension] || '';
+};
+
+/**
+ * @param {File} file
+ * @returns {string|null} Why the file cannot be attached, or null when it can
+ */
+export const validateAttachment = (file) => {
+  const type = attachmentType(file);
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(type)) {
+    return `${file.name}: ${type || 'this file type'} cannot be attached (images, PDF, text, Markdown and CSV only)`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is ${formatBytes(file.size)}; attachments are limited to ${formatBytes(MAX_ATTACHMENT_BYTES)}`;
+  }
+  if (!file.size) return `${file.name} is empty`;
+  return null;
+};
+
+const escapeLabel = (text) => text.replace(/[[\]\\]/g, '\\$&');
+
+/** Image embed or link to the attachment, as stored in the note */
+export const attachmentMarkdown = (attachment) => {
+  const label = escapeLabel(attachment.filename);
+  return isImageType(attachment.content_type) ? `![${label}](${attachment.url})` : `[${label}](${attachment.url})`;
+};
+
+// Every ![..](/attachments/<id>) or [..](/attachments/<id>), with the line break after it
+const referencePattern = (id) => new RegExp(
+  `!?\\[(?:[^\\]\\\\]|\\\\.)*\\]\\(${ATTACHMENT_PATH_PREFIX}${id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\)\\n?`,
+  'g'
+);
+
+export const removeAttachmentReferences = (content, id) => content.replace(referencePattern(id), '');
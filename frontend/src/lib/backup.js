@@ -0,0 +1,280 @@
+// Import/export formats for notes.
+//
+// Export: a zip of Markdown files with YAML front-matter, or one JSON backup.
+// Import: the same two formats (loose .md files or zipped), plus Evernote ENEX.
+// Everything is parsed into "candidates" ({ title, content, tags, is_public })
+// that the import dialog previews, de-duplicates and then creates.
+
+import { strToU8, strFromU8, unzipSync, zipSync } from 'fflate';
+import { formatTags, parseTags } from './tags';
+
+export const BACKUP_FORMAT = 'smart-notes-backup';
+const BACKUP_VERSION = 1;
+
+const FRONT_MATTER_FIELDS = ['title', 'tags', 'is_public', 'created_at', 'updated_at', 'version'];
+
+// --- Export ---
+
+const slugify = (text) => (
+  text.toLowerCase().normalize('NFKD').replace(/[^\w\s-]/g, '').trim().replace(/[\s_-]+/g, '-').slice(0, 80) || 'note'
+);
+
+const yamlValue = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value);
+};
+
+export const toMarkdownFile = (note) => {
+  const lines = ['---'];
+  FRONT_MATTER_FIELDS.forEach((field) => {
+    if (field === 'tags') {
+      const tags = parseTags(note.tags);
+      lines.push(tags.length ? 'tags:' : 'tags: []');
+      tags.forEach((tag) => lines.push(`  - ${JSON.stringify(tag)}`));
+    } else if (note[field] !== undefined && note[field] !== null) {
+      lines.push(`${field}: ${yamlValue(note[field])}`);
+    }
+  });
+  lines.push('---', '', note.content);
+  return `${lines.join('\n')}\n`;
+};
+
+// Export files are plain text, so encrypted notes stay out of them
+export const isExportable = (note) => !note.is_encrypted;
+
+/** @returns {Uint8Array} zip with one `<slug>.md` per note */
+export const buildMarkdownZip = (notes) => {
+  const used = new Set();
+  const files = {};
+  notes.forEach((note) => {
+    const base = slugify(note.title);
+    let name = `${base}.md`;
+    for (let n = 2; used.has(name); n++) name = `${base}-${n}.md`;
+    used.add(name);
+    files[name] = strToU8(toMarkdownFile(note));
+  });
+  return zipSync(files);
+};
+
+export const buildJsonBackup = (notes) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exported_at: new Date().toISOString(),
+  notes: notes.map(({ title, content, tags, is_public, created_at, updated_at, version }) => (
+    { title, content, tags, is_public, created_at, updated_at, version }
+  ))
+}, null, 2);
+
+export const downloadFile = (data, filename, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Import ---
+
+// Just enough YAML for front-matter: scalars, [inline, lists] and "- item" block lists
+const parseYamlScalar = (raw) => {
+  const value = raw.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith("'") && value.endsWith("'")) return value.slice(1, -1).replace(/''/g, "'");
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (value !== '' && !Number.isNaN(Number(value))) return Number(value);
+  return value;
+};
+
+export const parseFrontMatter = (text) => {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: text };
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line) => {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    if (item && listKey) {
+      data[listKey].push(parseYamlScalar(item[1]));
+      return;
+    }
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+    if (!pair) return;
+    const [, key, value] = pair;
+    listKey = null;
+    if (value === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      data[key] = value.slice(1, -1).split(',').map(parseYamlScalar).filter((entry) => entry !== '');
+    } else {
+      data[key] = parseYamlScalar(value);
+    }
+  });
+  return { data, body: text.slice(match[0].length) };
+};
+
+const tagsFrom = (value) => (Array.isArray(value) ? formatTags(value.map(String)) : formatTags(parseTags(String(value ?? ''))));
+
+const baseName = (path) => path.split('/').pop().replace(/\.[^.]+$/, '');
+
+export const parseMarkdownNote = (text, path) => {
+  const { data, body } = parseFrontMatter(text);
+  let content = body.replace(/^\s*\n/, '').trimEnd();
+  let { title } = data;
+  if (!title) {
+    // No front-matter title: use a leading "# Heading", else the file name
+    const heading = content.match(/^#\s+(.+)\n?/);
+    title = heading ? heading[1].trim() : baseName(path);
+    if (heading) content = content.slice(heading[0].length).replace(/^\s*\n/, '');
+  }
+  return {
+    title: String(title),
+    content: content || String(title),
+    tags: tagsFrom(data.tags),
+    is_public: data.is_public === true
+  };
+};
+
+export const parseJsonBackup = (text) => {
+  const data = JSON.parse(text);
+  const notes = Array.isArray(data) ? data : data?.notes;
+  if (!Array.isArray(notes)) throw new Error('Not a Smart Notes JSON backup');
+  return notes.map((note, idx) => {
+    if (!note || typeof note.title !== 'string' || typeof note.content !== 'string') {
+      throw new Error(`Note ${idx + 1} is missing a title or content`);
+    }
+    return {
+      title: note.title,
+      content: note.content,
+      tags: tagsFrom(note.tags),
+      is_public: note.is_public === true
+    };
+  });
+};
+
+// ENML is XHTML; turn the common block and inline elements into Markdown
+const enmlNodeToMarkdown = (node, context = {}) => {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+  const tag = node.tagName.toLowerCase();
+  const children = (childContext = context) => (
+    Array.from(node.childNodes).map((child) => enmlNodeToMarkdown(child, childContext)).join('')
+  );
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'p':
+      return `\n\n${children().trim()}\n\n`;
+    case 'div':
+      return `\n${children()}\n`;
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return `\n\n${'#'.repeat(Number(tag[1]))} ${children().trim()}\n\n`;
+    case 'b': case 'strong':
+      return `**${children()}**`;
+    case 'i': case 'em':
+      return `_${children()}_`;
+    case 'code':
+      return `\`${children()}\``;
+    case 'pre':
+      return `\n\n\`\`\`\n${node.textContent}\n\`\`\`\n\n`;
+    case 'a':
+      return `[${children()}](${node.getAttribute('href') || ''})`;
+    case 'hr':
+      return '\n\n---\n\n';
+    case 'ul': case 'ol':
+      return `\n${Array.from(node.children).map((item, idx) => {
+        const marker = tag === 'ol' ? `${idx + 1}.` : '-';
+        return `${marker} ${enmlNodeToMarkdown(item, { inList: true }).trim()}`;
+      }).join('\n')}\n\n`;
+    case 'li':
+      return children({ inList: true });
+    case 'en-todo':
+      // Outside a list the checkbox starts its own task item. The HTML parser ignores the
+      // self-closing slash, so the text after the checkbox ends up inside it.
+      return `${context.inList ? '' : '- '}[${node.getAttribute('checked') === 'true' ? 'x' : ' '}] ${children()}`;
+    case 'en-media': case 'img':
+      return '';
+    default:
+      return children();
+  }
+};
+
+export const enmlToMarkdown = (enml) => {
+  const doc = new DOMParser().parseFromString(enml, 'text/html');
+  return enmlNodeToMarkdown(doc.body)
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+export const parseEnex = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.querySelector('parsererror')) throw new Error('Not a valid ENEX file');
+  return Array.from(doc.getElementsByTagName('note')).map((note) => {
+    const field = (name) => note.getElementsByTagName(name)[0]?.textContent || '';
+    const title = field('title').trim() || 'Untitled';
+    return {
+      title,
+      content: enmlToMarkdown(field('content')) || title,
+      tags: formatTags(Array.from(note.getElementsByTagName('tag')).map((tag) => tag.textContent)),
+      is_public: false
+    };
+  });
+};
+
+const IMPORTERS = [
+  { pattern: /\.(md|markdown|txt)$/i, parse: (text, path) => [parseMarkdownNote(text, path)] },
+  { pattern: /\.json$/i, parse: (text) => parseJsonBackup(text) },
+  { pattern: /\.enex$/i, parse: (text) => parseEnex(text) }
+];
+
+export const ACCEPTED_EXTENSIONS = '.md,.markdown,.txt,.json,.enex,.zip';
+
+/**
+ * Parse one dropped file (zips are opened and each entry parsed).
+ * @param {File} file
+ * @returns {Promise<{ candidates: Array<{ source: string, title: string, content: string, tags: string, is_public: boolean }>, errors: Array<{ source: string, message: string }> }>}
+ */
+export const readImportFile = async (file) => {
+  const candidates = [];
+  const errors = [];
+
+  const parseEntry = (path, text) => {
+    const importer = IMPORTERS.find(({ pattern }) => pattern.test(path));
+    if (!importer) {
+      errors.push({ source: path, message: 'Unsupported file type' });
+      return;
+    }
+    try {
+      importer.parse(text, path).forEach((note) => candidates.push({ ...note, source: path }));
+    } catch (error) {
+      errors.push({ source: path, message: error.message });
+    }
+  };
+
+  try {
+    if (/\.zip$/i.test(file.name)) {
+      const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+      Object.entries(entries)
+        .filter(([path]) => !path.endsWith('/') && !path.startsWith('__MACOSX/') && !baseName(path).startsWith('.'))
+        .forEach(([path, data]) => parseEntry(`${file.name}/${path}`, strFromU8(data)));
+    } else {
+      parseEntry(file.name, await file.text());
+    }
+  } catch (error) {
+    errors.push({ source: file.name, message: error.message || 'Could not read the file' });
+  }
+  return { candidates, errors };
+};
+
+// Same title and body (ignoring case and surrounding whitespace) counts as a duplicate
+export const duplicateKey = (note) => `${note.title.trim().toLowerCase()}\n${note.content.trim()}`;
@@ -0,0 +1,138 @@
+import {
+  BACKUP_FORMAT,
+  buildJsonBackup,
+  buildMarkdownZip,
+  duplicateKey,
+  parseEnex,
+  parseFrontMatter,
+  parseJsonBackup,
+  parseMarkdownNote,
+  readImportFile,
+  toMarkdownFile
+} from './backup';
+
+const note = {
+  title: 'Trip: "Lisbon"',
+  content: '# Packing\n\n- [ ] passport\n- [x] tickets',
+  tags: 'travel, to-do',
+  is_public: true,
+  created_at: '2024-03-01T10:00:00Z',
+  updated_at: '2024-03-02T12:30:00Z',
+  version: 3
+};
+
+// Stands in for a dropped File
+const fakeFile = (name, data) => ({
+  name,
+  text: async () => data,
+  arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+});
+
+describe('markdown export', () => {
+  test('round-trips a note through front-matter', () => {
+    expect(parseMarkdownNote(toMarkdownFile(note), 'trip.md')).toEqual({
+      title: note.title,
+      content: note.content,
+      tags: note.tags,
+      is_public: true
+    });
+  });
+
+  test('writes a note without tags as an empty list', () => {
+    const { data } = parseFrontMatter(toMarkdownFile({ ...note, tags: '' }));
+    expect(data.tags).toEqual([]);
+  });
+
+  test('zips one file per note and keeps clashing names apart', async () => {
+    const zip = buildMarkdownZip([note, { ...note, content: 'Second copy' }]);
+    const { candidates, errors } = await readImportFile(fakeFile('notes.zip', zip));
+    expect(errors).toEqual([]);
+    expect(candidates.map((candidate) => candidate.source)).toEqual([
+      'notes.zip/trip-lisbon.md',
+      'notes.zip/trip-lisbon-2.md'
+    ]);
+    expect(candidates[1].content).toBe('Second copy');
+  });
+});
+
+describe('parseMarkdownNote', () => {
+  test('takes the title from a leading heading when there is no front-matter', () => {
+    expect(parseMarkdownNote('# Groceries\n\nmilk\n', 'list.md')).toEqual({
+      title: 'Groceries',
+      content: 'milk',
+      tags: '',
+      is_public: false
+    });
+  });
+
+  test('falls back to the file name', () => {
+    expect(parseMarkdownNote('just text', 'folder/Ideas.md').title).toBe('Ideas');
+  });
+
+  test('reads inline tag lists', () => {
+    expect(parseMarkdownNote('---\ntitle: Plain\ntags: [work, ideas]\n---\nbody', 'x.md').tags).toBe('work, ideas');
+  });
+});
+
+describe('JSON backup', () => {
+  test('round-trips notes', () => {
+    const backup = buildJsonBackup([note]);
+    expect(JSON.parse(backup).format).toBe(BACKUP_FORMAT);
+    expect(parseJsonBackup(backup)).toEqual([{
+      title: note.title,
+      content: note.content,
+      tags: note.tags,
+      is_public: true
+    }]);
+  });
+
+  test('accepts a bare array of notes', () => {
+    expect(parseJsonBackup(JSON.stringify([{ title: 'A', content: 'B' }]))).toHaveLength(1);
+  });
+
+  test('rejects files that are not backups', () => {
+    expect(() => parseJsonBackup('{"hello": "world"}')).toThrow('Not a Smart Notes JSON backup');
+    expect(() => parseJsonBackup('[{"title": "No content"}]')).toThrow('Note 1 is missing a title or content');
+  });
+});
+
+describe('parseEnex', () => {
+  test('converts Evernote notes to markdown', () => {
+    const enex = `<?xml version="1.0" encoding="UTF-8"?>
+<en-export>
+  <note>
+    <title>Trip</title>
+    <content><![CDATA[<en-note><p><b>Before</b> leaving</p><p>Pack the <i>charger</i></p></en-note>]]></content>
+    <tag>home</tag>
+    <tag>travel</tag>
+  </note>
+</en-export>`;
+    expect(parseEnex(enex)).toEqual([{
+      title: 'Trip',
+      content: '**Before** leaving\n\nPack the _charger_',
+      tags: 'home, travel',
+      is_public: false
+    }]);
+  });
+
+  test('keeps the text after a checkbox', () => {
+    const enex = `<en-export><note><title>Checklist</title>
+<content><![CDATA[<en-note><div><en-todo checked="true"/>lock the door</div><div><en-todo/>water the plants</div></en-note>]]></content>
+</note></en-export>`;
+    expect(parseEnex(enex)[0].content).toBe('- [x] lock the door\n\n- [ ] water the plants');
+  });
+});
+
+describe('readImportFile', () => {
+  test('reports unsupported files without failing the others', async () => {
+    const { candidates, errors } = await readImportFile(fakeFile('photo.png', new Uint8Array()));
+    expect(candidates).toEqual([]);
+    expect(errors).toEqual([{ source: 'photo.png', message: 'Unsupported file type' }]);
+  });
+});
+
+describe('duplicateKey', () => {
+  test('ignores case and surrounding whitespace', () => {
+    expect(duplicateKey({ title: ' Note ', content: 'body\n' })).toBe(duplicateKey({ title: 'note', content: 'body' }));
+  });
+});
@@ -0,0 +1,118 @@
+// End-to-end encryption for notes (WebCrypto).
+//
+// A passphrase is stretched with PBKDF2 (SHA-256) into an AES-GCM key that never leaves
+// the browser. Encrypted note content is stored as "enc:v1:<iv>:<ciphertext>" (base64),
+// where the plaintext is JSON { content, title? }; with an encrypted title the note's
+// plain `title` is just ENCRYPTED_TITLE_PLACEHOLDER. The per-account salt and a "check"
+// value encrypted with the key live on the server, so any device can tell whether a
+// passphrase is right. Lose the passphrase and the notes are gone: nothing can recover them.
+
+const PREFIX = 'enc:v1:';
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_VALUE = 'smart-notes-passphrase-check';
+
+export const ENCRYPTED_TITLE_PLACEHOLDER = 'Encrypted note';
+
+/** Thrown when a passphrase does not match the account's encryption key */
+export class WrongPassphraseError extends Error {
+  constructor() {
+    super('That passphrase is not correct.');
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// In slices, since spreading a long note's bytes into one call overflows the stack
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+export const isEncryptedContent = (content) => typeof content === 'string' && content.startsWith(PREFIX);
+
+/**
+ * @param {string} passphrase
+ * @param {string} salt Base64, from the account's encryption settings
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+export const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptJson = async (key, value) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return `${PREFIX}${toBase64(iv)}:${toBase64(ciphertext)}`;
+};
+
+// AES-GCM authenticates the data, so a wrong key (or tampered ciphertext) fails instead of producing garbage
+const decryptJson = async (key, envelope) => {
+  const [iv, ciphertext] = envelope.slice(PREFIX.length).split(':');
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+  return JSON.parse(decoder.decode(plaintext));
+};
+
+/**
+ * First-time setup: a fresh salt plus the check value, to store on the account.
+ * @returns {Promise<{ key: CryptoKey, salt: string, check: string }>}
+ */
+export const createEncryptionKey = async (passphrase) => {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+  const key = await deriveKey(passphrase, salt);
+  return { key, salt, check: await encryptJson(key, { check: CHECK_VALUE }) };
+};
+
+/**
+ * @param {string} passphrase
+ * @param {{ salt: string, check: string }} settings The account's encryption settings
+ * @returns {Promise<CryptoKey>} Rejects with WrongPassphraseError
+ */
+export const unlockEncryptionKey = async (passphrase, { salt, check }) => {
+  const key = await deriveKey(passphrase, salt);
+  try {
+    if ((await decryptJson(key, check)).check === CHECK_VALUE) return key;
+  } catch (error) {
+    // Falls through to the wrong-passphrase error
+  }
+  throw new WrongPassphraseError();
+};
+
+/**
+ * Encrypt a note's content, and its title too when `encryptTitle` is set.
+ * @returns {Promise<{ title: string, content: string }>} What to send to the server
+ */
+export const encryptNoteFields = async (key, { title, content }, { encryptTitle = false } = {}) => ({
+  title: encryptTitle ? ENCRYPTED_TITLE_PLACEHOLDER : title,
+  content: await encryptJson(key, encryptTitle ? { title, content } : { content })
+});
+
+/**
+ * @param {CryptoKey} key
+ * @param {{ title: string, content: string }} note As stored on the server
+ * @returns {Promise<{ title: string, content: string, titleEncrypted: boolean }>}
+ */
+export const decryptNoteFields = async (key, { title, content }) => {
+  const data = await decryptJson(key, content);
+  return {
+    title: typeof data.title === 'string' ? data.title : title,
+    content: data.content,
+    titleEncrypted: typeof data.title === 'string'
+  };
+};
@@ -0,0 +1,68 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import {
+  ENCRYPTED_TITLE_PLACEHOLDER,
+  WrongPassphraseError,
+  createEncryptionKey,
+  decryptNoteFields,
+  encryptNoteFields,
+  isEncryptedContent,
+  unlockEncryptionKey
+} from './crypto';
+
+// Jest's environments don't expose WebCrypto; Node's is the same API the browser has
+global.crypto = webcrypto;
+
+const note = { title: 'Bank details', content: 'PIN: 1234\n\nünïcödé ✓' };
+
+describe('note encryption', () => {
+  let settings;
+  beforeAll(async () => {
+    settings = await createEncryptionKey('correct horse battery staple');
+  });
+
+  test('round-trips a note, leaving the title readable by default', async () => {
+    const encrypted = await encryptNoteFields(settings.key, note);
+    expect(encrypted.title).toBe(note.title);
+    expect(isEncryptedContent(encrypted.content)).toBe(true);
+    expect(encrypted.content).not.toContain('1234');
+    expect(await decryptNoteFields(settings.key, encrypted)).toEqual({ ...note, titleEncrypted: false });
+  });
+
+  test('hides the title when asked to', async () => {
+    const encrypted = await encryptNoteFields(settings.key, note, { encryptTitle: true });
+    expect(encrypted.title).toBe(ENCRYPTED_TITLE_PLACEHOLDER);
+    expect(await decryptNoteFields(settings.key, encrypted)).toEqual({ ...note, titleEncrypted: true });
+  });
+
+  test('uses a fresh IV for every encryption', async () => {
+    const [first, second] = await Promise.all([
+      encryptNoteFields(settings.key, note),
+      encryptNoteFields(settings.key, note)
+    ]);
+    expect(first.content).not.toBe(second.content);
+  });
+
+  test('unlocks the same key from the stored salt and check', async () => {
+    const key = await unlockEncryptionKey('correct horse battery staple', settings);
+    const encrypted = await encryptNoteFields(settings.key, note);
+    expect((await decryptNoteFields(key, encrypted)).content).toBe(note.content);
+  });
+
+  test('rejects a wrong passphrase', async () => {
+    await expect(unlockEncryptionKey('wrong passphrase', settings)).rejects.toBeInstanceOf(WrongPassphraseError);
+  });
+
+  test('cannot decrypt with another key', async () => {
+    const other = await createEncryptionKey('correct horse battery staple');
+    const encrypted = await encryptNoteFields(settings.key, note);
+    await expect(decryptNoteFields(other.key, encrypted)).rejects.toThrow();
+  });
+});
+
+test('isEncryptedContent only matches the envelope prefix', () => {
+  expect(isEncryptedContent('plain text')).toBe(false);
+  expect(isEncryptedContent(null)).toBe(false);
+});
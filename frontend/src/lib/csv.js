@@ -0,0 +1,17 @@
+// Minimal CSV writer (RFC 4180 quoting).
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<{ key: string, label: string }>} columns in output order
+ * @returns {string}
+ */
+export const toCsv = (rows, columns) => [
+  columns.map((column) => escapeCell(column.label)).join(','),
+  ...rows.map((row) => columns.map((column) => escapeCell(row[column.key])).join(','))
+].join('\r\n');
@@ -0,0 +1,19 @@
+import { toCsv } from './csv';
+
+const columns = [
+  { key: 'query', label: 'Query' },
+  { key: 'count', label: 'Searches' }
+];
+
+test('writes a header row and one line per row, in column order', () => {
+  expect(toCsv([{ count: 3, query: 'budget' }], columns)).toBe('Query,Searches\r\nbudget,3');
+});
+
+test('quotes cells with commas, quotes or line breaks', () => {
+  const rows = [{ query: 'a, b', count: 1 }, { query: 'say "hi"', count: 2 }, { query: 'two\nlines', count: 3 }];
+  expect(toCsv(rows, columns).split('\r\n').slice(1)).toEqual(['"a, b",1', '"say ""hi""",2', '"two\nlines",3']);
+});
+
+test('leaves missing values empty', () => {
+  expect(toCsv([{ query: null }], columns)).toBe('Query,Searches\r\n,');
+});
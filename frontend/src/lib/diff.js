@@ -0,0 +1,70 @@
+// Two-way line diff for the version history panel, built on the same LCS as
+// the three-way merge.
+
+import { longestCommonSubsequence } from './merge';
+
+const splitLines = (text) => (text ? text.split('\n') : []);
+
+/**
+ * Inline diff of `before` -> `after`.
+ * @returns {{ type: 'same'|'removed'|'added', text: string, oldNumber: number|null, newNumber: number|null }[]}
+ */
+export const diffLines = (before, after) => {
+  const a = splitLines(before);
+  const b = splitLines(after);
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  const flushUntil = (aEnd, bEnd) => {
+    for (; i < aEnd; i++) lines.push({ type: 'removed', text: a[i], oldNumber: i + 1, newNumber: null });
+    for (; j < bEnd; j++) lines.push({ type: 'added', text: b[j], oldNumber: null, newNumber: j + 1 });
+  };
+
+  longestCommonSubsequence(a, b).forEach(([aIndex, bIndex]) => {
+    flushUntil(aIndex, bIndex);
+    lines.push({ type: 'same', text: a[i], oldNumber: i + 1, newNumber: j + 1 });
+    i++;
+    j++;
+  });
+  flushUntil(a.length, b.length);
+  return lines;
+};
+
+/**
+ * The same diff laid out as left/right rows; a run of removals is paired with
+ * the additions that follow it so changed lines sit side by side.
+ * @returns {{ left: object|null, right: object|null }[]}
+ */
+export const toSideBySide = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      rows.push({ left: removed[k] || null, right: added[k] || null });
+    }
+    removed = [];
+    added = [];
+  };
+
+  lines.forEach((line) => {
+    if (line.type === 'removed') {
+      if (added.length) flush();
+      removed.push(line);
+    } else if (line.type === 'added') {
+      added.push(line);
+    } else {
+      flush();
+      rows.push({ left: line, right: line });
+    }
+  });
+  flush();
+  return rows;
+};
+
+export const countChanges = (lines) => ({
+  added: lines.filter((line) => line.type === 'added').length,
+  removed: lines.filter((line) => line.type === 'removed').length
+});
@@ -0,0 +1,44 @@
+import { countChanges, diffLines, toSideBySide } from './diff';
+
+describe('diffLines', () => {
+  test('numbers lines on each side of the diff', () => {
+    expect(diffLines('a\nb\nc', 'a\nB\nc')).toEqual([
+      { type: 'same', text: 'a', oldNumber: 1, newNumber: 1 },
+      { type: 'removed', text: 'b', oldNumber: 2, newNumber: null },
+      { type: 'added', text: 'B', oldNumber: null, newNumber: 2 },
+      { type: 'same', text: 'c', oldNumber: 3, newNumber: 3 }
+    ]);
+  });
+
+  test('treats empty text as no lines', () => {
+    expect(diffLines('', '')).toEqual([]);
+    expect(diffLines('', 'new').map((line) => line.type)).toEqual(['added']);
+    expect(diffLines('old', '').map((line) => line.type)).toEqual(['removed']);
+  });
+
+  test('rebuilds both versions from the diff', () => {
+    const before = 'one\ntwo\nthree\nfour';
+    const after = 'zero\none\nthree\nfour\nfive';
+    const lines = diffLines(before, after);
+    expect(lines.filter((line) => line.type !== 'added').map((line) => line.text).join('\n')).toBe(before);
+    expect(lines.filter((line) => line.type !== 'removed').map((line) => line.text).join('\n')).toBe(after);
+  });
+});
+
+describe('toSideBySide', () => {
+  test('pairs removals with the additions that follow them', () => {
+    const rows = toSideBySide(diffLines('a\nb\nc\nd', 'a\nB\nd'));
+    expect(rows.map(({ left, right }) => [left?.text ?? null, right?.text ?? null])).toEqual([
+      ['a', 'a'],
+      ['b', 'B'],
+      ['c', null],
+      ['d', 'd']
+    ]);
+  });
+});
+
+describe('countChanges', () => {
+  test('counts added and removed lines', () => {
+    expect(countChanges(diffLines('a\nb\nc', 'a\nx\ny\nc'))).toEqual({ added: 2, removed: 1 });
+  });
+});
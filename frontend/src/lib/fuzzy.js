@@ -0,0 +1,57 @@
+// Fuzzy matching for the command palette.
+
+const WORD_BOUNDARY = /[\s\-_/.:,]/;
+
+// Greedy match of `needle` in `haystack` starting at `start`
+const matchFrom = (needle, haystack, start) => {
+  const indices = [];
+  let score = 0;
+  let from = start;
+  for (const char of needle) {
+    const idx = haystack.indexOf(char, from);
+    if (idx === -1) return null;
+    let points = 1;
+    if (indices.length && idx === indices[indices.length - 1] + 1) points += 3;
+    if (idx === 0 || WORD_BOUNDARY.test(haystack[idx - 1])) points += 2;
+    score += points;
+    indices.push(idx);
+    from = idx + 1;
+  }
+  return { score, indices };
+};
+
+/**
+ * Every character of `query` must appear in `text` in order (spaces in the query are ignored).
+ * Matches at word starts and runs of consecutive characters score higher; shorter texts win ties.
+ * @returns {{ score: number, indices: number[] } | null} matched character positions, or null for no match
+ */
+export const fuzzyMatch = (query, text) => {
+  const needle = query.toLowerCase().replace(/\s+/g, '');
+  if (!needle) return { score: 0, indices: [] };
+
+  // Try each place the first character occurs; a later start can give a tighter match
+  const haystack = text.toLowerCase();
+  let best = null;
+  for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+    const match = matchFrom(needle, haystack, start);
+    if (!match) break;
+    if (!best || match.score > best.score) best = match;
+  }
+  return best && { score: best.score - haystack.length * 0.01, indices: best.indices };
+};
+
+// Split `text` into [{ text, match }] runs for highlighting the matched characters
+export const matchParts = (text, indices) => {
+  const matched = new Set(indices);
+  const parts = [];
+  text.split('').forEach((char, idx) => {
+    const match = matched.has(idx);
+    const last = parts[parts.length - 1];
+    if (last && last.match === match) {
+      last.text += char;
+    } else {
+      parts.push({ text: char, match });
+    }
+  });
+  return parts;
+};
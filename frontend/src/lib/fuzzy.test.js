@@ -0,0 +1,33 @@
+import { fuzzyMatch, matchParts } from './fuzzy';
+
+describe('fuzzyMatch', () => {
+  test('matches the query characters in order, ignoring case and spaces', () => {
+    expect(fuzzyMatch('n n', 'New note').indices).toEqual([0, 4]);
+    expect(fuzzyMatch('ton', 'New note')).toBeNull();
+  });
+
+  test('an empty query matches everything', () => {
+    expect(fuzzyMatch('  ', 'Anything')).toEqual({ score: 0, indices: [] });
+  });
+
+  test('scores word starts and consecutive characters higher', () => {
+    expect(fuzzyMatch('ab', 'xab').score).toBeGreaterThan(fuzzyMatch('ab', 'xaxb').score);
+    expect(fuzzyMatch('gr', 'Open graph').score).toBeGreaterThan(fuzzyMatch('gr', 'Go right').score);
+  });
+
+  test('uses the start that gives the tightest match', () => {
+    expect(fuzzyMatch('tag', 'toggle tags').indices).toEqual([7, 8, 9]);
+  });
+
+  test('prefers the shorter text when the match is the same', () => {
+    expect(fuzzyMatch('trash', 'Trash').score).toBeGreaterThan(fuzzyMatch('trash', 'Trash bin').score);
+  });
+});
+
+test('matchParts groups matched and unmatched characters into runs', () => {
+  expect(matchParts('Graph', [0, 1, 4])).toEqual([
+    { text: 'Gr', match: true },
+    { text: 'ap', match: false },
+    { text: 'h', match: true }
+  ]);
+});
@@ -0,0 +1,17 @@
+// Random ids for things created in the browser (offline notes, this page load).
+//
+// crypto.randomUUID only exists in secure contexts, and the dev server is also reached over plain
+// http on a LAN address, so fall back to a version 4 UUID built from crypto.getRandomValues.
+
+const hex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/** @returns {string} a random UUID, e.g. "3b241101-e2bb-4255-8caf-4136c566a962" */
+export const randomId = () => {
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  // Version 4, RFC 4122 variant
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const digits = hex(bytes);
+  return `${digits.slice(0, 8)}-${digits.slice(8, 12)}-${digits.slice(12, 16)}-${digits.slice(16, 20)}-${digits.slice(20)}`;
+};
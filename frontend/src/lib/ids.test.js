@@ -0,0 +1,26 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { randomId } from './ids';
+
+const UUID_V4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('randomId', () => {
+  const original = global.crypto;
+  afterEach(() => {
+    global.crypto = original;
+  });
+
+  test('uses crypto.randomUUID where the page is a secure context', () => {
+    global.crypto = { randomUUID: () => 'from-random-uuid' };
+    expect(randomId()).toBe('from-random-uuid');
+  });
+
+  test('builds a version 4 UUID from random bytes elsewhere', () => {
+    global.crypto = { getRandomValues: (array) => webcrypto.getRandomValues(array) };
+    const ids = [randomId(), randomId()];
+    ids.forEach((id) => expect(id).toMatch(UUID_V4));
+    expect(ids[0]).not.toBe(ids[1]);
+  });
+});
@@ -0,0 +1,144 @@
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import hljs from 'highlight.js/lib/common';
+import DOMPurify from 'dompurify';
+import { attachmentsApi } from '../api/client';
+import { ATTACHMENT_PATH_PREFIX } from './attachments';
+import { WIKI_LINK_RULE } from './wikiLinks';
+
+// Task list items, optionally nested in blockquotes: "- [ ] todo", "> 1. [x] done"
+const TASK_PATTERN = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])(\])/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Set for the duration of one renderMarkdown() call; marked renders synchronously
+let resolveWikiLink = null;
+
+// [[Title]] / [[Title|label]] -> link to the note route, or a "broken" marker when no note has that title.
+// Without a resolver (shared page, plain-text excerpts) the label is rendered as plain text.
+const wikiLinkExtension = {
+  name: 'wikiLink',
+  level: 'inline',
+  start: (src) => src.indexOf('[['),
+  tokenizer(src) {
+    const match = WIKI_LINK_RULE.exec(src);
+    if (!match) return undefined;
+    return { type: 'wikiLink', raw: match[0], title: match[1].trim(), label: (match[2] || match[1]).trim() };
+  },
+  renderer(token) {
+    const label = escapeHtml(token.label);
+    if (!resolveWikiLink) return `<span class="wiki-link">${label}</span>`;
+    const note = resolveWikiLink(token.title);
+    if (!note) {
+      return `<span class="wiki-link wiki-link-broken" title="${escapeHtml(`No note titled "${token.title}"`)}">${label}</span>`;
+    }
+    const id = escapeHtml(note.id);
+    return `<a class="wiki-link" href="/notes/${encodeURIComponent(note.id)}" data-note-id="${id}">${label}</a>`;
+  }
+};
+
+const createRenderer = (interactiveTasks) => {
+  const marked = new Marked(
+    markedHighlight({
+      emptyLangClass: 'hljs',
+      langPrefix: 'hljs language-',
+      highlight(code, lang) {
+        const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+        return hljs.highlight(code, { language }).value;
+      }
+    })
+  );
+
+  marked.use({
+    gfm: true,
+    breaks: true,
+    extensions: [wikiLinkExtension],
+    // Notes store attachments as API paths so they survive a change of API host
+    walkTokens(token) {
+      if ((token.type === 'image' || token.type === 'link') && token.href?.startsWith(ATTACHMENT_PATH_PREFIX)) {
+        token.href = attachmentsApi.url(token.href);
+      }
+    },
+    renderer: {
+      checkbox({ checked }) {
+        return `<input type="checkbox" class="task-checkbox"${checked ? ' checked' : ''}${interactiveTasks ? '' : ' disabled'}> `;
+      }
+    }
+  });
+  return marked;
+};
+
+// Links in notes always open outside the app (except [[links]] to other notes)
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href') && !node.classList.contains('wiki-link')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+const staticRenderer = createRenderer(false);
+const interactiveRenderer = createRenderer(true);
+
+// Markdown -> sanitized HTML. Task checkboxes are only clickable when `interactiveTasks` is set;
+// `resolveLink(title)` returns the note a [[title]] points at (or null when it is broken).
+export const renderMarkdown = (text, { interactiveTasks = false, resolveLink = null } = {}) => {
+  const renderer = interactiveTasks ? interactiveRenderer : staticRenderer;
+  resolveWikiLink = resolveLink;
+  try {
+    return DOMPurify.sanitize(renderer.parse(text || ''));
+  } finally {
+    resolveWikiLink = null;
+  }
+};
+
+// Cards and search excerpts re-render the same notes constantly, so keep a small cache
+const plainTextCache = new Map();
+const PLAIN_TEXT_CACHE_SIZE = 500;
+
+// Markdown -> plain text with formatting characters removed
+export const stripMarkdown = (text) => {
+  if (!text) return '';
+  if (plainTextCache.has(text)) return plainTextCache.get(text);
+
+  const doc = new DOMParser().parseFromString(renderMarkdown(text), 'text/html');
+  const plain = (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+
+  if (plainTextCache.size >= PLAIN_TEXT_CACHE_SIZE) {
+    plainTextCache.delete(plainTextCache.keys().next().value);
+  }
+  plainTextCache.set(text, plain);
+  return plain;
+};
+
+// Task list items in document order, skipping fenced code blocks; `index` is what toggleTask takes
+export const extractTasks = (text) => {
+  const tasks = [];
+  let inFence = false;
+  (text || '').split('\n').forEach((line) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = inFence ? null : TASK_PATTERN.exec(line);
+    if (!match) return;
+    tasks.push({ index: tasks.length, done: match[2] !== ' ', text: line.slice(match[0].length).trim() });
+  });
+  return tasks;
+};
+
+// Flip the `index`-th task list checkbox (in document order), skipping fenced code blocks
+export const toggleTask = (text, index) => {
+  let inFence = false;
+  let taskIndex = -1;
+  return text.split('\n').map((line) => {
+    if (FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    if (inFence || !TASK_PATTERN.test(line)) return line;
+    taskIndex += 1;
+    if (taskIndex !== index) return line;
+    return line.replace(TASK_PATTERN, (_, open, mark, close) => `${open}${mark === ' ' ? 'x' : ' '}${close}`);
+  }).join('\n');
+};
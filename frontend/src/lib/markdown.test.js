@@ -0,0 +1,30 @@
+import { toggleTask } from './markdown';
+
+// The client reads Vite's import.meta.env, which Jest cannot parse; only attachment links use it
+jest.mock('../api/client', () => ({ attachmentsApi: { url: (path) => path } }));
+
+describe('toggleTask', () => {
+  const note = '# Groceries\n\n- [ ] milk\n- [x] bread\n* [ ] eggs';
+
+  test('checks and unchecks the task at the given index', () => {
+    expect(toggleTask(note, 0)).toBe('# Groceries\n\n- [x] milk\n- [x] bread\n* [ ] eggs');
+    expect(toggleTask(note, 1)).toBe('# Groceries\n\n- [ ] milk\n- [ ] bread\n* [ ] eggs');
+    expect(toggleTask(note, 2)).toBe('# Groceries\n\n- [ ] milk\n- [x] bread\n* [x] eggs');
+  });
+
+  test('counts ordered, nested and quoted task items', () => {
+    const text = '1. [ ] first\n  - [ ] nested\n> - [X] quoted';
+    expect(toggleTask(text, 1)).toBe('1. [ ] first\n  - [x] nested\n> - [X] quoted');
+    expect(toggleTask(text, 2)).toBe('1. [ ] first\n  - [ ] nested\n> - [ ] quoted');
+  });
+
+  test('skips checkboxes inside fenced code blocks', () => {
+    const text = '```\n- [ ] example\n```\n- [ ] real';
+    expect(toggleTask(text, 0)).toBe('```\n- [ ] example\n```\n- [x] real');
+  });
+
+  test('leaves the text alone when there is no task at that index', () => {
+    expect(toggleTask(note, 3)).toBe(note);
+    expect(toggleTask('- [] not a task\n-[ ] nor this', 0)).toBe('- [] not a task\n-[ ] nor this');
+  });
+});
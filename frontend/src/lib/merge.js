@@ -0,0 +1,112 @@
+// Line-based three-way merge used to resolve 409 version conflicts.
+//
+// `base` is the note as it was when the editor opened, `mine` is the local
+// edit and `theirs` is the current server copy. Regions where all three
+// agree are stable; everything in between is either taken from the side
+// that changed it or reported as a conflict.
+
+export const CONFLICT_START = '<<<<<<< mine';
+export const CONFLICT_SEPARATOR = '=======';
+export const CONFLICT_END = '>>>>>>> theirs';
+
+// Pairs of [aIndex, bIndex] for the longest common subsequence of two arrays
+export const longestCommonSubsequence = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint32Array(cols));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+// Three-way merge of line arrays.
+// Returns hunks of { type: 'ok', source, lines } or { type: 'conflict', base, mine, theirs }.
+export const mergeLines = (base, mine, theirs) => {
+  const mineMatch = new Map(longestCommonSubsequence(base, mine));
+  const theirsMatch = new Map(longestCommonSubsequence(base, theirs));
+  const hunks = [];
+
+  const pushOk = (source, lines) => {
+    if (!lines.length) return;
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === 'ok' && last.source === source) {
+      last.lines.push(...lines);
+    } else {
+      hunks.push({ type: 'ok', source, lines: [...lines] });
+    }
+  };
+
+  const pushUnstable = (baseLines, mineLines, theirsLines) => {
+    if (!baseLines.length && !mineLines.length && !theirsLines.length) return;
+    if (sameLines(mineLines, theirsLines)) {
+      pushOk(sameLines(baseLines, mineLines) ? 'base' : 'both', mineLines);
+    } else if (sameLines(baseLines, mineLines)) {
+      pushOk('theirs', theirsLines);
+    } else if (sameLines(baseLines, theirsLines)) {
+      pushOk('mine', mineLines);
+    } else {
+      hunks.push({ type: 'conflict', base: baseLines, mine: mineLines, theirs: theirsLines });
+    }
+  };
+
+  let b = 0;
+  let m = 0;
+  let t = 0;
+  for (let i = 0; i < base.length; i++) {
+    if (!mineMatch.has(i) || !theirsMatch.has(i)) continue;
+    const mi = mineMatch.get(i);
+    const ti = theirsMatch.get(i);
+    pushUnstable(base.slice(b, i), mine.slice(m, mi), theirs.slice(t, ti));
+    pushOk('base', [base[i]]);
+    b = i + 1;
+    m = mi + 1;
+    t = ti + 1;
+  }
+  pushUnstable(base.slice(b), mine.slice(m), theirs.slice(t));
+  return hunks;
+};
+
+// Lines for a conflict hunk given a choice of 'mine', 'theirs', 'both' or null (unresolved)
+export const resolveConflict = (hunk, choice) => {
+  switch (choice) {
+    case 'mine': return hunk.mine;
+    case 'theirs': return hunk.theirs;
+    case 'both': return [...hunk.mine, ...hunk.theirs];
+    default: return [CONFLICT_START, ...hunk.mine, CONFLICT_SEPARATOR, ...hunk.theirs, CONFLICT_END];
+  }
+};
+
+// Flatten hunks back into lines; `choices` holds one entry per conflict hunk, in order
+export const applyChoices = (hunks, choices) => {
+  let conflictIndex = 0;
+  return hunks.flatMap((hunk) => (
+    hunk.type === 'ok' ? hunk.lines : resolveConflict(hunk, choices[conflictIndex++])
+  ));
+};
+
+export const hasConflictMarkers = (text) => (
+  text.split('\n').some((line) => line === CONFLICT_START || line === CONFLICT_END)
+);
@@ -0,0 +1,72 @@
+import {
+  CONFLICT_END,
+  CONFLICT_SEPARATOR,
+  CONFLICT_START,
+  applyChoices,
+  hasConflictMarkers,
+  longestCommonSubsequence,
+  mergeLines
+} from './merge';
+
+const lines = (text) => text.split('\n');
+
+describe('longestCommonSubsequence', () => {
+  test('pairs the indexes of the shared lines in order', () => {
+    expect(longestCommonSubsequence(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd'])).toEqual([[0, 0], [2, 1], [3, 3]]);
+  });
+
+  test('is empty when nothing is shared', () => {
+    expect(longestCommonSubsequence(['a'], ['b'])).toEqual([]);
+  });
+});
+
+describe('mergeLines', () => {
+  const base = lines('title\none\ntwo\nthree');
+
+  test('takes changes from both sides when they touch different lines', () => {
+    const mine = lines('title\nONE\ntwo\nthree');
+    const theirs = lines('title\none\ntwo\nTHREE');
+    const hunks = mergeLines(base, mine, theirs);
+    expect(hunks.every((hunk) => hunk.type === 'ok')).toBe(true);
+    expect(applyChoices(hunks, [])).toEqual(lines('title\nONE\ntwo\nTHREE'));
+  });
+
+  test('does not conflict when both sides made the same change', () => {
+    const edited = lines('title\none\n2\nthree');
+    const hunks = mergeLines(base, edited, edited);
+    expect(hunks.some((hunk) => hunk.type === 'conflict')).toBe(false);
+    expect(applyChoices(hunks, [])).toEqual(edited);
+  });
+
+  test('reports a conflict when both sides changed the same line differently', () => {
+    const hunks = mergeLines(base, lines('title\none\nmine\nthree'), lines('title\none\ntheirs\nthree'));
+    const conflicts = hunks.filter((hunk) => hunk.type === 'conflict');
+    expect(conflicts).toEqual([{ type: 'conflict', base: ['two'], mine: ['mine'], theirs: ['theirs'] }]);
+  });
+
+  test('resolves each conflict by the choice made for it', () => {
+    const hunks = mergeLines(base, lines('title\none\nmine\nthree'), lines('title\none\ntheirs\nthree'));
+    expect(applyChoices(hunks, ['mine'])).toEqual(lines('title\none\nmine\nthree'));
+    expect(applyChoices(hunks, ['theirs'])).toEqual(lines('title\none\ntheirs\nthree'));
+    expect(applyChoices(hunks, ['both'])).toEqual(lines('title\none\nmine\ntheirs\nthree'));
+  });
+
+  test('leaves conflict markers around an unresolved conflict', () => {
+    const hunks = mergeLines(base, lines('title\none\nmine\nthree'), lines('title\none\ntheirs\nthree'));
+    const merged = applyChoices(hunks, [null]);
+    expect(merged).toEqual(['title', 'one', CONFLICT_START, 'mine', CONFLICT_SEPARATOR, 'theirs', CONFLICT_END, 'three']);
+    expect(hasConflictMarkers(merged.join('\n'))).toBe(true);
+  });
+
+  test('keeps a deletion on one side when the other left the lines alone', () => {
+    const hunks = mergeLines(base, lines('title\nthree'), base);
+    expect(applyChoices(hunks, [])).toEqual(lines('title\nthree'));
+  });
+});
+
+describe('hasConflictMarkers', () => {
+  test('only matches markers on a line of their own', () => {
+    expect(hasConflictMarkers(`text ${CONFLICT_START}`)).toBe(false);
+    expect(hasConflictMarkers('plain text')).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+// IndexedDB persistence for offline use.
+//
+// `notes` holds the last copy of every note the server returned; `outbox`
+// holds create/update/delete mutations made locally that still have to be
+// sent, in the order they were made (auto-incrementing `seq`).
+
+const DB_NAME = 'smart-notes';
+const DB_VERSION = 1;
+const NOTES_STORE = 'notes';
+const OUTBOX_STORE = 'outbox';
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(NOTES_STORE)) {
+          db.createObjectStore(NOTES_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work(store)` inside a transaction and resolve once it has committed
+const withStore = async (storeName, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(work(tx.objectStore(storeName)))
+      .then((value) => {
+        result = value;
+      })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// --- Cached server notes ---
+export const getCachedNotes = () => withStore(NOTES_STORE, 'readonly', (store) => promisify(store.getAll()));
+
+export const replaceCachedNotes = (notes) => withStore(NOTES_STORE, 'readwrite', (store) => {
+  store.clear();
+  notes.forEach((note) => store.put(note));
+});
+
+export const putCachedNotes = (notes) => withStore(NOTES_STORE, 'readwrite', (store) => {
+  notes.forEach((note) => store.put(note));
+});
+
+export const putCachedNote = (note) => withStore(NOTES_STORE, 'readwrite', (store) => {
+  store.put(note);
+});
+
+export const deleteCachedNote = (id) => withStore(NOTES_STORE, 'readwrite', (store) => {
+  store.delete(id);
+});
+
+// --- Outbox ---
+export const getOutbox = () => withStore(OUTBOX_STORE, 'readonly', (store) => promisify(store.getAll()));
+
+export const addOutboxEntry = (entry) => withStore(OUTBOX_STORE, 'readwrite', (store) => promisify(store.add(entry)));
+
+export const putOutboxEntry = (entry) => withStore(OUTBOX_STORE, 'readwrite', (store) => {
+  store.put(entry);
+});
+
+export const deleteOutboxEntry = (seq) => withStore(OUTBOX_STORE, 'readwrite', (store) => {
+  store.delete(seq);
+});
+
+// Everything above belongs to one account; dropped on sign-out or when another account signs in
+export const clearOfflineData = async () => {
+  await withStore(NOTES_STORE, 'readwrite', (store) => store.clear());
+  await withStore(OUTBOX_STORE, 'readwrite', (store) => store.clear());
+};
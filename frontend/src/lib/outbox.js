@@ -0,0 +1,95 @@
+// Pure bookkeeping for the offline outbox, the queue of note mutations made
+// while the server was unreachable. Entries are `{ seq, type, noteId,
+// payload?, note?, base?, queuedAt, conflict? }`; `seq` is assigned by
+// IndexedDB and gives the replay order.
+//
+// The planners below return `{ put, remove, add }`: entries to overwrite,
+// seqs to delete and at most one new entry to append, so the caller can
+// write them to the store.
+
+// The cached server notes with pending local mutations applied in order
+export const applyOutbox = (serverNotes, outbox) => {
+  let notes = [...serverNotes];
+  outbox.forEach((entry) => {
+    if (entry.type === 'create') {
+      notes = [entry.note, ...notes.filter((note) => note.id !== entry.noteId)];
+    } else if (entry.type === 'update') {
+      notes = notes.map((note) => (
+        note.id === entry.noteId
+          ? { ...note, ...entry.payload, version: note.version, updated_at: entry.queuedAt, pending: true, conflict: Boolean(entry.conflict) }
+          : note
+      ));
+    } else if (entry.type === 'delete') {
+      notes = notes.filter((note) => note.id !== entry.noteId);
+    }
+  });
+  return notes;
+};
+
+// Queue a mutation, folding it into earlier pending entries for the same note
+export const planEnqueue = (entries, mutation) => {
+  const pending = entries.filter((entry) => entry.noteId === mutation.noteId && !entry.conflict);
+  const pendingCreate = pending.find((entry) => entry.type === 'create');
+  const pendingUpdate = pending.find((entry) => entry.type === 'update');
+
+  if (mutation.type === 'update' && pendingCreate) {
+    const payload = { ...pendingCreate.payload, ...mutation.payload };
+    delete payload.version;
+    return {
+      put: [{ ...pendingCreate, payload, note: { ...pendingCreate.note, ...payload, updated_at: mutation.queuedAt } }],
+      remove: [],
+      add: null
+    };
+  }
+  if (mutation.type === 'update' && pendingUpdate) {
+    // Keep the version the first offline edit was based on
+    return {
+      put: [{ ...pendingUpdate, payload: { ...mutation.payload, version: pendingUpdate.payload.version }, queuedAt: mutation.queuedAt }],
+      remove: [],
+      add: null
+    };
+  }
+  if (mutation.type === 'delete' && pendingCreate) {
+    // The server never saw the note, so there is nothing left to send
+    return { put: [], remove: pending.map((entry) => entry.seq), add: null };
+  }
+  if (mutation.type === 'delete') {
+    return {
+      put: [],
+      remove: entries.filter((entry) => entry.noteId === mutation.noteId).map((entry) => entry.seq),
+      add: mutation
+    };
+  }
+  return { put: [], remove: [], add: mutation };
+};
+
+// After the server saved the queued `created` note as `saved`, point what is
+// still queued for its local id at the server id. Edits folded into the create
+// while it was in flight become an update; a delete made meanwhile is queued
+// for the server copy.
+export const planRemap = (entries, created, saved) => {
+  const plan = { put: [], remove: [], add: null };
+  const latest = entries.find((entry) => entry.seq === created.seq);
+  if (!latest) {
+    plan.add = { type: 'delete', noteId: saved.id, queuedAt: new Date().toISOString() };
+  } else if (JSON.stringify(latest.payload) !== JSON.stringify(created.payload)) {
+    plan.put.push({
+      seq: latest.seq,
+      type: 'update',
+      noteId: saved.id,
+      payload: { ...latest.payload, version: saved.version },
+      base: { title: saved.title, content: saved.content, tags: saved.tags, is_public: saved.is_public, version: saved.version },
+      queuedAt: latest.queuedAt
+    });
+  } else {
+    plan.remove.push(latest.seq);
+  }
+  entries
+    .filter((entry) => entry.noteId === created.noteId && entry.seq !== created.seq)
+    .forEach((entry) => plan.put.push({
+      ...entry,
+      noteId: saved.id,
+      ...(entry.type === 'update' && { payload: { ...entry.payload, version: saved.version } })
+    }));
+  return plan;
+};
@@ -0,0 +1,129 @@
+import { applyOutbox, planEnqueue, planRemap } from './outbox';
+
+const QUEUED_AT = '2026-10-19T09:00:00.000Z';
+const LATER = '2026-10-19T09:05:00.000Z';
+
+const localCreate = {
+  seq: 1,
+  type: 'create',
+  noteId: 'local-1',
+  payload: { title: 'Draft', content: 'one' },
+  note: { id: 'local-1', title: 'Draft', content: 'one', version: 1, updated_at: QUEUED_AT, pending: true },
+  queuedAt: QUEUED_AT
+};
+
+const serverUpdate = {
+  seq: 2,
+  type: 'update',
+  noteId: 7,
+  payload: { title: 'Plan', content: 'first', version: 3 },
+  queuedAt: QUEUED_AT
+};
+
+describe('applyOutbox', () => {
+  const serverNotes = [
+    { id: 7, title: 'Plan', content: 'old', version: 3, updated_at: '2026-10-01' },
+    { id: 8, title: 'Gone', content: '', version: 1, updated_at: '2026-10-01' }
+  ];
+
+  test('shows queued creates first and marks queued edits as pending', () => {
+    const notes = applyOutbox(serverNotes, [localCreate, serverUpdate]);
+    expect(notes.map((note) => note.id)).toEqual(['local-1', 7, 8]);
+    expect(notes[1]).toEqual({
+      id: 7, title: 'Plan', content: 'first', version: 3, updated_at: QUEUED_AT, pending: true, conflict: false
+    });
+  });
+
+  test('hides queued deletes and flags parked conflicts', () => {
+    const notes = applyOutbox(serverNotes, [
+      { ...serverUpdate, conflict: true },
+      { seq: 3, type: 'delete', noteId: 8, queuedAt: QUEUED_AT }
+    ]);
+    expect(notes.map((note) => note.id)).toEqual([7]);
+    expect(notes[0].conflict).toBe(true);
+  });
+});
+
+describe('planEnqueue', () => {
+  test('folds an edit of an unsent note into its create', () => {
+    const plan = planEnqueue([localCreate], {
+      type: 'update', noteId: 'local-1', payload: { content: 'two', version: 1 }, queuedAt: LATER
+    });
+    expect(plan.remove).toEqual([]);
+    expect(plan.add).toBeNull();
+    expect(plan.put).toEqual([{
+      ...localCreate,
+      payload: { title: 'Draft', content: 'two' },
+      note: { ...localCreate.note, content: 'two', updated_at: LATER }
+    }]);
+  });
+
+  test('folds repeated edits into one update based on the first version', () => {
+    const plan = planEnqueue([serverUpdate], {
+      type: 'update', noteId: 7, payload: { title: 'Plan', content: 'second', version: 4 }, queuedAt: LATER
+    });
+    expect(plan.add).toBeNull();
+    expect(plan.put).toEqual([{
+      ...serverUpdate, payload: { title: 'Plan', content: 'second', version: 3 }, queuedAt: LATER
+    }]);
+  });
+
+  test('does not fold into an edit parked as a conflict', () => {
+    const mutation = { type: 'update', noteId: 7, payload: { content: 'again', version: 3 }, queuedAt: LATER };
+    expect(planEnqueue([{ ...serverUpdate, conflict: true }], mutation)).toEqual({ put: [], remove: [], add: mutation });
+  });
+
+  test('drops everything queued for an unsent note when it is deleted', () => {
+    const plan = planEnqueue([localCreate, serverUpdate], { type: 'delete', noteId: 'local-1', queuedAt: LATER });
+    expect(plan).toEqual({ put: [], remove: [1], add: null });
+  });
+
+  test('replaces queued edits of a server note with its delete', () => {
+    const mutation = { type: 'delete', noteId: 7, queuedAt: LATER };
+    expect(planEnqueue([localCreate, serverUpdate], mutation)).toEqual({ put: [], remove: [2], add: mutation });
+  });
+
+  test('appends mutations with nothing to fold into', () => {
+    const mutation = { type: 'update', noteId: 9, payload: { content: 'x', version: 2 }, queuedAt: LATER };
+    expect(planEnqueue([localCreate, serverUpdate], mutation)).toEqual({ put: [], remove: [], add: mutation });
+  });
+});
+
+describe('planRemap', () => {
+  const saved = { id: 42, title: 'Draft', content: 'one', tags: '', is_public: false, version: 1 };
+
+  test('removes the create once the server has saved it unchanged', () => {
+    expect(planRemap([localCreate], localCreate, saved)).toEqual({ put: [], remove: [1], add: null });
+  });
+
+  test('turns edits made while the create was in flight into an update of the server note', () => {
+    const edited = { ...localCreate, payload: { title: 'Draft', content: 'two' } };
+    expect(planRemap([edited], localCreate, saved)).toEqual({
+      put: [{
+        seq: 1,
+        type: 'update',
+        noteId: 42,
+        payload: { title: 'Draft', content: 'two', version: 1 },
+        base: { title: 'Draft', content: 'one', tags: '', is_public: false, version: 1 },
+        queuedAt: QUEUED_AT
+      }],
+      remove: [],
+      add: null
+    });
+  });
+
+  test('queues a delete of the server note when the note was deleted while in flight', () => {
+    const plan = planRemap([], localCreate, saved);
+    expect(plan.put).toEqual([]);
+    expect(plan.remove).toEqual([]);
+    expect(plan.add).toMatchObject({ type: 'delete', noteId: 42 });
+  });
+
+  test('points other entries for the local id at the server id', () => {
+    const parked = { seq: 5, type: 'update', noteId: 'local-1', payload: { content: 'x' }, conflict: true, queuedAt: LATER };
+    const other = { seq: 6, type: 'update', noteId: 9, payload: { content: 'y', version: 2 }, queuedAt: LATER };
+    const plan = planRemap([localCreate, parked, other], localCreate, saved);
+    expect(plan.remove).toEqual([1]);
+    expect(plan.put).toEqual([{ ...parked, noteId: 42, payload: { content: 'x', version: 1 } }]);
+  });
+});
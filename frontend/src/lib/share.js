@@ -0,0 +1,33 @@
+// Turns what another app shared with us (PWA share target: /share?title=&text=&url=) into a note.
+
+const MAX_TITLE_LENGTH = 80;
+
+const firstLine = (text) => text.split('\n').map((line) => line.trim()).find(Boolean) || '';
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {{ title: string, content: string }|null} null when nothing usable was shared
+ */
+export const sharedNoteFromParams = (params) => {
+  const title = (params.get('title') || '').trim();
+  const text = (params.get('text') || '').trim();
+  const url = (params.get('url') || '').trim();
+  if (!title && !text && !url) return null;
+
+  // Many apps put the link inside `text` rather than `url`
+  const content = [text, url && !text.includes(url) ? url : ''].filter(Boolean).join('\n\n') || title;
+  return {
+    title: truncate(title || firstLine(text) || hostOf(url) || 'Shared note', MAX_TITLE_LENGTH),
+    content
+  };
+};
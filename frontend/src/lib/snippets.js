@@ -0,0 +1,94 @@
+// Search result snippets: pick the part of a note where the query terms
+// cluster, split text into highlighted/plain runs, and find a matched chunk
+// again inside the note's raw content.
+
+const SNIPPET_LENGTH = 160;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Lower-cased, de-duplicated words of a query, without surrounding punctuation */
+export const searchTerms = (query) => [...new Set(
+  (query || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .map((word) => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter((word) => word.length > 1)
+)];
+
+// Longest terms first so "notebook" wins over "note" at the same position
+const termsPattern = (terms) => (
+  terms.length
+    ? new RegExp(`(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})`, 'gi')
+    : null
+);
+
+/**
+ * A window of `text` around the densest cluster of matched terms, with ellipses where it was cut.
+ * @param {string} text
+ * @param {string[]} terms
+ * @param {number} [length]
+ */
+export const makeSnippet = (text, terms, length = SNIPPET_LENGTH) => {
+  if (text.length <= length) return text;
+  const pattern = termsPattern(terms);
+  const matches = pattern ? [...text.matchAll(pattern)] : [];
+  if (!matches.length) return `${text.slice(0, length).trimEnd()}…`;
+
+  // Window that starts at a match and covers the most distinct terms
+  let best = matches[0];
+  let bestScore = 0;
+  matches.forEach((match) => {
+    const found = new Set(
+      matches
+        .filter((other) => other.index >= match.index && other.index < match.index + length)
+        .map((other) => other[0].toLowerCase())
+    );
+    if (found.size > bestScore) {
+      best = match;
+      bestScore = found.size;
+    }
+  });
+
+  // Keep a little lead-in before the first match, starting on a word boundary
+  let start = Math.max(0, best.index - Math.floor(length / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < best.index) start = space + 1;
+  }
+  const end = Math.min(text.length, start + length);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+};
+
+/** @returns {{ text: string, match: boolean }[]} */
+export const highlightParts = (text, terms) => {
+  const pattern = termsPattern(terms);
+  if (!pattern) return [{ text, match: false }];
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+/**
+ * Character range of a matched chunk inside the note's content. Chunks are built from
+ * "title. content" split on sentences, so fall back to the longest sentence that is
+ * found verbatim, and finally to the first query term.
+ * @returns {{ start: number, end: number } | null}
+ */
+export const locatePassage = (content, passage, terms = []) => {
+  const lower = content.toLowerCase();
+  const sentences = passage.split(/(?<=[.!?])\s+/).sort((a, b) => b.length - a.length);
+  const candidates = [passage, ...sentences]
+    .map((candidate) => candidate.trim().replace(/\.$/, ''))
+    .filter((candidate) => candidate.length > 3);
+
+  for (const candidate of candidates) {
+    const start = lower.indexOf(candidate.toLowerCase());
+    if (start !== -1) return { start, end: start + candidate.length };
+  }
+  for (const term of terms) {
+    const start = lower.indexOf(term);
+    if (start !== -1) return { start, end: start + term.length };
+  }
+  return null;
+};
@@ -0,0 +1,65 @@
+import { highlightParts, locatePassage, makeSnippet, searchTerms } from './snippets';
+
+test('searchTerms lower-cases, trims punctuation and drops duplicates and one-letter words', () => {
+  expect(searchTerms('  "Budget", budget a Q3-plan! ')).toEqual(['budget', 'q3-plan']);
+  expect(searchTerms('')).toEqual([]);
+});
+
+describe('makeSnippet', () => {
+  const filler = 'lorem ipsum dolor sit amet '.repeat(10);
+
+  test('returns short text unchanged', () => {
+    expect(makeSnippet('A short note', ['note'])).toBe('A short note');
+  });
+
+  test('cuts a window around the matched terms, with ellipses on both sides', () => {
+    const text = `${filler}the quarterly budget review ${filler}`;
+    const snippet = makeSnippet(text, ['budget'], 60);
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('budget');
+  });
+
+  test('prefers the place where the most distinct terms cluster', () => {
+    const text = `budget ${filler}budget meeting ${filler}`;
+    expect(makeSnippet(text, ['budget', 'meeting'], 60)).toContain('budget meeting');
+  });
+
+  test('starts at the beginning when no term matches', () => {
+    expect(makeSnippet(filler, ['missing'], 20)).toBe('lorem ipsum dolor si…');
+  });
+});
+
+describe('highlightParts', () => {
+  test('splits the text into matched and plain runs, ignoring case', () => {
+    expect(highlightParts('Notebook notes', ['note', 'notebook'])).toEqual([
+      { text: 'Notebook', match: true },
+      { text: ' ', match: false },
+      { text: 'note', match: true },
+      { text: 's', match: false }
+    ]);
+  });
+
+  test('is one plain run without terms', () => {
+    expect(highlightParts('text', [])).toEqual([{ text: 'text', match: false }]);
+  });
+});
+
+describe('locatePassage', () => {
+  const content = 'Intro line.\n\nThe launch moved to March. Marketing needs the new date.';
+
+  test('finds the passage in the content', () => {
+    expect(locatePassage(content, 'The launch moved to March')).toEqual({ start: 13, end: 38 });
+  });
+
+  test('falls back to the longest sentence found verbatim', () => {
+    const chunk = 'Plan. Marketing needs the new date. Something that is not in the note.';
+    const range = locatePassage(content, chunk);
+    expect(content.slice(range.start, range.end)).toBe('Marketing needs the new date');
+  });
+
+  test('falls back to the first query term, then to nothing', () => {
+    expect(locatePassage(content, 'unrelated chunk', ['march'])).toEqual({ start: 33, end: 38 });
+    expect(locatePassage(content, 'unrelated chunk', ['absent'])).toBeNull();
+  });
+});
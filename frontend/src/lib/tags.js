@@ -0,0 +1,50 @@
+// Notes keep their tags in one comma-separated string. These helpers mirror the
+// server's normalization (lower-case, single-spaced, de-duplicated, joined by ", ")
+// so chips, filters and counts agree with what GET /notes?tags= matches.
+
+export const TAG_SEPARATOR = ', ';
+
+export const normalizeTag = (tag) => tag.replace(/,/g, ' ').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/** @returns {string[]} */
+export const parseTags = (raw) => {
+  const tags = [];
+  (raw || '').split(',').forEach((part) => {
+    const tag = normalizeTag(part);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+};
+
+/** @param {string[]} tags */
+export const formatTags = (tags) => parseTags(tags.join(',')).join(TAG_SEPARATOR);
+
+// Swap one tag for another; if the note already has `to` the two collapse into one (a merge)
+export const replaceTag = (raw, from, to) => formatTags(parseTags(raw).map((tag) => (tag === from ? to : tag)));
+
+export const addTags = (raw, tags) => formatTags([...parseTags(raw), ...tags]);
+
+export const removeTags = (raw, tags) => {
+  const removed = new Set(tags.map(normalizeTag));
+  return formatTags(parseTags(raw).filter((tag) => !removed.has(tag)));
+};
+
+/** @returns {{ name: string, count: number }[]} */
+export const countTags = (notes) => {
+  const counts = new Map();
+  notes.forEach((note) => {
+    parseTags(note.tags).forEach((tag) => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Predicate for the sidebar filter: 'and' needs every selected tag, 'or' any of them
+export const matchesTags = (selected, mode) => (note) => {
+  if (!selected.length) return true;
+  const tags = parseTags(note.tags);
+  return mode === 'or'
+    ? selected.some((tag) => tags.includes(tag))
+    : selected.every((tag) => tags.includes(tag));
+};
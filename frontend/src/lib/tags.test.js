@@ -0,0 +1,63 @@
+import { addTags, countTags, formatTags, matchesTags, normalizeTag, parseTags, removeTags, replaceTag } from './tags';
+
+describe('parseTags', () => {
+  test('normalizes case and spacing and drops duplicates and empty entries', () => {
+    expect(parseTags(' Work,  side   project ,work,, ')).toEqual(['work', 'side project']);
+  });
+
+  test('is empty for a note without tags', () => {
+    expect(parseTags(null)).toEqual([]);
+    expect(parseTags('')).toEqual([]);
+  });
+});
+
+test('normalizeTag turns commas into spaces so a tag cannot split in two', () => {
+  expect(normalizeTag(' Read,Later ')).toBe('read later');
+});
+
+test('formatTags joins normalized tags the way the server stores them', () => {
+  expect(formatTags(['Ideas', 'ideas', ' to  do'])).toBe('ideas, to do');
+});
+
+describe('replaceTag', () => {
+  test('renames a tag in place', () => {
+    expect(replaceTag('work, urgent, home', 'urgent', 'soon')).toBe('work, soon, home');
+  });
+
+  test('merges into a tag the note already has', () => {
+    expect(replaceTag('work, job', 'job', 'work')).toBe('work');
+  });
+});
+
+describe('addTags and removeTags', () => {
+  test('add only the tags a note does not have yet', () => {
+    expect(addTags('work, home', ['Home', 'later'])).toBe('work, home, later');
+  });
+
+  test('remove tags however they were typed', () => {
+    expect(removeTags('work, home, later', [' HOME', 'missing'])).toBe('work, later');
+  });
+});
+
+test('countTags counts each tag once per note, sorted by name', () => {
+  const notes = [{ tags: 'work, home' }, { tags: 'Work' }, { tags: null }];
+  expect(countTags(notes)).toEqual([{ name: 'home', count: 1 }, { name: 'work', count: 2 }]);
+});
+
+describe('matchesTags', () => {
+  const note = { tags: 'work, urgent' };
+
+  test('needs every selected tag in AND mode', () => {
+    expect(matchesTags(['work', 'urgent'], 'and')(note)).toBe(true);
+    expect(matchesTags(['work', 'home'], 'and')(note)).toBe(false);
+  });
+
+  test('needs any selected tag in OR mode', () => {
+    expect(matchesTags(['home', 'urgent'], 'or')(note)).toBe(true);
+    expect(matchesTags(['home'], 'or')(note)).toBe(false);
+  });
+
+  test('matches everything when no tag is selected', () => {
+    expect(matchesTags([], 'and')({ tags: '' })).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+// Task list items gathered from every note for the tasks view. A task can carry a due date
+// anywhere in its text as "@due(2026-11-01)".
+import { extractTasks } from './markdown';
+import { parseTags } from './tags';
+import { toDateKey } from './templates';
+
+const DUE_PATTERN = /@due\((\d{4}-\d{2}-\d{2})\)/i;
+
+export const STATUS_FILTERS = [
+  { value: 'open', label: 'Open', matches: (task) => !task.done },
+  { value: 'overdue', label: 'Overdue', matches: (task) => task.overdue },
+  { value: 'done', label: 'Done', matches: (task) => task.done },
+  { value: 'all', label: 'All', matches: () => true }
+];
+
+export const GROUPINGS = [
+  { value: 'note', label: 'Note' },
+  { value: 'tag', label: 'Tag' },
+  { value: 'due', label: 'Due date' }
+];
+
+/** Local midnight of a YYYY-MM-DD due date */
+export const dueDate = (due) => new Date(`${due}T00:00:00`);
+
+/**
+ * @param {Array<import('../api/client').Note>} notes
+ * @param {string} [today] YYYY-MM-DD; open tasks due before it are overdue
+ * @returns {Array<{ id: string, note: object, index: number, done: boolean, text: string, label: string, due: string|null, overdue: boolean }>}
+ *   `text` is the raw item text, `label` the same without the due marker
+ */
+export const collectTasks = (notes, today = toDateKey(new Date())) => notes.flatMap((note) => (
+  extractTasks(note.content).map((task) => {
+    const due = DUE_PATTERN.exec(task.text)?.[1] || null;
+    return {
+      ...task,
+      id: `${note.id}:${task.index}`,
+      note,
+      label: task.text.replace(DUE_PATTERN, '').replace(/\s+/g, ' ').trim(),
+      due,
+      overdue: !task.done && due !== null && due < today
+    };
+  })
+));
+
+// Undated last
+const byDue = (a, b) => (a.due || '9999').localeCompare(b.due || '9999');
+
+/**
+ * Tasks in groups for display, keeping each note's tasks in document order. By tag, a task shows
+ * under every tag of its note.
+ * @param {'note'|'tag'|'due'} by
+ * @returns {Array<{ key: string, label: string, tasks: Array<object> }>}
+ */
+export const groupTasks = (tasks, by) => {
+  const groups = new Map();
+  const add = (key, label, task) => {
+    if (!groups.has(key)) groups.set(key, { key, label, tasks: [] });
+    groups.get(key).tasks.push(task);
+  };
+
+  tasks.forEach((task) => {
+    if (by === 'note') {
+      add(task.note.id, task.note.title, task);
+    } else if (by === 'tag') {
+      const tags = parseTags(task.note.tags);
+      if (!tags.length) add('', 'Untagged', task);
+      tags.forEach((tag) => add(tag, tag, task));
+    } else {
+      add(task.due || '', task.due || 'No due date', task);
+    }
+  });
+
+  const list = [...groups.values()];
+  if (by === 'note') return list;
+  // Untagged / undated last
+  list.sort((a, b) => (!a.key - !b.key) || a.key.localeCompare(b.key));
+  if (by === 'tag') list.forEach((group) => group.tasks.sort(byDue));
+  return list;
+};
+
+/**
+ * The same task in a newer version of its note: an item with the same text, the one nearest its
+ * old position if the text repeats. Null when it was edited or removed.
+ */
+export const findTask = (content, task) => {
+  const candidates = extractTasks(content).filter((item) => item.text === task.text);
+  if (!candidates.length) return null;
+  return candidates.reduce((best, item) => (
+    Math.abs(item.index - task.index) < Math.abs(best.index - task.index) ? item : best
+  ));
+};
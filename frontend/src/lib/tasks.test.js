@@ -0,0 +1,83 @@
+import { STATUS_FILTERS, collectTasks, findTask, groupTasks } from './tasks';
+
+// The client reads Vite's import.meta.env, which Jest cannot parse; tasks never reach it
+jest.mock('../api/client', () => ({ attachmentsApi: { url: (path) => path } }));
+
+const TODAY = '2026-06-15';
+
+const notes = [
+  {
+    id: 1,
+    title: 'Work',
+    tags: 'work',
+    content: '- [ ] ship release @due(2026-06-10)\n- [x] write notes @due(2026-06-01)\n```\n- [ ] not a task\n```\n- [ ] plan next @due(2026-07-01)'
+  },
+  { id: 2, title: 'Home', tags: '', content: 'Shopping\n\n- [ ] milk\n* [X] bread' }
+];
+
+const byStatus = (value) => STATUS_FILTERS.find((filter) => filter.value === value).matches;
+
+describe('collectTasks', () => {
+  const tasks = collectTasks(notes, TODAY);
+
+  test('finds every task outside code blocks', () => {
+    expect(tasks.map((task) => task.id)).toEqual(['1:0', '1:1', '1:2', '2:0', '2:1']);
+    expect(tasks.map((task) => task.done)).toEqual([false, true, false, false, true]);
+  });
+
+  test('reads the due date and drops it from the label', () => {
+    expect(tasks[0]).toMatchObject({ text: 'ship release @due(2026-06-10)', label: 'ship release', due: '2026-06-10' });
+    expect(tasks[3]).toMatchObject({ label: 'milk', due: null });
+  });
+
+  test('marks only open tasks due before today as overdue', () => {
+    expect(tasks.filter((task) => task.overdue).map((task) => task.id)).toEqual(['1:0']);
+    expect(tasks.filter(byStatus('overdue'))).toHaveLength(1);
+    expect(tasks.filter(byStatus('open'))).toHaveLength(3);
+    expect(tasks.filter(byStatus('done'))).toHaveLength(2);
+  });
+});
+
+describe('groupTasks', () => {
+  const tasks = collectTasks(notes, TODAY);
+  const summary = (groups) => groups.map((group) => [group.label, group.tasks.map((task) => task.id)]);
+
+  test('groups by note in document order', () => {
+    expect(summary(groupTasks(tasks, 'note'))).toEqual([
+      ['Work', ['1:0', '1:1', '1:2']],
+      ['Home', ['2:0', '2:1']]
+    ]);
+  });
+
+  test('groups by tag with untagged notes last', () => {
+    expect(summary(groupTasks(tasks, 'tag'))).toEqual([
+      ['work', ['1:1', '1:0', '1:2']],
+      ['Untagged', ['2:0', '2:1']]
+    ]);
+  });
+
+  test('groups by due date with undated tasks last', () => {
+    expect(summary(groupTasks(tasks, 'due'))).toEqual([
+      ['2026-06-01', ['1:1']],
+      ['2026-06-10', ['1:0']],
+      ['2026-07-01', ['1:2']],
+      ['No due date', ['2:0', '2:1']]
+    ]);
+  });
+});
+
+describe('findTask', () => {
+  test('follows a task that moved in a newer version', () => {
+    const [task] = collectTasks([{ id: 1, content: '- [ ] a\n- [ ] b' }], TODAY).filter((item) => item.text === 'b');
+    expect(findTask('- [ ] new\n- [ ] a\n- [ ] b', task)).toMatchObject({ index: 2, text: 'b' });
+  });
+
+  test('picks the nearest of repeated items', () => {
+    const task = { index: 2, text: 'x' };
+    expect(findTask('- [ ] x\n- [ ] y\n- [ ] z\n- [ ] x', task).index).toBe(3);
+  });
+
+  test('is null once the task was edited away', () => {
+    expect(findTask('- [ ] something else', { index: 0, text: 'b' })).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+// Note templates and daily notes.
+//
+// A template's title and content may contain placeholders, filled in when a note is created from it:
+//   {{date}}    the note's date as YYYY-MM-DD (the day itself for a daily note)
+//   {{time}}    the current time as HH:MM
+//   {{title}}   the new note's title (content only)
+//   {{cursor}}  where the caret starts in the editor; removed from the text
+// Daily notes are ordinary notes titled by their date, e.g. "2026-10-19".
+
+export const CURSOR_MARKER = '{{cursor}}';
+
+const PLACEHOLDER = /\{\{\s*(date|time|title)\s*\}\}/gi;
+const DATE_TITLE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/** Local calendar date as YYYY-MM-DD */
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const dailyNoteTitle = (date) => toDateKey(date);
+
+/** @returns {Date|null} Local midnight of the day a daily note is for, or null for any other title */
+export const parseDailyTitle = (title) => {
+  const match = DATE_TITLE.exec((title || '').trim());
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Rejects dates that roll over, like 2026-02-30
+  return toDateKey(date) === match[0] ? date : null;
+};
+
+export const shiftDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Unknown placeholders are left as they are
+const fill = (text, values) => text.replace(PLACEHOLDER, (match, name) => values[name.toLowerCase()] ?? match);
+
+/**
+ * Fields for a new note created from a template.
+ * @param {import('../api/client').Template|null} template
+ * @param {{ date?: Date, now?: Date, title?: string }} [options] `date` defaults to today; `title` replaces
+ *   the template's own title (daily notes are always titled by their date)
+ * @returns {{ title: string, content: string, tags: string, is_public: boolean, cursor: number|null }}
+ *   `cursor` is the caret's offset in `content`, null without a {{cursor}} marker
+ */
+export const applyTemplate = (template, { date, now = new Date(), title } = {}) => {
+  const values = { date: toDateKey(date || now), time: `${pad(now.getHours())}:${pad(now.getMinutes())}` };
+  const noteTitle = title ?? fill(template?.title || '', { ...values, title: '' }).split(CURSOR_MARKER).join('').trim();
+  const content = fill(template?.content || '', { ...values, title: noteTitle });
+  const cursor = content.indexOf(CURSOR_MARKER);
+  return {
+    title: noteTitle,
+    content: content.split(CURSOR_MARKER).join(''),
+    tags: template?.tags || '',
+    is_public: Boolean(template?.is_public),
+    cursor: cursor === -1 ? null : cursor
+  };
+};
+
+// Offered when the library is empty
+export const STARTER_TEMPLATES = [
+  {
+    name: 'Meeting notes',
+    title: 'Meeting {{date}}',
+    content: '# {{title}}\n\n**Attendees:** \n\n## Agenda\n\n- {{cursor}}\n\n## Notes\n\n\n## Action items\n\n- [ ] ',
+    tags: 'meeting',
+    is_public: false,
+    is_daily: false
+  },
+  {
+    name: 'Standup',
+    title: 'Standup {{date}}',
+    content: '## Yesterday\n\n- {{cursor}}\n\n## Today\n\n- \n\n## Blockers\n\n- None',
+    tags: 'standup',
+    is_public: false,
+    is_daily: false
+  },
+  {
+    name: 'Incident postmortem',
+    title: 'Postmortem: ',
+    content: '# {{title}}\n\n**Date:** {{date}}\n**Severity:** \n\n## Summary\n\n{{cursor}}\n\n## Timeline\n\n- {{time}} \n\n'
+      + '## Root cause\n\n\n## Impact\n\n\n## What went well\n\n\n## What went wrong\n\n\n## Action items\n\n- [ ] ',
+    tags: 'incident, postmortem',
+    is_public: false,
+    is_daily: false
+  },
+  {
+    name: 'Daily note',
+    title: '{{date}}',
+    content: '# {{date}}\n\n## Focus\n\n- {{cursor}}\n\n## Tasks\n\n- [ ] \n\n## Log\n\n',
+    tags: 'daily',
+    is_public: false,
+    is_daily: true
+  }
+];
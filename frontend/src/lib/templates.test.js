@@ -0,0 +1,66 @@
+import { applyTemplate, dailyNoteTitle, parseDailyTitle, shiftDays, toDateKey } from './templates';
+
+// Local times, so the tests hold in any time zone
+const NOW = new Date(2026, 9, 19, 9, 5);
+
+describe('applyTemplate', () => {
+  const template = {
+    title: 'Meeting {{date}}',
+    content: '# {{title}}\n\nStarted {{ TIME }}\n\n- {{cursor}}\n\n{{unknown}}',
+    tags: 'meeting',
+    is_public: true
+  };
+
+  test('fills in the placeholders and finds the cursor', () => {
+    const note = applyTemplate(template, { now: NOW });
+    expect(note.title).toBe('Meeting 2026-10-19');
+    expect(note.content).toBe('# Meeting 2026-10-19\n\nStarted 09:05\n\n- \n\n{{unknown}}');
+    expect(note.cursor).toBe(note.content.indexOf('- ') + 2);
+    expect(note.tags).toBe('meeting');
+    expect(note.is_public).toBe(true);
+  });
+
+  test('uses the given date and title', () => {
+    const note = applyTemplate(template, { now: NOW, date: new Date(2026, 0, 2), title: '2026-01-02' });
+    expect(note.title).toBe('2026-01-02');
+    expect(note.content.startsWith('# 2026-01-02\n')).toBe(true);
+  });
+
+  test('starts a blank private note without a template', () => {
+    expect(applyTemplate(null, { now: NOW })).toEqual({ title: '', content: '', tags: '', is_public: false, cursor: null });
+  });
+});
+
+describe('daily note titles', () => {
+  test('pad the month and day', () => {
+    expect(dailyNoteTitle(new Date(2026, 2, 7))).toBe('2026-03-07');
+  });
+
+  test('parse back to local midnight of that day', () => {
+    expect(parseDailyTitle(' 2026-03-07 ')).toEqual(new Date(2026, 2, 7));
+  });
+
+  test('reject other titles and dates that do not exist', () => {
+    expect(parseDailyTitle('Meeting 2026-03-07')).toBeNull();
+    expect(parseDailyTitle('2026-02-30')).toBeNull();
+    expect(parseDailyTitle(null)).toBeNull();
+  });
+});
+
+describe('shiftDays', () => {
+  test('crosses month and year boundaries', () => {
+    expect(toDateKey(shiftDays(new Date(2026, 0, 31), 1))).toBe('2026-02-01');
+    expect(toDateKey(shiftDays(new Date(2026, 0, 1), -1))).toBe('2025-12-31');
+  });
+
+  test('handles leap days', () => {
+    expect(toDateKey(shiftDays(new Date(2028, 1, 28), 1))).toBe('2028-02-29');
+    expect(toDateKey(shiftDays(new Date(2027, 1, 28), 1))).toBe('2027-03-01');
+  });
+
+  test('keeps the calendar day across daylight saving changes', () => {
+    const start = new Date(2026, 2, 28);
+    expect(toDateKey(shiftDays(start, 2))).toBe('2026-03-30');
+    expect(shiftDays(start, 2).getHours()).toBe(0);
+  });
+});
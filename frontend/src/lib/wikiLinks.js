@@ -0,0 +1,99 @@
+// [[Note Title]] / [[Note Title|label]] links between notes. Titles match the
+// way the server matches them: case-insensitive, whitespace collapsed.
+
+import { parseTags } from './tags';
+
+const WIKI_LINK_SOURCE = '\\[\\[([^\\[\\]|\\n]+)(?:\\|([^\\[\\]\\n]*))?\\]\\]';
+// Anchored version for the Markdown tokenizer
+export const WIKI_LINK_RULE = new RegExp(`^${WIKI_LINK_SOURCE}`);
+
+export const normalizeTitle = (title) => title.trim().replace(/\s+/g, ' ').toLowerCase();
+
+/** @returns {Set<string>} normalized titles linked from `content` */
+export const extractLinkTitles = (content) => new Set(
+  Array.from((content || '').matchAll(new RegExp(WIKI_LINK_SOURCE, 'g')), (match) => normalizeTitle(match[1]))
+);
+
+// Point links to `oldTitle` at `newTitle`, keeping any custom label
+export const renameLinks = (content, oldTitle, newTitle) => {
+  const target = normalizeTitle(oldTitle);
+  return content.replace(new RegExp(WIKI_LINK_SOURCE, 'g'), (match, title, label) => {
+    if (normalizeTitle(title) !== target) return match;
+    return label === undefined ? `[[${newTitle}]]` : `[[${newTitle}|${label}]]`;
+  });
+};
+
+/**
+ * The `[[partial title` being typed just before the caret, if any.
+ * @returns {{ start: number, query: string } | null} `start` is the index right after "[["
+ */
+export const linkQueryAt = (text, caret) => {
+  const before = text.slice(0, caret);
+  const open = before.lastIndexOf('[[');
+  if (open === -1) return null;
+  const query = before.slice(open + 2);
+  if (/[\][|\n]/.test(query)) return null;
+  return { start: open + 2, query };
+};
+
+/** Title -> note lookup; with duplicate titles the oldest note wins (as on the server) */
+export const buildTitleIndex = (nodes) => {
+  const index = new Map();
+  [...nodes]
+    .sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0))
+    .forEach((node) => {
+      const key = normalizeTitle(node.title);
+      if (!index.has(key)) index.set(key, node);
+    });
+  return index;
+};
+
+/**
+ * Same shape as GET /graph, computed from whatever notes are available locally
+ * @returns {{ nodes: Array<{ id: string, title: string, tags: string, created_at: string }>, links: Array<{ source: string, target: string }> }}
+ */
+export const buildGraph = (notes) => {
+  const index = buildTitleIndex(notes);
+  const links = [];
+  notes.forEach((note) => {
+    extractLinkTitles(note.content).forEach((title) => {
+      const target = index.get(title);
+      if (target && target.id !== note.id) links.push({ source: note.id, target: target.id });
+    });
+  });
+  return {
+    nodes: notes.map(({ id, title, tags, created_at }) => ({ id, title, tags: tags || '', created_at })),
+    links
+  };
+};
+
+// Edges between notes that share a tag. Large tag groups are chained rather than fully
+// connected so one popular tag does not add thousands of edges.
+const FULLY_CONNECTED_LIMIT = 8;
+
+export const sharedTagLinks = (nodes) => {
+  const groups = new Map();
+  nodes.forEach((node) => {
+    parseTags(node.tags).forEach((tag) => {
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(node.id);
+    });
+  });
+
+  const seen = new Set();
+  const links = [];
+  const add = (source, target) => {
+    const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push({ source, target });
+  };
+  groups.forEach((ids) => {
+    if (ids.length <= FULLY_CONNECTED_LIMIT) {
+      ids.forEach((source, i) => ids.slice(i + 1).forEach((target) => add(source, target)));
+    } else {
+      ids.slice(1).forEach((target, i) => add(ids[i], target));
+    }
+  });
+  return links;
+};
@@ -0,0 +1,63 @@
+import { buildGraph, buildTitleIndex, extractLinkTitles, linkQueryAt, renameLinks, sharedTagLinks } from './wikiLinks';
+
+test('extractLinkTitles collects normalized titles, with or without a label', () => {
+  const content = 'See [[Project  Plan]] and [[budget|the numbers]], again [[project plan]]. Not [[ ]] or [[a\nb]].';
+  expect([...extractLinkTitles(content)]).toEqual(['project plan', 'budget', '']);
+});
+
+test('renameLinks retargets matching links and keeps their labels', () => {
+  const content = '[[Old Name]], [[old name|label]] and [[Other]]';
+  expect(renameLinks(content, 'old  name', 'New Name')).toBe('[[New Name]], [[New Name|label]] and [[Other]]');
+});
+
+describe('linkQueryAt', () => {
+  test('returns the partial title typed after an open [[', () => {
+    expect(linkQueryAt('See [[Proj', 10)).toEqual({ start: 6, query: 'Proj' });
+  });
+
+  test('is null outside an open link', () => {
+    expect(linkQueryAt('See [[Proj]] now', 16)).toBeNull();
+    expect(linkQueryAt('No link here', 5)).toBeNull();
+    expect(linkQueryAt('[[line\nbreak', 12)).toBeNull();
+  });
+});
+
+test('buildTitleIndex resolves duplicate titles to the oldest note', () => {
+  const index = buildTitleIndex([
+    { id: 'new', title: 'Plan', created_at: '2026-02-01' },
+    { id: 'old', title: 'plan', created_at: '2026-01-01' }
+  ]);
+  expect(index.get('plan').id).toBe('old');
+});
+
+test('buildGraph links notes to the notes they mention, skipping self-links and unknown titles', () => {
+  const notes = [
+    { id: 'a', title: 'A', content: '[[B]] [[A]] [[Missing]]', tags: 'x', created_at: '2026-01-01' },
+    { id: 'b', title: 'B', content: '', tags: null, created_at: '2026-01-02' }
+  ];
+  expect(buildGraph(notes)).toEqual({
+    nodes: [
+      { id: 'a', title: 'A', tags: 'x', created_at: '2026-01-01' },
+      { id: 'b', title: 'B', tags: '', created_at: '2026-01-02' }
+    ],
+    links: [{ source: 'a', target: 'b' }]
+  });
+});
+
+describe('sharedTagLinks', () => {
+  test('connects every pair of notes in a small tag group, once', () => {
+    const nodes = [{ id: 'a', tags: 'x, y' }, { id: 'b', tags: 'x, y' }, { id: 'c', tags: 'x' }];
+    expect(sharedTagLinks(nodes)).toEqual([
+      { source: 'a', target: 'b' },
+      { source: 'a', target: 'c' },
+      { source: 'b', target: 'c' }
+    ]);
+  });
+
+  test('chains large groups instead of connecting them fully', () => {
+    const nodes = Array.from({ length: 10 }, (_, i) => ({ id: `n${i}`, tags: 'popular' }));
+    const links = sharedTagLinks(nodes);
+    expect(links).toHaveLength(9);
+    expect(links[0]).toEqual({ source: 'n0', target: 'n1' });
+  });
+});
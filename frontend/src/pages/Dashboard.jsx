@@ -0,0 +1,1521 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { Search, Plus, Trash2, Tag, Brain, Filter, BarChart3, ArrowUpDown, ArrowUp, ArrowDown, History, MessageSquare, Download, Network, Link2, Upload, Keyboard, FileText, LogOut, Lock, Unlock, CalendarDays, LayoutTemplate, CheckSquare } from 'lucide-react';
+import AttachmentList from '../components/AttachmentList.jsx';
+import BulkActionBar from '../components/BulkActionBar.jsx';
+import ChatPanel from '../components/ChatPanel.jsx';
+import CommandPalette from '../components/CommandPalette.jsx';
+import ConflictResolver from '../components/ConflictResolver.jsx';
+import DailyNoteNav from '../components/DailyNoteNav.jsx';
+import DraftNotice from '../components/DraftNotice.jsx';
+import EncryptionDialog from '../components/EncryptionDialog.jsx';
+import GraphView from '../components/GraphView.jsx';
+import ImportExportDialog from '../components/ImportExportDialog.jsx';
+import MarkdownEditor from '../components/MarkdownEditor.jsx';
+import { NoteLinksContext } from '../components/NoteLinksContext.jsx';
+import NoteCard from '../components/NoteCard.jsx';
+import NotesGrid from '../components/NotesGrid.jsx';
+import RelatedNotes from '../components/RelatedNotes.jsx';
+import RemoteChangeNotice from '../components/RemoteChangeNotice.jsx';
+import SaveStatus from '../components/SaveStatus.jsx';
+import SearchAnalytics from '../components/SearchAnalytics.jsx';
+import SearchBar, { SEARCH_TYPES } from '../components/SearchBar.jsx';
+import SearchResults from '../components/SearchResults.jsx';
+import ShortcutsHelp, { MOD_KEY } from '../components/ShortcutsHelp.jsx';
+import SyncStatus from '../components/SyncStatus.jsx';
+import TrashView from '../components/TrashView.jsx';
+import TagInput from '../components/TagInput.jsx';
+import TagSidebar from '../components/TagSidebar.jsx';
+import TasksView from '../components/TasksView.jsx';
+import TemplateLibrary from '../components/TemplateLibrary.jsx';
+import VersionHistory from '../components/VersionHistory.jsx';
+import { useToast } from '../components/ToastProvider.jsx';
+import { useAuth } from '../components/AuthProvider.jsx';
+import { notesApi } from '../api/client';
+import useAttachments from '../hooks/useAttachments';
+import useBulkActions from '../hooks/useBulkActions';
+import useEncryption, { useEncryptionPrompt, useRevealedNotes, useSealedNotes } from '../hooks/useEncryption';
+import useOfflineNotes, { isLocalNoteId } from '../hooks/useOfflineNotes';
+import useNoteDraft from '../hooks/useNoteDraft';
+import useNoteGraph from '../hooks/useNoteGraph';
+import useNoteSearch from '../hooks/useNoteSearch';
+import useRelatedNotes from '../hooks/useRelatedNotes';
+import useNoteTasks from '../hooks/useNoteTasks';
+import useTags from '../hooks/useTags';
+import useTemplates from '../hooks/useTemplates';
+import useTrash from '../hooks/useTrash';
+import { attachmentMarkdown, removeAttachmentReferences } from '../lib/attachments';
+import { sharedNoteFromParams } from '../lib/share';
+import { locatePassage } from '../lib/snippets';
+import { addTags, matchesTags } from '../lib/tags';
+import { applyTemplate, dailyNoteTitle, parseDailyTitle } from '../lib/templates';
+import { normalizeTitle } from '../lib/wikiLinks';
+import { formatDate } from '../utils';
+
+const emptyNote = {
+  title: '',
+  content: '',
+  is_public: false,
+  is_encrypted: false,
+  encrypt_title: false,
+  tags: '',
+  version: 1
+};
+
+const SORT_OPTIONS = [
+  { value: 'updated_at', label: 'Last updated' },
+  { value: 'created_at', label: 'Created' },
+  { value: 'title', label: 'Title' },
+  { value: 'view_count', label: 'Most viewed' }
+];
+
+const VISIBILITY_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'public', label: 'Public' },
+  { value: 'private', label: 'Private' }
+];
+
+// Single-key shortcuts stay out of the way while typing
+const isTypingTarget = (target) => Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'));
+
+function Dashboard() {
+  const { id: routeNoteId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const {
+    notes,
+    loading,
+    loadingMore,
+    hasMore,
+    loadMore,
+    listQuery,
+    updateListQuery,
+    isOnline,
+    isSyncing,
+    pendingCount,
+    conflicts,
+    fetchNotes,
+    createNote: createStoredNote,
+    updateNote: updateStoredNote,
+    deleteNote: removeNote,
+    restoreNote,
+    discardOutboxEntry,
+    setPendingChanges,
+    clearPendingChanges,
+    fetchAllInView
+  } = useOfflineNotes({ onRemoteChange: (change) => setRemoteChange(change) });
+  const [saving, setSaving] = useState(false);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [editingNote, setEditingNote] = useState(null);
+  const [showAnalytics, setShowAnalytics] = useState(false);
+  const [currentNote, setCurrentNote] = useState(emptyNote);
+  const [conflict, setConflict] = useState(null);
+  const [renamingTag, setRenamingTag] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showChat, setShowChat] = useState(false);
+  // 'export' / 'import' while the import/export dialog is open
+  const [importExportTab, setImportExportTab] = useState(null);
+  const [showGraph, setShowGraph] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Card picked with j/k
+  const [activeNoteId, setActiveNoteId] = useState(null);
+  const [focusRange, setFocusRange] = useState(null);
+  // Latest change made in another tab or by another client, and the one shown over the open note
+  const [remoteChange, setRemoteChange] = useState(null);
+  const [remoteNotice, setRemoteNotice] = useState(null);
+  const toast = useToast();
+  const { user, signOut } = useAuth();
+  const encryption = useEncryption();
+  // What the grid and keyboard navigation show; `notes` keeps encrypted notes as ciphertext
+  const shownNotes = useRevealedNotes(notes, encryption);
+  const encryptionPrompt = useEncryptionPrompt(encryption);
+  const { requestEncryption } = encryptionPrompt;
+  // Every save goes through these, so encrypted notes are sealed before they are stored
+  const { createNote, updateNote } = useSealedNotes(
+    encryption,
+    { createNote: createStoredNote, updateNote: updateStoredNote },
+    requestEncryption
+  );
+
+  // Batch operations work on the stored (encrypted) copy of a note, never on a decrypted one
+  const storedNote = (note) => notes.find((item) => item.id === note.id) || note;
+
+  const { tags, refreshTags, renameTag } = useTags(notes, updateNote);
+  const { graph, titles, resolveLink, backlinksOf, findBacklinks, retargetLinks, refreshGraph } = useNoteGraph(notes, updateNote);
+
+  const search = useNoteSearch({
+    encryption,
+    notes,
+    filter: matchesTags(listQuery.tags, listQuery.tagMode),
+    onOpen: (result) => openResult(result)
+  });
+
+  const syncResultsAfterBatch = ({ deleted, updated }) => {
+    search.dropResults(deleted);
+    search.updateResults(updated);
+    refreshTags();
+    refreshGraph();
+  };
+
+  const trash = useTrash({
+    deleteNote: removeNote,
+    restoreNote,
+    onDeleted: (id) => search.dropResults([id]),
+    onChanged: () => {
+      refreshTags();
+      refreshGraph();
+    }
+  });
+
+  const tasks = useNoteTasks({
+    notes,
+    encryption,
+    updateNote,
+    onConflict: (note, mine) => openConflict(note.id, note, mine)
+  });
+
+  const bulk = useBulkActions({
+    notes,
+    updateNote,
+    deleteNote: removeNote,
+    restoreNote,
+    setPendingChanges,
+    clearPendingChanges,
+    fetchAll: fetchAllInView,
+    onSettled: syncResultsAfterBatch
+  });
+
+  // Background save while editing an existing note (opt-in); edits typed meanwhile stay in the editor
+  const autosaveNote = async () => {
+    try {
+      const result = await updateNote(editingNote, {
+        title: currentNote.title,
+        content: currentNote.content,
+        is_public: currentNote.is_public,
+        is_encrypted: currentNote.is_encrypted,
+        encrypt_title: currentNote.encrypt_title,
+        tags: currentNote.tags,
+        version: currentNote.version
+      });
+      if (result.status === 'saved') {
+        setEditingNote(result.note);
+        setCurrentNote((note) => ({ ...note, version: result.note.version }));
+        refreshTags();
+        refreshGraph();
+      }
+      return result;
+    } catch (error) {
+      console.error('Failed to autosave note:', error);
+      return { status: 'error', error };
+    }
+  };
+
+  const {
+    dirty: hasUnsavedChanges,
+    status: saveStatus,
+    offeredDraft,
+    acceptDraft,
+    discardDraft,
+    clearDraft,
+    autosave,
+    setAutosave
+  } = useNoteDraft({
+    isOpen: isModalOpen,
+    editingNote,
+    currentNote,
+    emptyNote,
+    persist: !currentNote.is_encrypted && !editingNote?.is_encrypted,
+    canAutosave: Boolean(editingNote) && !isLocalNoteId(editingNote.id) && isOnline && pendingCount === 0 && !saving,
+    onAutosave: autosaveNote
+  });
+  const {
+    attachments,
+    uploads: attachmentUploads,
+    loading: attachmentsLoading,
+    uploadFiles,
+    removeAttachment,
+    dismissUpload
+  } = useAttachments(editingNote && !isLocalNoteId(editingNote.id) ? editingNote.id : null);
+
+  // Append an attachment that is not linked from the text yet
+  const insertAttachment = (attachment) => {
+    setCurrentNote((note) => {
+      const content = note.content.trimEnd();
+      return { ...note, content: `${content}${content ? '\n\n' : ''}${attachmentMarkdown(attachment)}\n` };
+    });
+  };
+
+  // Removing the file also drops its links from the text being edited
+  const removeNoteAttachment = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.filename}? Links to it in this note are removed too.`)) return;
+    try {
+      await removeAttachment(attachment);
+      setCurrentNote((note) => ({ ...note, content: removeAttachmentReferences(note.content, attachment.id) }));
+    } catch (error) {
+      console.error('Failed to remove attachment:', error);
+    }
+  };
+
+  // Open a result; with a matched chunk the editor selects and scrolls to that passage
+  const openResult = (result, chunk = null) => {
+    setFocusRange(chunk ? locatePassage(result.note.content, chunk, search.terms) : null);
+    openModal(result.note);
+  };
+
+  // Save note (create or update); offline saves are queued and replayed later
+  const saveNote = async () => {
+    if (!currentNote.title.trim() || !currentNote.content.trim()) {
+      toast.error('Please fill in both title and content');
+      return;
+    }
+
+    // Renaming a note offers to update the [[links]] pointing at it
+    const oldTitle = editingNote?.title;
+    const renamed = editingNote && !isLocalNoteId(editingNote.id)
+      && normalizeTitle(oldTitle) !== normalizeTitle(currentNote.title);
+    let linking = [];
+
+    setSaving(true);
+    try {
+      if (renamed) {
+        try {
+          linking = await findBacklinks(editingNote);
+        } catch (error) {
+          console.error('Failed to load backlinks:', error);
+        }
+        const count = linking.length;
+        if (count && !window.confirm(`${count} ${count === 1 ? 'note links' : 'notes link'} to "${oldTitle}". Update ${count === 1 ? 'that link' : 'those links'} to the new title?`)) {
+          linking = [];
+        }
+      }
+
+      const payload = {
+        title: currentNote.title,
+        content: currentNote.content,
+        is_public: currentNote.is_public,
+        is_encrypted: currentNote.is_encrypted,
+        encrypt_title: currentNote.encrypt_title,
+        tags: currentNote.tags
+      };
+      const result = editingNote
+        ? await updateNote(editingNote, { ...payload, version: currentNote.version })
+        : await createNote(payload);
+
+      if (result.status === 'saved' || result.status === 'queued') {
+        if (result.status === 'queued') toast.info('You are offline. The note was saved on this device and will sync later.');
+        clearDraft();
+        closeModal();
+        refreshTags();
+        if (linking.length) {
+          const { updated, failed } = await retargetLinks(linking, oldTitle, currentNote.title.trim());
+          if (failed) {
+            toast.error(`Updated links in ${updated} ${updated === 1 ? 'note' : 'notes'}; ${failed} could not be updated`);
+          } else {
+            toast.success(`Updated links in ${updated} ${updated === 1 ? 'note' : 'notes'}`);
+          }
+        } else {
+          refreshGraph();
+        }
+      } else if (result.status === 'conflict') {
+        await openConflict(editingNote.id, editingNote, currentNote);
+      }
+    } catch (error) {
+      console.error('Failed to save note:', error);
+    }
+    setSaving(false);
+  };
+
+  // Load the server copy and start a three-way merge against it.
+  // `outboxSeq` is set when the conflict came from replaying an offline edit.
+  const openConflict = async (noteId, base, mine, outboxSeq = null) => {
+    try {
+      const theirs = await encryption.reveal(await notesApi.get(noteId, { silent: true }));
+      if (theirs.locked) {
+        requestEncryption('This note was changed elsewhere. Unlock your encrypted notes to merge the changes.');
+        return;
+      }
+      setConflict({ noteId, base, mine, theirs, outboxSeq });
+    } catch (error) {
+      if (error.isNotFound && outboxSeq !== null) {
+        if (window.confirm('This note was deleted on the server. Discard your offline changes to it?')) {
+          await discardOutboxEntry(outboxSeq);
+        }
+      } else {
+        toast.error(`Note was modified by another user, but the latest version could not be loaded: ${error.message}`);
+      }
+    }
+  };
+
+  // Queued edits of encrypted notes are stored sealed
+  const showNextOutboxConflict = async () => {
+    const [entry] = conflicts;
+    if (!entry) return;
+    const base = await encryption.reveal(entry.base);
+    const mine = await encryption.reveal({ ...entry.base, ...entry.payload });
+    openConflict(entry.noteId, base, mine, entry.seq);
+  };
+
+  // Resubmit the merged note on top of the server's newer version
+  const saveMergedNote = async (merged) => {
+    const { noteId, base, mine, theirs, outboxSeq } = conflict;
+    const resolvedNote = {
+      ...merged,
+      is_public: mine.is_public !== base.is_public ? mine.is_public : theirs.is_public,
+      is_encrypted: mine.is_encrypted ?? theirs.is_encrypted,
+      encrypt_title: mine.encrypt_title ?? mine.titleEncrypted ?? theirs.titleEncrypted,
+      version: theirs.version
+    };
+
+    setSaving(true);
+    try {
+      // The merged note supersedes the parked offline edit
+      if (outboxSeq !== null) await discardOutboxEntry(outboxSeq);
+      const result = await updateNote(theirs, resolvedNote);
+
+      if (result.status === 'saved' || result.status === 'queued') {
+        setConflict(null);
+        if (editingNote?.id === noteId) {
+          clearDraft();
+          closeModal();
+        }
+        refreshGraph();
+      } else if (result.status === 'conflict') {
+        // Someone saved again while merging: merge the result against the newest copy
+        await openConflict(noteId, theirs, resolvedNote);
+      }
+    } catch (error) {
+      console.error('Failed to save merged note:', error);
+    }
+    setSaving(false);
+  };
+
+  // Leave the merge screen; edits from the open editor stay in the editor
+  const cancelConflict = () => {
+    if (conflict.outboxSeq === null) setCurrentNote(conflict.mine);
+    setConflict(null);
+  };
+
+  // Save an older version on top of the current one; it becomes a new version
+  const restoreVersion = async (snapshot, current) => {
+    if (hasUnsavedChanges && !window.confirm('Restoring will discard your unsaved changes in the editor. Continue?')) return;
+
+    setSaving(true);
+    try {
+      const result = await updateNote({ ...current, id: editingNote.id, is_encrypted: editingNote.is_encrypted }, {
+        title: snapshot.title,
+        content: snapshot.content,
+        is_public: snapshot.is_public,
+        is_encrypted: currentNote.is_encrypted,
+        encrypt_title: currentNote.encrypt_title,
+        tags: snapshot.tags,
+        version: current.version
+      });
+
+      if (result.status === 'saved') {
+        populateModal(result.note);
+        setShowHistory(false);
+        refreshTags();
+        refreshGraph();
+        toast.success(`Restored version ${snapshot.version} as version ${result.note.version}`);
+      } else if (result.status === 'queued') {
+        setShowHistory(false);
+        closeModal();
+        toast.info('You are offline. The restored version will sync later.');
+      } else if (result.status === 'conflict') {
+        toast.error('The note changed while the history was open. Reopen the history and try again.');
+      }
+    } catch (error) {
+      console.error('Failed to restore version:', error);
+    }
+    setSaving(false);
+  };
+
+  // Sidebar / card tag filter
+  const toggleTagFilter = (tag) => {
+    const selected = listQuery.tags.includes(tag)
+      ? listQuery.tags.filter((item) => item !== tag)
+      : [...listQuery.tags, tag];
+    updateListQuery({ tags: selected });
+  };
+
+  // Rename a tag on every note that has it (merging if the new name already exists)
+  const handleRenameTag = async (from, to) => {
+    setRenamingTag(true);
+    try {
+      const { updated, failed } = await renameTag(from, to);
+      if (failed) {
+        toast.error(`Renamed "${from}" on ${updated} notes; ${failed} could not be updated.`);
+      } else {
+        toast.success(`Renamed "${from}" to "${to}" on ${updated} ${updated === 1 ? 'note' : 'notes'}.`);
+      }
+      if (listQuery.tags.includes(from)) {
+        updateListQuery({ tags: [...new Set(listQuery.tags.map((tag) => (tag === from ? to : tag)))] });
+      }
+    } catch (error) {
+      console.error('Failed to rename tag:', error);
+    }
+    setRenamingTag(false);
+  };
+
+  // Another tab or client changed a note: keep results, tags and the graph current, and warn
+  // if it is the note open in the editor (the editor itself is left alone). Each change is handled
+  // once, against the editor as it is when the change arrives.
+  const { dropResults, updateResults } = search;
+  const remoteContext = useRef(null);
+  remoteContext.current = { reveal: encryption.reveal, editingId: editingNote?.id, version: currentNote.version };
+  useEffect(() => {
+    if (!remoteChange) return undefined;
+    const { reveal, editingId, version } = remoteContext.current;
+    let cancelled = false;
+    const applyChange = async () => {
+      const change = remoteChange.note ? { ...remoteChange, note: await reveal(remoteChange.note) } : remoteChange;
+      if (cancelled) return;
+      if (change.type === 'deleted') {
+        dropResults([change.id]);
+      } else {
+        updateResults([change.note]);
+      }
+      refreshTags();
+      refreshGraph();
+      if (editingId !== change.id) return;
+      if (change.type === 'deleted' || change.note.version > version) {
+        setRemoteNotice(change);
+      }
+    };
+    applyChange();
+    return () => {
+      cancelled = true;
+    };
+  }, [remoteChange, dropResults, updateResults, refreshTags, refreshGraph]);
+
+  const loadRemoteVersion = () => {
+    if (remoteNotice.note.locked) {
+      requestEncryption('Unlock your encrypted notes to load the latest version.');
+      return;
+    }
+    if (hasUnsavedChanges && !window.confirm('Loading the latest version will discard your unsaved changes. Continue?')) return;
+    discardDraft();
+    populateModal(remoteNotice.note);
+    toast.info('Loaded the latest version');
+  };
+
+  // Locking also closes an encrypted note that is open, so its text does not stay on screen
+  const lockEncryption = () => {
+    if (isModalOpen && (currentNote.is_encrypted || editingNote?.is_encrypted)) {
+      if (hasUnsavedChanges && !window.confirm('Locking will discard your unsaved changes to this encrypted note. Continue?')) return;
+      discardDraft();
+      closeModal();
+    }
+    encryption.lock();
+    toast.info('Encrypted notes are locked');
+  };
+
+  // Encrypting needs the key and drops the note's plain-text history on the server; going back to plain
+  // text stores the note readable on the server again
+  const setNoteEncrypted = (encrypted) => {
+    const apply = () => setCurrentNote((note) => ({
+      ...note,
+      is_encrypted: encrypted,
+      is_public: encrypted ? false : note.is_public,
+      encrypt_title: encrypted && note.encrypt_title
+    }));
+    if (!encrypted) {
+      if (editingNote?.is_encrypted && !window.confirm('Save this note without encryption? The server will be able to read it again.')) return;
+      apply();
+      return;
+    }
+    if (editingNote && !editingNote.is_encrypted
+      && !window.confirm('Encrypt this note? Saving it deletes its earlier versions from the server, so they can no longer be restored.')) return;
+    if (encryption.unlocked) {
+      apply();
+    } else {
+      requestEncryption('Encrypting a note needs your passphrase.', apply);
+    }
+  };
+
+  // Signing out clears this browser's copy of the notes, including edits that have not synced yet
+  const handleSignOut = async () => {
+    const unsynced = pendingCount + (hasUnsavedChanges ? 1 : 0);
+    if (unsynced && !window.confirm(`${unsynced} change${unsynced === 1 ? ' has' : 's have'} not been saved to the server and will be lost. Sign out anyway?`)) return;
+    await signOut();
+  };
+
+  // Modal controls
+  const populateModal = (note) => {
+    setRemoteNotice(null);
+    setEditingNote(note);
+    setCurrentNote({
+      title: note.title,
+      content: note.content,
+      is_public: note.is_public,
+      is_encrypted: Boolean(note.is_encrypted),
+      encrypt_title: Boolean(note.titleEncrypted),
+      tags: note.tags,
+      version: note.version
+    });
+    setIsModalOpen(true);
+  };
+
+  const resetModal = () => {
+    setIsModalOpen(false);
+    setRemoteNotice(null);
+    setFocusRange(null);
+    setShowHistory(false);
+    setEditingNote(null);
+    setCurrentNote(emptyNote);
+  };
+
+  const openModal = (note = null) => {
+    if (note) {
+      // A locked note opens from the route effect once the passphrase is in
+      if (!note.locked) populateModal(note);
+      navigate(`/notes/${note.id}`);
+    } else {
+      setEditingNote(null);
+      setCurrentNote(emptyNote);
+      setIsModalOpen(true);
+    }
+  };
+
+  // A new, unsaved note prefilled from a template; the caret starts at its {{cursor}} marker
+  const startNote = (template, options) => {
+    const { cursor, ...fields } = applyTemplate(template, options);
+    setRemoteNotice(null);
+    setShowHistory(false);
+    setEditingNote(null);
+    setCurrentNote({ ...emptyNote, ...fields });
+    setFocusRange(cursor === null ? null : { start: cursor, end: cursor });
+    setIsModalOpen(true);
+    if (routeNoteId) navigate('/');
+  };
+
+  // False when the user would rather keep their unsaved edits; otherwise the draft is dropped
+  const confirmDiscard = () => {
+    if (!hasUnsavedChanges) return true;
+    if (!window.confirm('Discard your unsaved changes to this note?')) return false;
+    discardDraft();
+    return true;
+  };
+
+  const templates = useTemplates({
+    resolveLink,
+    startNote,
+    openNote: (noteId) => navigate(`/notes/${noteId}`),
+    confirmDiscard
+  });
+
+  const closeModal = () => {
+    resetModal();
+    if (routeNoteId) {
+      navigate('/');
+    }
+  };
+
+  // Cancel, the close button and the backdrop ask before throwing edits away
+  const requestCloseModal = () => {
+    if (confirmDiscard()) closeModal();
+  };
+
+  const restoreDraft = () => {
+    setCurrentNote({
+      ...currentNote,
+      title: offeredDraft.title,
+      content: offeredDraft.content,
+      tags: offeredDraft.tags,
+      is_public: offeredDraft.is_public
+    });
+    acceptDraft();
+  };
+
+  // Keep the editor in sync with /notes/:id (deep links, back/forward). The editor and the loaded
+  // notes are read as they are when the route changes; changes to them alone must not reopen anything.
+  const routeContext = useRef(null);
+  routeContext.current = { notes, editingNote, populateModal, resetModal, requestEncryption };
+  useEffect(() => {
+    const { notes, editingNote, populateModal, resetModal, requestEncryption } = routeContext.current;
+    if (!routeNoteId) {
+      if (editingNote) resetModal();
+      return;
+    }
+    if (editingNote?.id === routeNoteId) return;
+
+    let cancelled = false;
+    const controller = new AbortController();
+    // Encrypted notes ask for the passphrase first; unlocking runs this effect again
+    const openNote = async (stored) => {
+      const note = await encryption.reveal(stored);
+      if (cancelled) return;
+      if (!note.locked) {
+        populateModal(note);
+      } else if (encryption.unlocked || !encryption.isSetUp) {
+        toast.error('This note could not be decrypted.');
+        navigate('/', { replace: true });
+      } else {
+        requestEncryption(`"${note.title}" is encrypted. Enter your passphrase to open it.`, null, () => navigate('/', { replace: true }));
+      }
+    };
+    const loadNote = async () => {
+      try {
+        const cached = notes.find((note) => note.id === routeNoteId);
+        await openNote(cached || await notesApi.get(routeNoteId, { signal: controller.signal }));
+      } catch (error) {
+        if (!cancelled && error.isNotFound) navigate('/', { replace: true });
+      }
+    };
+    loadNote();
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [routeNoteId, encryption, navigate, toast]);
+
+  // Text shared from another app (PWA share target) becomes a new note, opened for editing.
+  // The ref keeps a remount or re-render from creating it twice.
+  const handledShare = useRef(false);
+  const shareContext = useRef(null);
+  shareContext.current = { createNote, populateModal };
+  useEffect(() => {
+    if (location.pathname !== '/share' || handledShare.current) return;
+    handledShare.current = true;
+    const { createNote, populateModal } = shareContext.current;
+    const shared = sharedNoteFromParams(new URLSearchParams(location.search));
+    navigate('/', { replace: true });
+    if (!shared) return;
+
+    const createSharedNote = async () => {
+      const result = await createNote({ ...shared, is_public: false, tags: '' });
+      if (result.status === 'error') return;
+      toast.success(result.status === 'queued' ? 'Saved the shared text offline; it will sync later' : 'Created a note from the shared text');
+      populateModal(result.note);
+      navigate(`/notes/${result.note.id}`, { replace: true });
+    };
+    createSharedNote();
+  }, [location.pathname, location.search, navigate, toast]);
+
+  // Share note
+  const shareNote = (noteId) => {
+    const shareUrl = `${window.location.origin}/shared/${noteId}`;
+    navigator.clipboard.writeText(shareUrl);
+    toast.success('Share link copied to clipboard!');
+  };
+
+  const backlinks = editingNote ? backlinksOf(editingNote.id) : [];
+  const relatedNotes = useRelatedNotes({
+    enabled: isModalOpen,
+    encrypted: currentNote.is_encrypted || Boolean(editingNote?.is_encrypted),
+    online: isOnline,
+    noteId: editingNote && !isLocalNoteId(editingNote.id) ? editingNote.id : null,
+    title: currentNote.title,
+    content: currentNote.content,
+    tags: currentNote.tags
+  });
+  // Set while the editor holds a daily note, for previous/next day navigation
+  const dailyDate = isModalOpen ? parseDailyTitle(editingNote ? editingNote.title : currentNote.title) : null;
+
+  // Actions, tags and every note title for the command palette
+  const paletteItems = () => [
+    { id: 'new-note', label: 'New note', group: 'Actions', icon: Plus, shortcut: 'N', run: () => openModal() },
+    { id: 'today', label: "Today's note", group: 'Actions', icon: CalendarDays, shortcut: 'T', run: () => templates.openDailyNote() },
+    { id: 'templates', label: 'Templates', group: 'Actions', icon: LayoutTemplate, run: () => templates.setOpen(true) },
+    ...templates.templates.map((template) => ({
+      id: `template-${template.id}`,
+      label: `New note from template: ${template.name}`,
+      group: 'Templates',
+      icon: LayoutTemplate,
+      run: () => startNote(template)
+    })),
+    { id: 'search', label: 'Search notes', group: 'Actions', icon: Search, shortcut: '/', run: search.focus },
+    ...SEARCH_TYPES.map((option) => ({
+      id: `search-type-${option.value}`,
+      label: `Search mode: ${option.label}`,
+      group: 'Actions',
+      icon: Filter,
+      run: () => {
+        search.setType(option.value);
+        search.focus();
+      }
+    })),
+    { id: 'analytics', label: showAnalytics ? 'Hide analytics' : 'Show analytics', group: 'Actions', icon: BarChart3, run: () => setShowAnalytics(!showAnalytics) },
+    { id: 'ask', label: 'Ask my notes', group: 'Actions', icon: MessageSquare, run: () => setShowChat(true) },
+    { id: 'graph', label: 'Open note graph', group: 'Actions', icon: Network, run: () => setShowGraph(true) },
+    { id: 'tasks', label: 'Open tasks', group: 'Actions', icon: CheckSquare, run: () => tasks.setOpen(true) },
+    { id: 'trash', label: 'Open trash', group: 'Actions', icon: Trash2, run: () => trash.setOpen(true) },
+    { id: 'export', label: 'Export notes', group: 'Actions', icon: Download, run: () => setImportExportTab('export') },
+    { id: 'import', label: 'Import notes', group: 'Actions', icon: Upload, run: () => setImportExportTab('import') },
+    encryption.unlocked
+      ? { id: 'lock', label: 'Lock encrypted notes', group: 'Actions', icon: Lock, run: lockEncryption }
+      : {
+        id: 'unlock',
+        label: encryption.isSetUp ? 'Unlock encrypted notes' : 'Set up encrypted notes',
+        group: 'Actions',
+        icon: Unlock,
+        run: () => requestEncryption(null)
+      },
+    { id: 'sign-out', label: 'Sign out', group: 'Actions', icon: LogOut, run: () => handleSignOut() },
+    { id: 'shortcuts', label: 'Keyboard shortcuts', group: 'Actions', icon: Keyboard, shortcut: '?', run: () => setShowShortcuts(true) },
+    ...tags.map((tag) => ({
+      id: `tag-${tag.name}`,
+      label: `Tag: ${tag.name}`,
+      group: 'Tags',
+      icon: Tag,
+      run: () => updateListQuery({ tags: [tag.name] })
+    })),
+    ...graph.nodes.map((node) => ({
+      id: `note-${node.id}`,
+      label: node.title,
+      group: 'Notes',
+      icon: FileText,
+      run: () => navigate(`/notes/${node.id}`)
+    }))
+  ];
+
+  const activeIndex = shownNotes.findIndex((note) => note.id === activeNoteId);
+
+  const moveActiveNote = (step) => {
+    if (!shownNotes.length) return;
+    const next = activeIndex === -1 ? 0 : Math.min(Math.max(activeIndex + step, 0), shownNotes.length - 1);
+    setActiveNoteId(shownNotes[next].id);
+  };
+
+  // Esc closes whatever is on top
+  const closeTopmost = () => {
+    if (encryptionPrompt.prompt) {
+      encryptionPrompt.cancel();
+      return;
+    }
+    if (templates.isOpen) {
+      templates.setOpen(false);
+      return;
+    }
+    if (tasks.isOpen) {
+      tasks.setOpen(false);
+      return;
+    }
+    if (showPalette || showShortcuts) {
+      setShowPalette(false);
+      setShowShortcuts(false);
+      return;
+    }
+    // The merge screen has its own buttons; a stray Esc shouldn't drop a merge in progress
+    if (conflict) return;
+    if (showHistory) {
+      setShowHistory(false);
+    } else if (showGraph) {
+      setShowGraph(false);
+    } else if (trash.isOpen) {
+      trash.setOpen(false);
+    } else if (importExportTab) {
+      setImportExportTab(null);
+    } else if (isModalOpen) {
+      requestCloseModal();
+    } else if (showChat) {
+      setShowChat(false);
+    } else if (bulk.selectedCount) {
+      bulk.clearSelection();
+    } else {
+      setActiveNoteId(null);
+    }
+  };
+
+  // Global keyboard shortcuts. Keys already handled by a focused control (e.g. Ctrl+K in the
+  // editor) are left alone; single-key shortcuts only apply when not typing and no dialog is open.
+  const handleShortcut = (e) => {
+    if (e.defaultPrevented) return;
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+
+    if (mod && !e.altKey && key === 'k') {
+      e.preventDefault();
+      setShowPalette(!showPalette);
+      return;
+    }
+    if (mod && !e.altKey && key === 's') {
+      if (isModalOpen && !conflict) {
+        e.preventDefault();
+        if (!saving) saveNote();
+      }
+      return;
+    }
+    if (e.key === 'Escape') {
+      closeTopmost();
+      return;
+    }
+
+    if (mod || e.altKey || isTypingTarget(e.target)) return;
+    if (isModalOpen || showPalette || showShortcuts || showGraph || trash.isOpen || showHistory || importExportTab || conflict || encryptionPrompt.prompt || templates.isOpen || tasks.isOpen) return;
+
+    const activeNote = shownNotes[activeIndex];
+    switch (e.key) {
+      case 'n':
+        e.preventDefault();
+        openModal();
+        break;
+      case 't':
+        e.preventDefault();
+        templates.openDailyNote();
+        break;
+      case '/':
+        e.preventDefault();
+        search.focus();
+        break;
+      case '?':
+        setShowShortcuts(true);
+        break;
+      case 'j':
+      case 'k':
+        e.preventDefault();
+        moveActiveNote(e.key === 'j' ? 1 : -1);
+        break;
+      case 'Enter':
+      case 'e':
+        // Enter on a focused button should still press the button
+        if (activeNote && (e.key === 'e' || e.target === document.body)) {
+          e.preventDefault();
+          openModal(activeNote);
+        }
+        break;
+      case 'x':
+        if (activeNote) bulk.toggleSelected(storedNote(activeNote));
+        break;
+      case 'Delete':
+        if (bulk.selectedCount) {
+          bulk.deleteSelected();
+        } else if (activeNote) {
+          trash.moveToTrash(activeNote.id);
+        }
+        break;
+      default:
+    }
+  };
+
+  const shortcutHandler = useRef(null);
+  shortcutHandler.current = handleShortcut;
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutHandler.current(e);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  return (
+    <NoteLinksContext.Provider value={resolveLink}>
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+        {/* Header */}
+        <header className="bg-white shadow-sm border-b">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+            <div className="flex justify-between items-center">
+              <div className="flex items-center space-x-3">
+                <Brain className="h-8 w-8 text-indigo-600" />
+                <h1 className="text-2xl font-bold text-gray-900">
+                  Smart Notes
+                </h1>
+                <span className="text-xs bg-indigo-100 text-indigo-700 px-2 py-1 rounded-full">
+                  RAG Enabled
+                </span>
+              </div>
+              <div className="flex items-center space-x-3">
+                <SyncStatus
+                  isOnline={isOnline}
+                  isSyncing={isSyncing}
+                  pendingCount={pendingCount}
+                  conflictCount={conflicts.length}
+                  onShowConflicts={showNextOutboxConflict}
+                />
+                <button
+                  onClick={() => setShowPalette(true)}
+                  className="hidden sm:flex items-center space-x-1 text-xs text-gray-500 border border-gray-200 rounded-lg px-2 py-1 hover:text-indigo-600 hover:border-indigo-200 transition-colors"
+                  title="Command palette (press ? for all shortcuts)"
+                >
+                  <kbd className="font-sans">{MOD_KEY}</kbd>
+                  <kbd className="font-sans">K</kbd>
+                </button>
+                <button
+                  onClick={() => setShowChat(!showChat)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <MessageSquare className="h-4 w-4" />
+                  <span>Ask</span>
+                </button>
+                <button
+                  onClick={() => setShowGraph(true)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <Network className="h-4 w-4" />
+                  <span>Graph</span>
+                </button>
+                <button
+                  onClick={() => tasks.setOpen(true)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <CheckSquare className="h-4 w-4" />
+                  <span>Tasks</span>
+                </button>
+                <button
+                  onClick={() => trash.setOpen(true)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <Trash2 className="h-4 w-4" />
+                  <span>Trash</span>
+                </button>
+                <button
+                  onClick={() => templates.setOpen(true)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <LayoutTemplate className="h-4 w-4" />
+                  <span>Templates</span>
+                </button>
+                <button
+                  onClick={() => setImportExportTab('export')}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Import/Export</span>
+                </button>
+                <button
+                  onClick={() => setShowAnalytics(!showAnalytics)}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                >
+                  <BarChart3 className="h-4 w-4" />
+                  <span>Analytics</span>
+                </button>
+                <button
+                  onClick={() => templates.openDailyNote()}
+                  className="flex items-center space-x-2 px-4 py-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                  title={`Open or start the note for ${dailyNoteTitle(new Date())}`}
+                >
+                  <CalendarDays className="h-4 w-4" />
+                  <span>Today</span>
+                </button>
+                <button
+                  onClick={() => openModal()}
+                  className="flex items-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+                >
+                  <Plus className="h-4 w-4" />
+                  <span>New Note</span>
+                </button>
+                <div className="flex items-center space-x-1 pl-3 border-l border-gray-200">
+                  {encryption.isSetUp && (
+                    <button
+                      onClick={() => (encryption.unlocked ? lockEncryption() : requestEncryption(null))}
+                      className="p-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                      title={encryption.unlocked ? 'Lock encrypted notes' : 'Unlock encrypted notes'}
+                    >
+                      {encryption.unlocked ? <Unlock className="h-4 w-4" /> : <Lock className="h-4 w-4" />}
+                      <span className="sr-only">{encryption.unlocked ? 'Lock encrypted notes' : 'Unlock encrypted notes'}</span>
+                    </button>
+                  )}
+                  <span className="hidden lg:inline text-sm text-gray-500 max-w-[12rem] truncate" title={user.email}>
+                    {user.email}
+                  </span>
+                  <button
+                    onClick={handleSignOut}
+                    className="p-2 text-gray-600 hover:text-indigo-600 transition-colors"
+                    title={`Sign out ${user.email}`}
+                  >
+                    <LogOut className="h-4 w-4" />
+                    <span className="sr-only">Sign out</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </header>
+
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <SearchBar
+            inputRef={search.inputRef}
+            query={search.query}
+            type={search.type}
+            searching={search.isSearching}
+            expanded={search.visibleResults.length > 0}
+            activeResult={search.activeResult}
+            onQueryChange={search.setQuery}
+            onTypeChange={search.setType}
+            onKeyDown={search.handleKeyDown}
+            onSearch={search.search}
+          />
+
+          {/* Analytics Panel */}
+          {showAnalytics && <SearchAnalytics onRunQuery={search.runQuery} />}
+
+          {search.results.length > 0 && (
+            <SearchResults
+              listRef={search.resultsRef}
+              results={search.visibleResults}
+              hiddenCount={search.results.length - search.visibleResults.length}
+              terms={search.terms}
+              activeResult={search.activeResult}
+              isSelected={bulk.isSelected}
+              onActivate={search.setActiveResult}
+              onToggleSelected={(result, range) => bulk.toggleSelected(storedNote(result.note), {
+                range,
+                list: search.visibleResults.map((item) => item.note)
+              })}
+              onSelectAll={() => bulk.selectMany(search.visibleResults.map((result) => storedNote(result.note)))}
+              onOpen={openResult}
+              onShare={shareNote}
+              onDelete={trash.moveToTrash}
+            />
+          )}
+
+          <div className="flex flex-col md:flex-row md:items-start gap-6">
+            <div className="md:w-56 md:flex-shrink-0 md:sticky md:top-4">
+              <TagSidebar
+                tags={tags}
+                selected={listQuery.tags}
+                mode={listQuery.tagMode}
+                renaming={renamingTag}
+                onToggle={toggleTagFilter}
+                onModeChange={(tagMode) => updateListQuery({ tagMode })}
+                onClear={() => updateListQuery({ tags: [] })}
+                onRename={handleRenameTag}
+              />
+            </div>
+
+            <div className="flex-1 min-w-0">
+              {/* Sort & filter controls */}
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <div className="flex items-center space-x-1 bg-white rounded-lg shadow-sm p-1">
+                  {VISIBILITY_FILTERS.map((filter) => (
+                    <button
+                      key={filter.value}
+                      onClick={() => updateListQuery({ visibility: filter.value })}
+                      className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                        listQuery.visibility === filter.value
+                          ? 'bg-indigo-600 text-white'
+                          : 'text-gray-600 hover:text-indigo-600'
+                      }`}
+                    >
+                      {filter.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center space-x-2">
+                  <ArrowUpDown className="h-4 w-4 text-gray-400" />
+                  <select
+                    value={listQuery.sortBy}
+                    onChange={(e) => updateListQuery({ sortBy: e.target.value })}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {SORT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => updateListQuery({ order: listQuery.order === 'desc' ? 'asc' : 'desc' })}
+                    className="p-2 text-gray-500 hover:text-indigo-600 transition-colors"
+                    title={listQuery.order === 'desc' ? 'Descending' : 'Ascending'}
+                  >
+                    {listQuery.order === 'desc' ? <ArrowDown className="h-4 w-4" /> : <ArrowUp className="h-4 w-4" />}
+                  </button>
+                </div>
+              </div>
+
+              {/* Notes Grid */}
+              <div>
+                {loading && !notes.length ? (
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    {Array.from({ length: 6 }).map((_, i) => (
+                    <div key={i} className="bg-white rounded-xl shadow-sm p-6 animate-pulse">
+                      <div className="h-4 bg-gray-200 rounded w-3/4 mb-3"></div>
+                      <div className="space-y-2">
+                        <div className="h-3 bg-gray-200 rounded"></div>
+                        <div className="h-3 bg-gray-200 rounded w-5/6"></div>
+                        <div className="h-3 bg-gray-200 rounded w-4/6"></div>
+                      </div>
+                    </div>
+                    ))}
+                  </div>
+                ) : notes.length === 0 && listQuery.tags.length > 0 ? (
+                  <div className="text-center py-12">
+                    <Tag className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">No notes match these tags</h3>
+                    <button
+                      onClick={() => updateListQuery({ tags: [] })}
+                      className="text-indigo-600 hover:text-indigo-700"
+                    >
+                      Clear tag filter
+                    </button>
+                  </div>
+                ) : notes.length === 0 ? (
+                  <div className="text-center py-12">
+                    <Brain className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <h3 className="text-lg font-medium text-gray-900 mb-2">No notes yet</h3>
+                    <p className="text-gray-500 mb-4">Create your first note to get started with AI-powered search</p>
+                    <button
+                      onClick={() => openModal()}
+                      className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                      Create Note
+                    </button>
+                  </div>
+                ) : (
+                  <NotesGrid
+                    notes={shownNotes}
+                    hasMore={hasMore}
+                    loadingMore={loadingMore}
+                    onLoadMore={loadMore}
+                    activeIndex={activeIndex}
+                    renderNote={(note) => (
+                      <NoteCard
+                        note={note}
+                        active={note.id === activeNoteId}
+                        selected={bulk.isSelected(note.id)}
+                        selecting={bulk.selectedCount > 0}
+                        selectedTags={listQuery.tags}
+                        onEdit={openModal}
+                        onShare={shareNote}
+                        onDelete={trash.moveToTrash}
+                        onSelect={(range) => bulk.toggleSelected(storedNote(note), { range, list: notes })}
+                        onToggleTask={(taskIndex) => tasks.toggleNoteTask(note, taskIndex)}
+                        onTagClick={toggleTagFilter}
+                      />
+                    )}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Enhanced Modal */}
+        {isModalOpen && (
+          <div
+            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+            onMouseDown={(e) => {
+              if (e.target === e.currentTarget) requestCloseModal();
+            }}
+          >
+            <div className="bg-white rounded-xl max-w-5xl w-full max-h-[90vh] overflow-y-auto">
+              <div className="p-6">
+                <div className="flex justify-between items-center mb-6">
+                  <div className="flex items-center space-x-3">
+                    <h2 className="text-xl font-bold text-gray-900">
+                      {editingNote ? 'Edit Note' : 'Create New Note'}
+                    </h2>
+                    <SaveStatus status={saveStatus} saving={saving} />
+                  </div>
+                  <button
+                    onClick={requestCloseModal}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <span className="sr-only">Close</span>
+                    <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+                
+                <div className="lg:flex lg:space-x-6">
+                  <div className="space-y-4 flex-1 min-w-0">
+                    {dailyDate && <DailyNoteNav date={dailyDate} onOpen={templates.openDailyNote} />}
+
+                    {remoteNotice && (
+                      <RemoteChangeNotice
+                        change={remoteNotice}
+                        onDismiss={() => setRemoteNotice(null)}
+                        onLoadLatest={loadRemoteVersion}
+                        onClose={requestCloseModal}
+                      />
+                    )}
+
+                    {offeredDraft && (
+                      <DraftNotice
+                        draft={offeredDraft}
+                        noteVersion={editingNote?.version}
+                        onDiscard={discardDraft}
+                        onRestore={restoreDraft}
+                      />
+                    )}
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                      <input
+                        type="text"
+                        value={currentNote.title}
+                        onChange={(e) => setCurrentNote({...currentNote, title: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                        placeholder="Enter note title..."
+                      />
+                    </div>
+                  
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Tags</label>
+                      <TagInput
+                        value={currentNote.tags}
+                        onChange={(tags) => setCurrentNote({...currentNote, tags})}
+                        suggestions={tags.map((tag) => tag.name)}
+                      />
+                    </div>
+                  
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Content</label>
+                      <MarkdownEditor
+                        value={currentNote.content}
+                        focusRange={focusRange}
+                        onChange={(content) => setCurrentNote((note) => ({ ...note, content }))}
+                        linkTitles={titles}
+                        onAttachFiles={currentNote.is_encrypted ? undefined : uploadFiles}
+                        placeholder="Write your note content here... (Markdown supported). Type [[ to link a note, or drop files to attach them."
+                      />
+                    </div>
+
+                    <AttachmentList
+                      attachments={attachments}
+                      uploads={attachmentUploads}
+                      loading={attachmentsLoading}
+                      onInsert={insertAttachment}
+                      onRemove={removeNoteAttachment}
+                      onDismissUpload={dismissUpload}
+                    />
+
+                    {backlinks.length > 0 && (
+                      <div>
+                        <div className="flex items-center space-x-1 text-sm font-medium text-gray-700 mb-1">
+                          <Link2 className="h-4 w-4" />
+                          <span>Linked from</span>
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                          {backlinks.map((node) => (
+                            <button
+                              key={node.id}
+                              onClick={() => navigate(`/notes/${node.id}`)}
+                              className="text-sm bg-indigo-50 text-indigo-700 hover:bg-indigo-100 px-2 py-1 rounded"
+                            >
+                              {node.title}
+                            </button>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  
+                    <div className="flex items-center">
+                      <input
+                        type="checkbox"
+                        id="isPublic"
+                        checked={currentNote.is_public}
+                        disabled={currentNote.is_encrypted}
+                        onChange={(e) => setCurrentNote({...currentNote, is_public: e.target.checked})}
+                        className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded disabled:opacity-50"
+                      />
+                      <label htmlFor="isPublic" className={`ml-2 block text-sm ${currentNote.is_encrypted ? 'text-gray-400' : 'text-gray-900'}`}>
+                        Make this note public (can be shared via link)
+                      </label>
+                    </div>
+
+                    <div>
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id="isEncrypted"
+                          checked={currentNote.is_encrypted}
+                          onChange={(e) => setNoteEncrypted(e.target.checked)}
+                          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                        />
+                        <label htmlFor="isEncrypted" className="ml-2 flex items-center space-x-1 text-sm text-gray-900">
+                          <Lock className="h-3.5 w-3.5" />
+                          <span>Encrypt this note with your passphrase</span>
+                        </label>
+                      </div>
+                      {currentNote.is_encrypted && (
+                        <div className="ml-6 mt-2 space-y-2">
+                          <label className="flex items-center space-x-2 text-sm text-gray-900">
+                            <input
+                              type="checkbox"
+                              checked={currentNote.encrypt_title}
+                              onChange={(e) => setCurrentNote({...currentNote, encrypt_title: e.target.checked})}
+                              className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                            />
+                            <span>Encrypt the title too (links and the graph then only see "Encrypted note")</span>
+                          </label>
+                          <p className="text-xs text-gray-500">
+                            The server only stores ciphertext, so this note cannot be shared, gets no new attachments and is
+                            left out of semantic search, Ask my notes and exports. Tags are not encrypted.
+                          </p>
+                        </div>
+                      )}
+                    </div>
+                  
+                    {editingNote && (
+                      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                        <div className="flex items-center justify-between">
+                          <div className="text-sm text-yellow-800">
+                            <strong>Version:</strong> {currentNote.version} | 
+                            <strong> Last updated:</strong> {formatDate(editingNote.updated_at)}
+                          </div>
+                          {!isLocalNoteId(editingNote.id) && (
+                            <div className="flex items-center space-x-4">
+                              <label className="flex items-center space-x-2 text-sm text-yellow-800" title="Save to the server a few seconds after you stop typing">
+                                <input
+                                  type="checkbox"
+                                  checked={autosave}
+                                  onChange={(e) => setAutosave(e.target.checked)}
+                                  className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                                />
+                                <span>Autosave</span>
+                              </label>
+                              <button
+                                onClick={() => setShowHistory(true)}
+                                className="flex items-center space-x-1 text-sm text-indigo-600 hover:text-indigo-700"
+                              >
+                                <History className="h-4 w-4" />
+                                <span>History</span>
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="mt-6 lg:mt-0 lg:w-72 lg:flex-shrink-0 lg:border-l lg:pl-6">
+                    <RelatedNotes
+                      related={relatedNotes.related}
+                      duplicates={relatedNotes.duplicates}
+                      suggestedTags={relatedNotes.suggestedTags}
+                      loading={relatedNotes.loading}
+                      tags={currentNote.tags}
+                      unavailableReason={relatedNotes.unavailableReason}
+                      onOpen={(noteId) => navigate(`/notes/${noteId}`)}
+                      onAddTag={(tag) => setCurrentNote((note) => ({ ...note, tags: addTags(note.tags, [tag]) }))}
+                    />
+                  </div>
+                </div>
+                
+                <div className="flex justify-end space-x-3 mt-6">
+                  <button
+                    onClick={requestCloseModal}
+                    className="px-4 py-2 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={saveNote}
+                    disabled={saving}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 transition-colors"
+                  >
+                    {saving ? 'Saving...' : (editingNote ? 'Update Note' : 'Create Note')}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {importExportTab && (
+          <ImportExportDialog
+            localNotes={notes}
+            initialTab={importExportTab}
+            onClose={() => setImportExportTab(null)}
+            onImported={() => {
+              fetchNotes();
+              refreshTags();
+              refreshGraph();
+            }}
+          />
+        )}
+
+        {showGraph && (
+          <GraphView
+            graph={graph}
+            currentNoteId={editingNote?.id}
+            onOpenNote={(noteId) => {
+              setShowGraph(false);
+              navigate(`/notes/${noteId}`);
+            }}
+            onClose={() => setShowGraph(false)}
+          />
+        )}
+
+        {tasks.isOpen && (
+          <TasksView
+            loadNotes={tasks.loadAllNotes}
+            onToggle={tasks.toggleTaskInView}
+            onOpenNote={(noteId) => {
+              tasks.setOpen(false);
+              navigate(`/notes/${noteId}`);
+            }}
+            onClose={() => tasks.setOpen(false)}
+          />
+        )}
+
+        {trash.isOpen && <TrashView onRestore={trash.restore} onClose={() => trash.setOpen(false)} />}
+
+        <BulkActionBar
+          count={bulk.selectedCount}
+          job={bulk.job}
+          tagSuggestions={tags.map((tag) => tag.name)}
+          selectingAll={bulk.selectingAll}
+          onSelectAll={bulk.selectAll}
+          onClear={bulk.clearSelection}
+          onDelete={bulk.deleteSelected}
+          onSetVisibility={bulk.setVisibility}
+          onEditTags={bulk.editTags}
+          onExport={bulk.exportSelected}
+          onSelectFailed={bulk.selectFailed}
+          onDismissJob={bulk.dismissJob}
+        />
+
+        {showPalette && (
+          <CommandPalette items={paletteItems()} onClose={() => setShowPalette(false)} />
+        )}
+
+        {showShortcuts && <ShortcutsHelp onClose={() => setShowShortcuts(false)} />}
+
+        {templates.isOpen && (
+          <TemplateLibrary
+            templates={templates.templates}
+            loading={templates.loading}
+            tagSuggestions={tags.map((tag) => tag.name)}
+            onUse={templates.startFromTemplate}
+            onSave={templates.saveTemplate}
+            onDelete={(template) => templates.deleteTemplate(template.id)}
+            onClose={() => templates.setOpen(false)}
+          />
+        )}
+
+        {showChat && (
+          <ChatPanel
+            onOpenNote={(noteId) => navigate(`/notes/${noteId}`)}
+            onClose={() => setShowChat(false)}
+          />
+        )}
+
+        {showHistory && editingNote && (
+          <VersionHistory
+            noteId={editingNote.id}
+            reveal={encryption.reveal}
+            restoring={saving}
+            onRestore={restoreVersion}
+            onClose={() => setShowHistory(false)}
+          />
+        )}
+
+        {conflict && (
+          <ConflictResolver
+            key={conflict.theirs.version}
+            base={conflict.base}
+            mine={conflict.mine}
+            theirs={conflict.theirs}
+            saving={saving}
+            cancelLabel={conflict.outboxSeq === null ? 'Back to editor' : 'Resolve later'}
+            onResolve={saveMergedNote}
+            onCancel={cancelConflict}
+          />
+        )}
+
+        {encryptionPrompt.prompt && (
+          <EncryptionDialog
+            mode={encryption.isSetUp ? 'unlock' : 'setup'}
+            reason={encryptionPrompt.prompt.reason}
+            onSetUp={encryptionPrompt.setUp}
+            onUnlock={encryptionPrompt.unlock}
+            onClose={encryptionPrompt.cancel}
+          />
+        )}
+      </div>
+    </NoteLinksContext.Provider>
+  );
+}
+
+export default Dashboard;
\ No newline at end of file
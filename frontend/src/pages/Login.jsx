@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { Link, Navigate, useLocation, useNavigate } from 'react-router-dom';
+import { Brain, LogIn, UserPlus } from 'lucide-react';
+import { useAuth } from '../components/AuthProvider.jsx';
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 72;
+
+const COPY = {
+  login: {
+    heading: 'Sign in to Smart Notes',
+    submit: 'Sign in',
+    busy: 'Signing in...',
+    switchText: 'New here?',
+    switchLink: 'Create an account',
+    switchTo: '/signup'
+  },
+  signup: {
+    heading: 'Create your Smart Notes account',
+    submit: 'Create account',
+    busy: 'Creating account...',
+    switchText: 'Already have an account?',
+    switchLink: 'Sign in',
+    switchTo: '/login'
+  }
+};
+
+// Sign-in and sign-up form (/login and /signup); returns to the page that asked for it
+function Login({ mode = 'login' }) {
+  const { user, signIn, signUp } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const copy = COPY[mode];
+  const from = location.state?.from || '/';
+
+  if (user) return <Navigate to={from} replace />;
+
+  const validate = () => {
+    if (mode === 'signup' && password.length < MIN_PASSWORD_LENGTH) {
+      return `Use at least ${MIN_PASSWORD_LENGTH} characters for your password.`;
+    }
+    if (mode === 'signup' && password !== confirmPassword) return 'The passwords do not match.';
+    return '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problem = validate();
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const credentials = { email: email.trim(), password };
+      await (mode === 'signup' ? signUp(credentials) : signIn(credentials));
+      navigate(from, { replace: true });
+    } catch (err) {
+      if (err.isOffline) setError('Could not reach the server. Check your connection and try again.');
+      else if (err.status === 422) setError('Enter a valid email address and a password of 8 to 72 characters.');
+      else setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  // Keep where we were headed when switching between the two forms
+  const switchState = location.state?.from ? { from: location.state.from } : undefined;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex flex-col">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex items-center space-x-3">
+            <Brain className="h-8 w-8 text-indigo-600" />
+            <h1 className="text-2xl font-bold text-gray-900">
+              Smart Notes
+            </h1>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 flex items-start justify-center px-4 py-12">
+        <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm p-6 w-full max-w-sm space-y-4" noValidate>
+          <h2 className="text-xl font-bold text-gray-900">{copy.heading}</h2>
+
+          {error && (
+            <div role="alert" className="bg-red-50 border border-red-200 text-red-800 text-sm rounded-lg p-3">
+              {error}
+            </div>
+          )}
+
+          <div>
+            <label htmlFor="auth-email" className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              id="auth-email"
+              type="email"
+              autoComplete="email"
+              required
+              autoFocus
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="auth-password" className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+            <input
+              id="auth-password"
+              type="password"
+              autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+              required
+              maxLength={MAX_PASSWORD_LENGTH}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+            />
+            {mode === 'signup' && (
+              <p className="text-xs text-gray-500 mt-1">At least {MIN_PASSWORD_LENGTH} characters.</p>
+            )}
+          </div>
+
+          {mode === 'signup' && (
+            <div>
+              <label htmlFor="auth-confirm" className="block text-sm font-medium text-gray-700 mb-1">Confirm password</label>
+              <input
+                id="auth-confirm"
+                type="password"
+                autoComplete="new-password"
+                required
+                maxLength={MAX_PASSWORD_LENGTH}
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+              />
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={submitting || !email.trim() || !password}
+            className="w-full flex items-center justify-center space-x-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {mode === 'signup' ? <UserPlus className="h-4 w-4" /> : <LogIn className="h-4 w-4" />}
+            <span>{submitting ? copy.busy : copy.submit}</span>
+          </button>
+
+          <p className="text-sm text-gray-600 text-center">
+            {copy.switchText}{' '}
+            <Link to={copy.switchTo} state={switchState} replace className="text-indigo-600 hover:text-indigo-700 font-medium">
+              {copy.switchLink}
+            </Link>
+          </p>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Brain, Eye, Clock, Tag, Lock } from 'lucide-react';
+import MarkdownView from '../components/MarkdownView.jsx';
+import { notesApi } from '../api/client';
+import { formatDate } from '../utils';
+
+// Read-only view for links produced by shareNote()
+function SharedNote() {
+  const { id } = useParams();
+  const [note, setNote] = useState(null);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    const fetchSharedNote = async () => {
+      setStatus('loading');
+      try {
+        // This page renders its own error states instead of toasts
+        // Answers 403 for private notes, even to their owner
+        const data = await notesApi.getShared(id, { signal: controller.signal, silent: true });
+        setNote(data);
+        setStatus('ready');
+      } catch (error) {
+        if (error.isAborted) return;
+        console.error('Failed to fetch shared note:', error);
+        setNote(null);
+        if (error.status === 403) setStatus('private');
+        else setStatus(error.isNotFound ? 'missing' : 'error');
+      }
+    };
+
+    fetchSharedNote();
+    return () => controller.abort();
+  }, [id]);
+
+  const messages = {
+    private: {
+      title: 'This note is private',
+      body: 'The owner has not made this note public, so it cannot be viewed through a share link.'
+    },
+    missing: {
+      title: 'Note not found',
+      body: 'The shared note does not exist or has been deleted.'
+    },
+    error: {
+      title: 'Something went wrong',
+      body: 'The note could not be loaded. Please try again later.'
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {/* Header */}
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <Link to="/" className="flex items-center space-x-3">
+              <Brain className="h-8 w-8 text-indigo-600" />
+              <h1 className="text-2xl font-bold text-gray-900">
+                Smart Notes
+              </h1>
+            </Link>
+            <span className="text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">
+              Shared note
+            </span>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {status === 'loading' && (
+          <div className="bg-white rounded-xl shadow-sm p-6 animate-pulse">
+            <div className="h-6 bg-gray-200 rounded w-1/2 mb-4"></div>
+            <div className="space-y-2">
+              <div className="h-3 bg-gray-200 rounded"></div>
+              <div className="h-3 bg-gray-200 rounded w-5/6"></div>
+              <div className="h-3 bg-gray-200 rounded w-4/6"></div>
+            </div>
+          </div>
+        )}
+
+        {status === 'ready' && note && (
+          <article className="bg-white rounded-xl shadow-sm p-6">
+            <h2 className="text-2xl font-bold text-gray-900 mb-3">{note.title}</h2>
+            <div className="flex items-center space-x-4 text-xs text-gray-500 mb-6">
+              <span className="flex items-center space-x-1">
+                <Eye className="h-3 w-3" />
+                <span>{note.view_count} views</span>
+              </span>
+              <span className="flex items-center space-x-1">
+                <Clock className="h-3 w-3" />
+                <span>{formatDate(note.updated_at)}</span>
+              </span>
+              {note.tags && (
+                <span className="flex items-center space-x-1">
+                  <Tag className="h-3 w-3" />
+                  <span>{note.tags}</span>
+                </span>
+              )}
+            </div>
+            <MarkdownView content={note.content} className="text-base" />
+          </article>
+        )}
+
+        {messages[status] && (
+          <div className="bg-white rounded-xl shadow-sm p-6 text-center py-12">
+            <Lock className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <h3 className="text-lg font-medium text-gray-900 mb-2">{messages[status].title}</h3>
+            <p className="text-gray-500 mb-4">{messages[status].body}</p>
+            <Link
+              to="/"
+              className="inline-block bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+            >
+              Go to Smart Notes
+            </Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharedNote;
@@ -0,0 +1,77 @@
+// Service worker, emitted as /sw.js by the build (see vite.config.js), which prepends
+// self.__PRECACHE_MANIFEST = { version, urls, apiOrigin }. It is not part of the app bundle.
+//
+// - The app shell and build assets are precached per deploy; navigations get the cached shell.
+// - GET /notes and /notes/<id> on the API are network-first, answered from cache when unreachable.
+// - A new deploy installs next to the running one and waits until the page sends SKIP_WAITING.
+
+const { version, urls, apiOrigin } = self.__PRECACHE_MANIFEST;
+const PRECACHE_PREFIX = 'smart-notes-precache-';
+const PRECACHE = `${PRECACHE_PREFIX}${version}`;
+const NOTES_CACHE = 'smart-notes-api-notes';
+const NOTES_CACHE_MAX_ENTRIES = 50;
+const SHELL_URL = '/index.html';
+
+const NOTES_PATH = /^\/notes(\/[^/]+)?$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(PRECACHE).then((cache) => cache.addAll(urls)));
+});
+
+// Drop the precaches of older deploys
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(
+      names.filter((name) => name.startsWith(PRECACHE_PREFIX) && name !== PRECACHE).map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Oldest entries go first once the cache is full
+const trimCache = async (cache, maxEntries) => {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+const networkFirst = async (request) => {
+  const cache = await caches.open(NOTES_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      trimCache(cache, NOTES_CACHE_MAX_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const cacheFirst = async (request) => (await caches.match(request)) || fetch(request);
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin === apiOrigin) {
+    if (NOTES_PATH.test(url.pathname)) event.respondWith(networkFirst(request));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;
+
+  // Every in-app route (/, /notes/<id>, /shared/<id>, /share) is the same SPA shell
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => (await caches.match(SHELL_URL)) || fetch(request))());
+    return;
+  }
+  event.respondWith(cacheFirst(request));
+});
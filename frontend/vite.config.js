@@ -1,22 +1,60 @@
-import { defineConfig } from 'vite'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    outDir: 'dist',
-    sourcemap: true,
-    rollupOptions: {
-      output: {
-        manualChunks: {
-          vendor: ['react', 'react-dom'],
-          icons: ['lucide-react']
+// Files in public/ that the service worker precaches along with the build output
+const PUBLIC_PRECACHE = [
+  '/manifest.json',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png'
+]
+
+// Emits /sw.js from src/sw.js with the list of files to precache; the version changes with every
+// build whose output differs, which is what makes the browser install the new worker
+const serviceWorker = (apiUrl) => ({
+  name: 'smart-notes-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const built = Object.keys(bundle).filter((file) => !file.endsWith('.map')).map((file) => `/${file}`)
+    const urls = [...built, ...PUBLIC_PRECACHE].sort()
+    const hash = createHash('sha256')
+    urls.forEach((url) => hash.update(url))
+    // Asset names are content-hashed, but index.html keeps its name
+    const html = bundle['index.html']
+    if (html) hash.update(html.source)
+    const manifest = { version: hash.digest('hex').slice(0, 12), urls, apiOrigin: new URL(apiUrl).origin }
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n${readFileSync('src/sw.js', 'utf8')}`
+    })
+  }
+})
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd())
+  return {
+    plugins: [react(), serviceWorker(env.VITE_API_URL || 'http://localhost:8000')],
+    build: {
+      outDir: 'dist',
+      sourcemap: true,
+      rollupOptions: {
+        output: {
+          manualChunks: {
+            vendor: ['react', 'react-dom', 'react-router-dom'],
+            icons: ['lucide-react'],
+            markdown: ['marked', 'marked-highlight', 'highlight.js', 'dompurify']
+          }
         }
       }
+    },
+    server: {
+      port: 3000,
+      host: true
     }
-  },
-  server: {
-    port: 3000,
-    host: true
   }
-})
\ No newline at end of file
+})